@@ -0,0 +1,61 @@
+/**
+ * Flower Shop Express Application
+ *
+ * Configures middleware and mounts the API routes. Kept separate from
+ * server.js so the app can be used without connecting to the database
+ * or starting the background jobs (e.g. by the integration tests).
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import express from 'express';
+import morgan from 'morgan';
+import helmet from 'helmet';
+import dotenv from 'dotenv';
+import cors from 'cors';
+
+// Import routes
+import authRoutes from './routes/auth.routes.js';
+import flowerRoutes from './routes/flower.routes.js';
+import cartRoutes from './routes/cart.routes.js';
+import shippingAddressRoutes from './routes/shippingAddress.routes.js';
+import orderRoutes from './routes/order.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import deliveryRoutes from './routes/delivery.routes.js';
+
+// Load environment variables
+dotenv.config();
+
+const app = express();
+
+// Behind a reverse proxy, trust it for the client IP used by login lockout
+// (true, a hop count, or a list of addresses; see Express "trust proxy")
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Middleware
+// Keep the raw body so payment webhooks can verify their signature
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(helmet());
+app.use(morgan('dev'));
+app.use(cors());
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/flower', flowerRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/shipping-addresses', shippingAddressRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/delivery', deliveryRoutes);
+
+export default app;
@@ -0,0 +1,125 @@
+/**
+ * Authentication Configuration
+ *
+ * Signing keys and lifetimes for the tokens issued at login. Access
+ * tokens are short-lived JWTs sent with every request; refresh tokens
+ * are opaque, stored hashed in the database and exchanged for a new
+ * pair (see RefreshToken). Tokens are signed and verified by
+ * utils/authTokens.js.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+/**
+ * Parse the JWT_KEYS list ("kid:secret,kid:secret")
+ *
+ * @param {string} value - Environment variable value
+ * @returns {Array<{kid: string, secret: string}>} Keys in the listed order
+ */
+const parseKeys = (value) => {
+    return String(value || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { kid: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1).trim() }
+                : null;
+        })
+        .filter((key) => key && key.secret);
+};
+
+/**
+ * Keys that access tokens are signed with
+ *
+ * The first key signs new tokens; the others are only accepted when
+ * verifying. To rotate, put the new key first and drop the old one once
+ * the tokens signed with it have expired. Each token names its key in
+ * the `kid` header.
+ *
+ * Without JWT_KEYS, JWT_SECRET (or the older JWT_USER_SECRET) is used as
+ * the only key (kid "default").
+ */
+export const ACCESS_TOKEN_KEYS = process.env.JWT_KEYS
+    ? parseKeys(process.env.JWT_KEYS)
+    : [process.env.JWT_SECRET || process.env.JWT_USER_SECRET]
+        .filter(Boolean)
+        .map((secret) => ({ kid: 'default', secret }));
+
+/**
+ * Signing algorithm for access tokens
+ */
+export const ACCESS_TOKEN_ALGORITHM = 'HS256';
+
+/**
+ * Issuer claim of every access token
+ */
+export const ACCESS_TOKEN_ISSUER = 'flower-shop';
+
+/**
+ * Audience and lifetime (jsonwebtoken notation, e.g. 15m, 1h) of
+ * customer and admin access tokens
+ *
+ * Admin tokens have their own audience so a customer token can never
+ * reach the admin API, and a shorter lifetime because they can do more.
+ */
+export const ACCESS_TOKEN_AUDIENCE = 'flower-shop';
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const ADMIN_TOKEN_AUDIENCE = 'flower-shop-admin';
+export const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '5m';
+
+/**
+ * Days a refresh token can be used; every refresh issues a new one
+ */
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Minutes an emailed password reset link works
+ */
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * Password policy for registration, password change and reset
+ *
+ * bcrypt only uses the first 72 bytes, so longer passwords are refused
+ * rather than silently truncated.
+ */
+export const PASSWORD_MIN_LENGTH = 6;
+export const PASSWORD_MAX_BYTES = 72;
+
+/**
+ * Seconds before another reset email is sent for the same account
+ */
+export const PASSWORD_RESET_RESEND_SECONDS = 60;
+
+/**
+ * Email verification
+ *
+ * New accounts are sent a link to prove they own their email address.
+ * When EMAIL_VERIFICATION_REQUIRED is on, customers can browse and fill
+ * their cart but cannot place an order until they have verified. It is
+ * off unless set to "true", because accounts created before verification
+ * existed have never been sent a link and would be unable to check out.
+ */
+export const EMAIL_VERIFICATION_REQUIRED = process.env.EMAIL_VERIFICATION_REQUIRED === 'true';
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+export const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+
+/**
+ * Login lockout
+ *
+ * After LOGIN_MAX_ATTEMPTS failed logins the account is locked for
+ * LOGIN_LOCK_BASE_SECONDS, doubling with every further failure up to
+ * LOGIN_LOCK_MAX_MINUTES. Failures from one IP address are limited the
+ * same way with a higher threshold, since customers can share an
+ * address. Identifiers that match no account are locked like accounts,
+ * so a lock does not reveal which accounts exist. Counting starts over
+ * after LOGIN_ATTEMPT_WINDOW_MINUTES without failures.
+ */
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+export const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+export const LOGIN_ATTEMPT_WINDOW_MINUTES = 15;
+export const LOGIN_LOCK_BASE_SECONDS = 30;
+export const LOGIN_LOCK_MAX_MINUTES = 60;
@@ -0,0 +1,21 @@
+/**
+ * Delivery Configuration
+ *
+ * Settings for delivery scheduling used by the DeliverySlot model.
+ * Slots, capacity and blackout dates are managed by admins; these are
+ * the shop-wide settings that rarely change.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+/**
+ * Time zone of the shop. Delivery dates, slot times and same-day
+ * cutoffs are all in this zone, whatever the server's zone is.
+ */
+export const DELIVERY_TIMEZONE = process.env.DELIVERY_TIMEZONE || 'Asia/Phnom_Penh';
+
+/**
+ * How many days ahead customers can book, including today
+ */
+export const DELIVERY_DAYS_AHEAD = parseInt(process.env.DELIVERY_DAYS_AHEAD) || 30;
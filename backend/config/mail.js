@@ -0,0 +1,40 @@
+/**
+ * Mail Configuration
+ *
+ * How account emails (password reset, email verification) are
+ * delivered. See mail/index.js for the transports.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import path from 'path';
+import { SHOP_NAME, SHOP_EMAIL } from './shop.js';
+
+/**
+ * Transport used to deliver mail
+ *
+ * - file: write each message as an .eml file to MAIL_FILE_DIR (development, tests)
+ * - smtp: send through the SMTP server below; point it at a local sink
+ *   such as Mailpit to see messages without delivering them
+ */
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+
+/**
+ * Sender of every email
+ */
+export const MAIL_FROM = process.env.MAIL_FROM || `"${SHOP_NAME}" <${SHOP_EMAIL || 'no-reply@localhost'}>`;
+
+/**
+ * Directory the file transport writes to
+ */
+export const MAIL_FILE_DIR = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+/**
+ * SMTP server for the smtp transport (defaults match a local sink)
+ */
+export const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+export const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 1025;
+export const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+export const SMTP_USER = process.env.SMTP_USER || '';
+export const SMTP_PASS = process.env.SMTP_PASS || '';
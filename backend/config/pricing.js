@@ -0,0 +1,77 @@
+/**
+ * Pricing Configuration
+ *
+ * Shipping zones, tax rules and rounding used by utils/pricing.js to
+ * quote carts and price orders. Values that differ between environments
+ * can be overridden with environment variables.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Currency all catalog prices are in
+ */
+export const CURRENCY = 'USD';
+
+/**
+ * Countries we deliver to
+ */
+export const DELIVERY_COUNTRIES = ['Cambodia'];
+
+/**
+ * Shipping zones, checked in order
+ *
+ * A zone matches when the address province is in its provinces list;
+ * the last zone ('*') catches every other province. Fees grow with the
+ * distance from the shop in Phnom Penh.
+ */
+export const SHIPPING_ZONES = [
+    {
+        code: 'phnom_penh',
+        label: 'Phnom Penh',
+        provinces: ['Phnom Penh'],
+        fee: 2.99
+    },
+    {
+        code: 'nearby',
+        label: 'Nearby provinces',
+        provinces: [
+            'Kandal', 'Takeo', 'Kampong Speu', 'Kampong Chhnang',
+            'Kampong Cham', 'Tbong Khmum', 'Prey Veng', 'Svay Rieng'
+        ],
+        fee: 5.99
+    },
+    {
+        code: 'provincial',
+        label: 'Other provinces',
+        provinces: '*',
+        fee: 9.99
+    }
+];
+
+/**
+ * Subtotal from which shipping is free (0 disables free shipping)
+ */
+export const FREE_SHIPPING_THRESHOLD = envNumber('FREE_SHIPPING_THRESHOLD', 75);
+
+/**
+ * Tax rules
+ *
+ * - defaultRate: rate applied to every line
+ * - categoryRates: per flower category overrides, e.g. { plant: 0.05 }
+ * - taxShipping: whether the shipping fee is taxed at the default rate
+ * - rounding: 'line' rounds the tax of every line to the cent before
+ *   adding them up, 'total' rounds only the summed tax
+ */
+export const TAX_RULES = {
+    defaultRate: envNumber('TAX_RATE', 0.08),
+    categoryRates: {},
+    taxShipping: process.env.TAX_SHIPPING === 'true',
+    rounding: process.env.TAX_ROUNDING === 'line' ? 'line' : 'total'
+};
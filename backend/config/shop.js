@@ -0,0 +1,36 @@
+/**
+ * Shop Configuration
+ *
+ * Details about the shop printed on customer documents such as gift
+ * cards, invoices and packing slips.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+/**
+ * Name of the shop as printed on documents
+ */
+export const SHOP_NAME = process.env.SHOP_NAME || 'Flower Shop';
+
+/**
+ * Contact details printed under the name on invoices and packing slips
+ */
+export const SHOP_ADDRESS = process.env.SHOP_ADDRESS || 'Phnom Penh, Cambodia';
+export const SHOP_PHONE = process.env.SHOP_PHONE || '';
+export const SHOP_EMAIL = process.env.SHOP_EMAIL || '';
+
+/**
+ * Address of the storefront, used for links printed on documents
+ */
+export const SHOP_URL = (process.env.SHOP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * TrueType/OpenType fonts for documents (optional)
+ *
+ * The built-in PDF fonts only cover Western European characters, so
+ * Khmer names and gift messages need a font that has those glyphs,
+ * e.g. Noto Sans Khmer. The bold font defaults to the regular one.
+ */
+export const DOCUMENT_FONT = process.env.DOCUMENT_FONT || null;
+export const DOCUMENT_FONT_BOLD = process.env.DOCUMENT_FONT_BOLD || DOCUMENT_FONT;
@@ -0,0 +1,870 @@
+/**
+ * Admin Controller - Back Office Operations
+ *
+ * This controller handles operations performed by shop administrators.
+ *
+ * Features:
+ * - List orders with search, filters, sorting and pagination
+ * - View a single order with customer and status history
+ * - Update order status following the order lifecycle
+ * - Bulk status updates
+ * - CSV export of orders
+ * - Printable gift card, invoice and packing slip for each order
+ * - Full and per-line refunds, with optional restocking; a refund is
+ *   recorded before it is paid out and can be retried if the payout fails
+ * - Catalog listing including hidden flowers
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { parsePagination, buildPagination, buildDateRange, containsPattern, parseSearch, parseSort } from '../utils/queryFilters.js';
+import { buildFlowerQuery } from '../utils/flowerFilters.js';
+import { getProvider } from '../payments/index.js';
+import { renderGiftCard, renderInvoice, renderPackingSlip } from '../utils/pdf.js';
+
+const MAX_BULK_ORDERS = 100;
+const MAX_EXPORT_ROWS = 5000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const SORT_FIELDS = {
+    date: 'createdAt',
+    delivery: 'deliveryDate',
+    total: 'total'
+};
+
+const adminOrderIncludes = () => [
+    { model: models.User, as: 'user', attributes: ['id', 'username', 'email', 'phone'] },
+    { model: models.OrderItem, as: 'items' },
+    { model: models.OrderStatusHistory, as: 'statusHistory' },
+    { model: models.Payment, as: 'payments' },
+    { model: models.Refund, as: 'refunds' },
+    { model: models.CouponRedemption, as: 'coupons' }
+];
+
+/**
+ * Build where/order options for the admin order list and export
+ *
+ * @param {Object} query - Request query
+ * @returns {Promise<{where: Object, order: Array}>} Sequelize query options
+ */
+const buildOrderQuery = async ({ search, status, from, to, deliveryDate, sort = 'date', order = 'desc' }) => {
+    const where = {};
+
+    if (status) {
+        if (!models.Order.getAttributes().status.values.includes(status)) {
+            throw httpError(400, 'Invalid order status');
+        }
+        where.status = status;
+    }
+
+    if (from || to) {
+        where.createdAt = buildDateRange(from, to);
+    }
+
+    if (deliveryDate) {
+        where.deliveryDate = models.DeliverySlot.parseDate(deliveryDate);
+    }
+
+    const searchTerm = parseSearch(search);
+
+    if (searchTerm) {
+        const term = searchTerm.replace(/^#/, '');
+        const users = await models.User.findAll({
+            where: {
+                [Op.or]: [
+                    { email: { [Op.iLike]: containsPattern(term) } },
+                    { username: { [Op.iLike]: containsPattern(term) } }
+                ]
+            },
+            attributes: ['id']
+        });
+
+        const conditions = [
+            { userId: users.map((user) => user.id) },
+            { recipientName: { [Op.iLike]: containsPattern(term) } }
+        ];
+        if (/^\d+$/.test(term)) {
+            conditions.push({ id: parseInt(term) });
+        }
+        where[Op.or] = conditions;
+    }
+
+    const { field, direction } = parseSort(SORT_FIELDS, sort, order, 'DESC');
+
+    return { where, order: [[field, direction], ['id', direction]] };
+};
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Get all orders
+ *
+ * @route GET /api/admin/orders
+ * @access Private (Admin only)
+ * @query {string} search - Customer email, username, recipient name or order ID
+ * @query {string} status - Filter by order status
+ * @query {string} from - Only orders placed on or after this date
+ * @query {string} to - Only orders placed on or before this date
+ * @query {string} deliveryDate - Only orders delivered on this date (YYYY-MM-DD)
+ * @query {string} sort - Sort by: date, delivery, total (default: date)
+ * @query {string} order - Sort order: asc, desc (default: desc)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+export const getAllOrders = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const { where, order } = await buildOrderQuery(req.query);
+
+        const { count, rows } = await models.Order.findAndCountAll({
+            where,
+            order,
+            include: adminOrderIncludes(),
+            limit: pagination.limit,
+            offset: pagination.offset,
+            distinct: true
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rows.map((row) => row.getDetails()),
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getAllOrders:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Export orders as CSV
+ *
+ * Accepts the same filters as the order list.
+ *
+ * @route GET /api/admin/orders/export
+ * @access Private (Admin only)
+ */
+export const exportOrders = async (req, res) => {
+    try {
+        const { where, order } = await buildOrderQuery(req.query);
+
+        const orders = await models.Order.findAll({
+            where,
+            order,
+            include: [
+                { model: models.User, as: 'user', attributes: ['username', 'email'] },
+                { model: models.OrderItem, as: 'items' },
+                { model: models.CouponRedemption, as: 'coupons', attributes: ['code'] }
+            ],
+            limit: MAX_EXPORT_ROWS
+        });
+
+        const header = [
+            'Order ID', 'Date', 'Customer', 'Email', 'Status', 'Payment Method', 'Payment Status',
+            'Delivery Date', 'Delivery Window', 'Recipient', 'Recipient Phone', 'Items', 'Subtotal', 'Coupons', 'Discount', 'Shipping', 'Tax', 'Total'
+        ];
+        const lines = orders.map((row) => [
+            row.id,
+            row.createdAt.toISOString(),
+            row.user?.username,
+            row.user?.email,
+            row.status,
+            row.paymentMethod,
+            row.paymentStatus,
+            row.deliveryDate,
+            row.deliveryWindow && `${row.deliveryWindow.label} ${row.deliveryWindow.startTime}-${row.deliveryWindow.endTime}`,
+            row.recipientName,
+            row.recipientPhone,
+            row.items.map((item) => `${item.quantity}x ${item.flowerName}`).join('; '),
+            row.subtotal,
+            row.coupons.map((coupon) => coupon.code).join('; '),
+            row.discount,
+            row.shippingFee,
+            row.tax,
+            row.total
+        ].map(csvValue).join(','));
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="orders-${date}.csv"`);
+        res.status(200).send([header.join(','), ...lines].join('\n'));
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in exportOrders:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get a single order
+ *
+ * @route GET /api/admin/orders/:id
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ */
+export const getOrderDetails = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const order = await models.Order.findByPk(id, { include: adminOrderIncludes() });
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not Found' });
+        }
+
+        res.status(200).json({ success: true, data: order.getDetails() });
+    } catch (error) {
+        console.log('Error in getOrderDetails:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Load an order with what its printed documents show
+ *
+ * @param {number} id - Order ID
+ * @returns {Promise<Order>} Order with user, items and coupons
+ * @throws {Error} 404 httpError when the order does not exist
+ */
+const findOrderForDocument = async (id) => {
+    const order = await models.Order.findByPk(id, {
+        include: [
+            { model: models.User, as: 'user', attributes: ['id', 'username', 'email', 'phone'] },
+            { model: models.OrderItem, as: 'items' },
+            { model: models.CouponRedemption, as: 'coupons', attributes: ['code'] }
+        ],
+        order: [[{ model: models.OrderItem, as: 'items' }, 'id', 'ASC']]
+    });
+
+    if (!order) {
+        throw httpError(404, 'Order not Found');
+    }
+
+    return order;
+};
+
+/**
+ * Send a PDF as a download
+ *
+ * @param {Response} res - Express response
+ * @param {Buffer} pdf - Rendered document
+ * @param {string} filename - Download file name
+ */
+const sendPdf = (res, pdf, filename) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(pdf);
+};
+
+/**
+ * Download the gift card for an order
+ *
+ * Printed and sent with the flowers. The customer's name is left off
+ * when they chose to send anonymously.
+ *
+ * @route GET /api/admin/orders/:id/gift-card
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ */
+export const downloadGiftCard = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const order = await findOrderForDocument(id);
+
+        if (!order.giftMessage) {
+            throw httpError(404, 'This order has no gift message');
+        }
+
+        const pdf = await renderGiftCard({ order, senderName: order.user?.username });
+
+        sendPdf(res, pdf, `gift-card-${order.paymentReference || order.id}.pdf`);
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in downloadGiftCard:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Download the invoice for an order
+ *
+ * @route GET /api/admin/orders/:id/invoice
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ */
+export const downloadInvoice = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const order = await findOrderForDocument(id);
+        const pdf = await renderInvoice({ order, customer: order.user });
+
+        sendPdf(res, pdf, `invoice-${order.paymentReference || order.id}.pdf`);
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in downloadInvoice:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Download the packing slip for an order
+ *
+ * Lists what goes in the box, the recipient, the delivery slot and the
+ * gift message, without prices.
+ *
+ * @route GET /api/admin/orders/:id/packing-slip
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ */
+export const downloadPackingSlip = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const order = await findOrderForDocument(id);
+        const pdf = await renderPackingSlip({ order, customer: order.user });
+
+        sendPdf(res, pdf, `packing-slip-${order.paymentReference || order.id}.pdf`);
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in downloadPackingSlip:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Move one order to a new status inside its own transaction
+ *
+ * @param {number} id - Order ID
+ * @param {string} status - Target status
+ * @param {Object} options - changedBy and note for the history row
+ */
+const changeOrderStatus = (id, status, { changedBy, note }) => {
+    return sequelize.transaction(async (transaction) => {
+        const order = await models.Order.findByPk(id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        if (!order) {
+            throw httpError(404, 'Order not Found');
+        }
+
+        // Refunding moves money, so it has its own endpoint and ledger
+        if (status === 'refunded') {
+            throw httpError(400, 'Use the refunds endpoint to refund an order');
+        }
+
+        if (await models.Refund.count({ where: { orderId: order.id, status: 'pending' }, transaction })) {
+            throw httpError(409, 'A refund for this order is still pending, retry it first');
+        }
+
+        if (status === 'cancelled' && order.paymentStatus !== 'unpaid') {
+            throw httpError(409, 'This order has been paid, refund it instead of cancelling it');
+        }
+
+        if (!order.canTransitionTo(status)) {
+            throw httpError(409, `Cannot change order status from ${order.status} to ${status}`, {
+                allowedStatuses: models.Order.STATUS_TRANSITIONS[order.status]
+            });
+        }
+
+        await order.transitionTo(status, { changedBy, note, transaction });
+    });
+};
+
+/**
+ * Update an order's status
+ *
+ * Rejects transitions that are not allowed by Order.STATUS_TRANSITIONS
+ * and records the change in the order's status history.
+ *
+ * @route PATCH /api/admin/orders/:id/status
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ * @param {Object} req.body - Status update
+ * @param {string} req.body.status - New status (required)
+ * @param {string} req.body.note - Reason for the change (optional)
+ */
+export const updateOrderStatus = async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+        return res.status(400).json({ success: false, message: 'Status is required' });
+    }
+
+    if (!Object.keys(models.Order.STATUS_TRANSITIONS).includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid order status' });
+    }
+
+    try {
+        await changeOrderStatus(id, status, { changedBy: req.user.id, note });
+
+        const order = await models.Order.findByPk(id, { include: adminOrderIncludes() });
+
+        res.status(200).json({
+            success: true,
+            message: 'Order status updated successfully',
+            data: order.getDetails()
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in updateOrderStatus:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update the status of several orders
+ *
+ * Each order is updated independently: orders that cannot make the
+ * transition are reported in `failed` without blocking the others.
+ *
+ * @route PATCH /api/admin/orders/status
+ * @access Private (Admin only)
+ * @param {Object} req.body - Bulk status update
+ * @param {number[]} req.body.orderIds - Order IDs (required, max 100)
+ * @param {string} req.body.status - New status (required)
+ * @param {string} req.body.note - Reason for the change (optional)
+ */
+export const bulkUpdateOrderStatus = async (req, res) => {
+    const { orderIds, status, note } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'orderIds must be a non-empty array' });
+    }
+
+    if (orderIds.length > MAX_BULK_ORDERS) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_BULK_ORDERS} orders can be updated at once` });
+    }
+
+    if (!status || !Object.keys(models.Order.STATUS_TRANSITIONS).includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid order status' });
+    }
+
+    try {
+        const updated = [];
+        const failed = [];
+
+        for (const id of [...new Set(orderIds)]) {
+            try {
+                await changeOrderStatus(id, status, { changedBy: req.user.id, note });
+                updated.push(id);
+            } catch (error) {
+                if (!error.status) {
+                    throw error;
+                }
+                failed.push({ id, message: error.message });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${updated.length} order(s) updated`,
+            data: { updated, failed }
+        });
+    } catch (error) {
+        console.log('Error in bulkUpdateOrderStatus:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Work out which lines and how much to refund
+ *
+ * Without items the whole remaining amount is refunded, including
+ * shipping. Per-line refunds return what was paid for the units after
+ * coupon discounts, plus their share of the order's tax.
+ *
+ * @param {Order} order - Locked order
+ * @param {Array<OrderItem>} orderItems - The order's lines
+ * @param {Array<{orderItemId: number, quantity: number}>|undefined} items - Lines requested
+ * @returns {{lines: Array<Object>, amount: number, full: boolean}} Refund plan
+ * @throws {Error} 400/409 httpError for invalid or over-refunded lines
+ */
+const planRefund = (order, orderItems, items) => {
+    const remaining = roundMoney(parseFloat(order.total) - parseFloat(order.refundedAmount));
+
+    if (remaining <= 0) {
+        throw httpError(409, 'Order has already been fully refunded');
+    }
+
+    if (!items) {
+        const lines = orderItems
+            .filter((item) => item.quantity > item.refundedQuantity)
+            .map((item) => ({
+                orderItemId: item.id,
+                flowerName: item.flowerName,
+                quantity: item.quantity - item.refundedQuantity,
+                amount: null
+            }));
+
+        return { lines, amount: remaining, full: true };
+    }
+
+    const discounted = parseFloat(order.subtotal) - parseFloat(order.discount);
+    const taxRate = discounted > 0 ? parseFloat(order.tax) / discounted : 0;
+    const itemsById = new Map(orderItems.map((item) => [item.id, item]));
+
+    const lines = items.map(({ orderItemId, quantity }) => {
+        const item = itemsById.get(Number(orderItemId));
+
+        if (!item) {
+            throw httpError(400, `Order item ${orderItemId} is not part of this order`);
+        }
+
+        const refundable = item.quantity - item.refundedQuantity;
+        if (quantity > refundable) {
+            throw httpError(409, `Only ${refundable} of ${item.flowerName} can be refunded`, {
+                orderItemId: item.id,
+                refundable
+            });
+        }
+
+        const unitPaid = (parseFloat(item.lineTotal) - parseFloat(item.discount)) / item.quantity;
+
+        return {
+            orderItemId: item.id,
+            flowerName: item.flowerName,
+            quantity,
+            amount: roundMoney(unitPaid * quantity * (1 + taxRate))
+        };
+    });
+
+    const amount = Math.min(remaining, roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)));
+
+    return { lines, amount, full: amount >= remaining };
+};
+
+/**
+ * Pay out a pending refund and record it in the ledger
+ *
+ * The provider is called outside any transaction with the refund's
+ * idempotency key, so retrying a refund that failed part way returns
+ * the provider's earlier refund instead of paying out twice. The order
+ * lines, payment and order are only updated once the money is out.
+ *
+ * @param {number} refundId - Pending refund ID
+ * @returns {Promise<Refund>} Succeeded refund
+ * @throws {Error} 502 httpError when the provider does not confirm the refund
+ */
+const settleRefund = async (refundId) => {
+    const pending = await models.Refund.findByPk(refundId, {
+        include: { model: models.Payment, as: 'payment' }
+    });
+
+    let result;
+    try {
+        result = await getProvider(pending.payment.provider).refund(pending.payment, parseFloat(pending.amount), {
+            idempotencyKey: pending.idempotencyKey
+        });
+    } catch (error) {
+        console.log('Error in provider refund:', error);
+        await pending.update({ failureReason: error.message });
+        throw httpError(502, 'The payment provider did not confirm the refund, retry it', { refundId: pending.id });
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const order = await models.Order.findByPk(pending.orderId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        const refund = await models.Refund.findByPk(refundId, { transaction });
+
+        // Settled by a concurrent retry
+        if (refund.status !== 'pending') {
+            return refund;
+        }
+
+        const payment = await models.Payment.findByPk(refund.paymentId, { transaction });
+        const orderItems = await models.OrderItem.findAll({
+            where: { orderId: order.id },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        const amount = parseFloat(refund.amount);
+
+        const itemsById = new Map(orderItems.map((item) => [item.id, item]));
+        for (const line of refund.lines) {
+            const item = itemsById.get(line.orderItemId);
+            await item.increment('refundedQuantity', { by: line.quantity, transaction });
+
+            if (refund.restocked && item.flowerId) {
+                await models.Flower.increment('stock', {
+                    by: line.quantity,
+                    where: { id: item.flowerId },
+                    transaction
+                });
+            }
+        }
+
+        const paymentRefunded = roundMoney(parseFloat(payment.refundedAmount) + amount);
+        await payment.update({
+            refundedAmount: paymentRefunded,
+            status: paymentRefunded >= parseFloat(payment.amount) ? 'refunded' : 'partially_refunded'
+        }, { transaction });
+
+        order.refundedAmount = roundMoney(parseFloat(order.refundedAmount) + amount);
+
+        if (order.refundedAmount >= parseFloat(order.total)) {
+            await order.transitionTo('refunded', {
+                changedBy: refund.createdBy,
+                note: refund.reason || 'Order refunded',
+                transaction
+            });
+        } else {
+            order.paymentStatus = 'partially_refunded';
+            await order.save({ transaction });
+        }
+
+        return refund.update({
+            status: 'succeeded',
+            manual: result.manual,
+            providerReference: result.providerReference,
+            failureReason: null
+        }, { transaction });
+    });
+};
+
+/**
+ * Send a settled refund with the updated order
+ *
+ * @param {Object} res - Express response object
+ * @param {Refund} refund - Succeeded refund
+ */
+const sendRefund = async (res, refund) => {
+    const order = await models.Order.findByPk(refund.orderId, { include: adminOrderIncludes() });
+
+    res.status(201).json({
+        success: true,
+        message: refund.manual
+            ? `Refund of $${parseFloat(refund.amount).toFixed(2)} recorded, return the money to the customer manually`
+            : `Refund of $${parseFloat(refund.amount).toFixed(2)} issued`,
+        data: { refund, order: order.getDetails() }
+    });
+};
+
+/**
+ * Refund an order, fully or for some of its lines
+ *
+ * The money is returned through the provider of the payment that was
+ * taken; cash and KHQR refunds are recorded as manual for staff to pay
+ * back. A refund that brings the amount returned up to the order total
+ * moves the order to refunded. A cancelled order that was paid after it
+ * was cancelled is refunded the same way, without restocking.
+ *
+ * The refund is recorded as pending first and paid out afterwards (see
+ * settleRefund). If the provider does not confirm it the response is 502
+ * and the refund stays pending until it is retried; until then the
+ * order takes no other refunds or status changes.
+ *
+ * @route POST /api/admin/orders/:id/refunds
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ * @param {Object} req.body - Refund
+ * @param {Array<{orderItemId: number, quantity: number}>} req.body.items - Lines to refund (optional, default: everything remaining)
+ * @param {boolean} req.body.restock - Put the refunded quantities back into stock (default: false)
+ * @param {string} req.body.reason - Reason for the refund (optional)
+ */
+export const refundOrder = async (req, res) => {
+    const { id } = req.params;
+    const { items, restock = false, reason } = req.body;
+
+    if (items !== undefined) {
+        const valid = Array.isArray(items) && items.length > 0 && items.every((line) =>
+            line && Number.isInteger(Number(line.orderItemId)) && Number.isInteger(line.quantity) && line.quantity > 0
+        );
+
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'items must be a non-empty array of { orderItemId, quantity } with positive quantities'
+            });
+        }
+
+        if (new Set(items.map((line) => Number(line.orderItemId))).size !== items.length) {
+            return res.status(400).json({ success: false, message: 'Each order item can only be listed once' });
+        }
+    }
+
+    try {
+        const pending = await sequelize.transaction(async (transaction) => {
+            const order = await models.Order.findByPk(id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            if (!order) {
+                throw httpError(404, 'Order not Found');
+            }
+
+            if (order.paymentStatus === 'refunded') {
+                throw httpError(409, 'Order has already been fully refunded');
+            }
+
+            if (restock && order.status === 'cancelled') {
+                throw httpError(400, 'Stock was already released when the order was cancelled');
+            }
+
+            const inProgress = await models.Refund.findOne({
+                where: { orderId: order.id, status: 'pending' },
+                transaction
+            });
+
+            if (inProgress) {
+                throw httpError(409, 'A refund for this order is still pending, retry it first', { refundId: inProgress.id });
+            }
+
+            const payment = await models.Payment.findOne({
+                where: { orderId: order.id, status: ['succeeded', 'partially_refunded'] },
+                order: [['createdAt', 'DESC']],
+                transaction
+            });
+
+            if (!payment) {
+                throw httpError(409, 'Order has not been paid');
+            }
+
+            const orderItems = await models.OrderItem.findAll({
+                where: { orderId: order.id },
+                transaction
+            });
+
+            const plan = planRefund(order, orderItems, items);
+
+            if (plan.full && !order.canTransitionTo('refunded')) {
+                throw httpError(409, `Cannot fully refund an order that is ${order.status}`);
+            }
+
+            return models.Refund.create({
+                orderId: order.id,
+                paymentId: payment.id,
+                amount: plan.amount,
+                lines: plan.lines,
+                restocked: Boolean(restock),
+                reason,
+                createdBy: req.user.id
+            }, { transaction });
+        });
+
+        await sendRefund(res, await settleRefund(pending.id));
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in refundOrder:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Retry a pending refund
+ *
+ * For a refund whose payout was not confirmed. The provider gets the
+ * same idempotency key as before, so money that already went out is not
+ * sent again.
+ *
+ * @route POST /api/admin/orders/:id/refunds/:refundId/retry
+ * @access Private (Admin only)
+ * @param {number} id - Order ID
+ * @param {number} refundId - Refund ID
+ */
+export const retryRefund = async (req, res) => {
+    const { id, refundId } = req.params;
+
+    try {
+        const refund = await models.Refund.findOne({ where: { id: refundId, orderId: id } });
+
+        if (!refund) {
+            throw httpError(404, 'Refund not Found');
+        }
+
+        if (refund.status !== 'pending') {
+            throw httpError(409, 'Refund has already been paid out');
+        }
+
+        await sendRefund(res, await settleRefund(refund.id));
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in retryRefund:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get all flowers for catalog management
+ *
+ * Unlike the shop listing this includes inactive flowers. Soft deleted
+ * (discontinued) flowers are never listed. Accepts the same query
+ * parameters as GET /api/flower. Flowers keep their stored prices for
+ * editing, with the current effectivePrice and onSale added.
+ *
+ * @route GET /api/admin/flowers
+ * @access Private (Admin only)
+ * @query {string} status - Filter by status: active, inactive (default: both)
+ */
+export const getAllFlowers = async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const rules = await models.PricingRule.findActive();
+        const { where, order } = buildFlowerQuery(req.query, { statuses: ['active', 'inactive'], rules });
+
+        const { count, rows } = await models.Flower.findAndCountAll({
+            where,
+            order,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rows.map((flower) => ({
+                ...flower.toJSON(),
+                effectivePrice: flower.getEffectivePrice({ rules }).toFixed(2),
+                onSale: flower.isOnSale()
+            })),
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getAllFlowers:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
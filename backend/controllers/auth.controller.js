@@ -7,6 +7,11 @@
  * Features:
  * - User registration with email verification
  * - User login with JWT token generation
+ * - Short-lived access tokens renewed with rotating refresh tokens
+ * - Logout and password change revoke refresh tokens
+ * - Password reset through a single-use emailed link
+ * - Email address verification on signup, with throttled resend
+ * - Login with email or username, with lockout after repeated failures
  * - Password hashing with bcrypt
  * - Input validation and sanitization
  * - Proper error handling and responses
@@ -14,6 +19,7 @@
  * Security Considerations:
  * - Passwords are hashed with bcrypt (12 salt rounds)
  * - JWT tokens are signed with secret key
+ * - Refresh tokens are stored hashed; a reused token revokes its session
  * - Email and username uniqueness validation
  * - Rate limiting should be applied at middleware level
  *
@@ -22,12 +28,119 @@
  */
 
 import models from '../models/index.js';
+import sequelize from '../config/sequelize.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { signAccessToken, getExpiresIn } from '../utils/authTokens.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { sendMail } from '../mail/index.js';
+import { passwordResetEmail, emailVerificationEmail } from '../mail/templates.js';
+import { SHOP_URL } from '../config/shop.js';
+import {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_BYTES,
+    PASSWORD_RESET_TTL_MINUTES,
+    PASSWORD_RESET_RESEND_SECONDS,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    EMAIL_VERIFICATION_RESEND_SECONDS
+} from '../config/auth.js';
 
 dotenv.config();
 
+// bcrypt hash of a random password, compared against when no account matches
+const DUMMY_PASSWORD_HASH = '$2b$12$X8pXJSI7rNy597fs.vnKie.xel/8OflT1MjkzOPenuWRV7WbDBDSW';
+
+/**
+ * Issue an access token and a refresh token for a user
+ *
+ * @param {User} user - User instance
+ * @param {Object} req - Express request object (for the user agent)
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+const issueSession = async (user, req, { transaction } = {}) => {
+    const token = signAccessToken(user);
+    const refreshToken = await models.RefreshToken.issue({
+        userId: user.id,
+        userAgent: req.headers['user-agent'],
+        transaction
+    });
+
+    return { token, refreshToken, expiresIn: getExpiresIn(token) };
+};
+
+/**
+ * Hash a password with the configured salt rounds
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    return bcrypt.hash(password, saltRounds);
+};
+
+/**
+ * Email a new verification link to a user
+ *
+ * The email is sent in the background; a failure is logged and the
+ * user can ask for another link.
+ *
+ * @param {User} user - User instance
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await user.generateEmailVerificationToken();
+    const message = emailVerificationEmail({
+        username: user.username,
+        url: `${SHOP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    });
+
+    sendMail({ to: user.email, ...message }).catch((error) => {
+        console.log('Error sending verification email:', error);
+    });
+};
+
+/**
+ * Error for a locked account or address, with a Retry-After header
+ *
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @param {string} code - Error code
+ * @param {number} retryAfter - Seconds until the lock ends
+ * @returns {Error} httpError
+ */
+const lockedError = (res, status, message, code, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return httpError(status, message, { error: code, retryAfter });
+};
+
+/**
+ * Check a new password against the password policy
+ *
+ * @param {*} password - Password from the request body
+ * @param {Object} account - Email and username it may not equal
+ * @returns {string|null} Problem with the password, or null when it is accepted
+ */
+const checkPassword = (password, { email, username } = {}) => {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+    }
+
+    if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+        return `Password must be at most ${PASSWORD_MAX_BYTES} bytes long`;
+    }
+
+    const lowered = password.toLowerCase();
+    if ([email, username].some((value) => value && String(value).toLowerCase() === lowered)) {
+        return 'Password must not be the same as your email or username';
+    }
+
+    return null;
+};
+
 /**
  * Register a new user
  *
@@ -56,9 +169,10 @@ export const register = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
+        const passwordProblem = checkPassword(password, { email, username });
+        if (passwordProblem) {
             return res.status(400).json({
-                message: 'Password must be at least 6 characters long'
+                message: passwordProblem
             });
         }
 
@@ -70,12 +184,15 @@ export const register = async (req, res) => {
             });
         }
 
-        // Check if user already exists (using Sequelize syntax)
-        const existingUser = await models.User.findOne({
-            where: {
-                email: email
-            }
-        });
+        // Usernames can be used to log in, so they must not look like an email
+        if (username.includes('@')) {
+            return res.status(400).json({
+                message: 'Username cannot contain @'
+            });
+        }
+
+        // Check if user already exists (emails and usernames are matched ignoring case)
+        const existingUser = await models.User.findByIdentifier(email);
 
         if (existingUser) {
             return res.status(400).json({
@@ -85,7 +202,7 @@ export const register = async (req, res) => {
 
         // Check username uniqueness if provided
         if (username) {
-            const existingUsername = await models.User.findOne({ where: { username: username.toLowerCase() } });
+            const existingUsername = await models.User.findByIdentifier(username);
             if (existingUsername) {
                 return res.status(400).json({
                     message: 'Username already taken'
@@ -94,8 +211,7 @@ export const register = async (req, res) => {
         }
 
         // Hash password
-        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const hashedPassword = await hashPassword(password);
 
         // Create user (hooks will handle username generation if not provided)
         const user = await models.User.create({
@@ -105,22 +221,17 @@ export const register = async (req, res) => {
             username
         });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                role: user.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Ask the user to prove they own the email address
+        await sendVerificationEmail(user);
+
+        // Generate access and refresh tokens
+        const session = await issueSession(user, req);
 
         // Return success response (exclude sensitive data)
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            token
+            message: 'User registered successfully, please check your email to verify your account',
+            ...session
         });
 
     } catch (error) {
@@ -158,74 +269,390 @@ export const register = async (req, res) => {
 /**
  * Login user
  *
+ * Failed logins are counted per account and per IP address; after too
+ * many the account or address is locked for a time that doubles with
+ * every further failure (see utils/loginLockout.js). A locked account
+ * is refused without checking the password. Identifiers that match no
+ * account are counted and locked the same way.
+ *
+ * Errors carry an `error` code for the client:
+ * - 400 MISSING_CREDENTIALS
+ * - 401 INVALID_CREDENTIALS: unknown account or wrong password
+ * - 423 ACCOUNT_LOCKED: with retryAfter in seconds
+ * - 429 TOO_MANY_ATTEMPTS: too many failures from this address, with retryAfter
+ *
  * @route POST /api/auth/login
  * @access Public
  * @param {Object} req.body - Login credentials
- * @param {string} req.body.email - Email address or username
+ * @param {string} req.body.identifier - Email address or username (`email` is accepted too)
  * @param {string} req.body.password - Password
  */
 export const login = async (req, res) => {
-    try {
-        const { email, password } = req.body;
+    const { identifier = req.body.email, password } = req.body;
 
+    try {
         // Input validation
-        if (!email || !password) {
-            return res.status(400).json({
-                message: 'Email and password are required',
+        if (!identifier || !password || typeof identifier !== 'string' || typeof password !== 'string') {
+            throw httpError(400, 'Email or username and password are required', {
+                error: 'MISSING_CREDENTIALS',
                 errors: {
-                    email: !email ? 'Email is required' : null,
+                    identifier: !identifier ? 'Email or username is required' : null,
                     password: !password ? 'Password is required' : null
                 }
             });
         }
 
-        // Find user by email or username (using Sequelize syntax)
-        const user = await models.User.findOne({
-            where: {
-                email: email
-            }
-        });
+        const ipRetryAfter = await models.LoginThrottle.getRetryAfter(req.ip);
+        if (ipRetryAfter) {
+            throw lockedError(res, 429, 'Too many failed logins from this network', 'TOO_MANY_ATTEMPTS', ipRetryAfter);
+        }
 
-        if (!user) {
-            return res.status(400).json({
-                message: 'Invalid email or password'
-            });
+        const user = await models.User.findByIdentifier(identifier);
+
+        // Compare against a dummy hash for unknown accounts so both take as long
+        const verify = () => bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+        // Unknown identifiers are locked out like accounts, so a lock does not reveal which exist
+        const { outcome, retryAfter } = user
+            ? await user.attemptLogin(verify)
+            : await models.LoginThrottle.attemptLogin(identifier, verify);
+
+        if (outcome === 'failed') {
+            await models.LoginThrottle.recordFailure(req.ip);
         }
 
-        // Verify password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
-        if (!isPasswordValid) {
-            return res.status(400).json({
-                message: 'Invalid email or password'
-            });
+        if (retryAfter) {
+            throw lockedError(res, 423, 'This account is temporarily locked after too many failed logins', 'ACCOUNT_LOCKED', retryAfter);
+        }
+
+        if (outcome !== 'ok') {
+            throw httpError(401, 'Invalid email, username or password', { error: 'INVALID_CREDENTIALS' });
         }
 
-        // Update last login timestamp
-        // await user.updateLastLogin();
+        await user.recordSuccessfulLogin();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email,
-                role: user.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Generate access and refresh tokens
+        const session = await issueSession(user, req);
 
         // Return success response
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            token
+            ...session
         });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in login:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * The presented refresh token is revoked. Presenting it again revokes
+ * every token issued from the same login.
+ *
+ * @route POST /api/auth/refresh
+ * @access Public
+ * @param {string} req.body.refreshToken - Refresh token from login or the last refresh
+ */
+export const refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw httpError(400, 'Refresh token is required');
+        }
+
+        const rotated = await sequelize.transaction(async (transaction) => {
+            return models.RefreshToken.rotate(refreshToken, {
+                userAgent: req.headers['user-agent'],
+                transaction
+            });
+        });
+
+        if (rotated.reused) {
+            throw httpError(401, 'This session is no longer valid, please log in again', { error: 'REFRESH_TOKEN_REUSED' });
+        }
 
+        const user = await models.User.findByPk(rotated.userId);
+
+        if (!user) {
+            throw httpError(401, 'User not found', { error: 'USER_NOT_FOUND' });
+        }
+
+        const token = signAccessToken(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            token,
+            refreshToken: rotated.refreshToken,
+            expiresIn: getExpiresIn(token)
+        });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            message: 'Internal server error',
-            ...(process.env.NODE_ENV === 'development' && { error: error.message })
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in refresh:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Logout user
+ *
+ * Revokes the refresh token and every token rotated from the same
+ * login. The access token stays valid until it expires, which is why
+ * it is short-lived. Unknown or already revoked tokens are ignored so
+ * logging out twice is not an error.
+ *
+ * @route POST /api/auth/logout
+ * @access Public
+ * @param {string} req.body.refreshToken - Refresh token of the session to end
+ */
+export const logout = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        if (refreshToken && typeof refreshToken === 'string') {
+            await models.RefreshToken.revokeToken(refreshToken, 'logout');
+        }
+
+        res.status(200).json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.log('Error in logout:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Change the password of the current user
+ *
+ * Revokes every session of the user, including access tokens issued
+ * before the change, and returns a new pair for the current browser.
+ *
+ * @route POST /api/auth/change-password
+ * @access Private
+ * @param {string} req.body.currentPassword - Current password (required)
+ * @param {string} req.body.newPassword - New password (required, min 6 characters)
+ */
+export const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        if (!currentPassword || !newPassword) {
+            throw httpError(400, 'Current and new password are required');
+        }
+
+        const user = await models.User.findByPk(req.user.id);
+
+        const passwordProblem = checkPassword(newPassword, user);
+        if (passwordProblem) {
+            throw httpError(400, passwordProblem);
+        }
+
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            throw httpError(400, 'Current password is incorrect');
+        }
+
+        const password = await hashPassword(newPassword);
+
+        const session = await sequelize.transaction(async (transaction) => {
+            await user.update({ password, passwordChangedAt: new Date() }, { transaction });
+            await models.RefreshToken.revokeAllForUser(user.id, 'password_change', { transaction });
+            return issueSession(user, req, { transaction });
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            ...session
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in changePassword:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Request a password reset link
+ *
+ * Always answers the same way, so the response does not reveal whether
+ * an account uses the email. The email is sent in the background for
+ * the same reason, and at most once per PASSWORD_RESET_RESEND_SECONDS.
+ *
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ * @param {string} req.body.email - Email address of the account (required)
+ */
+export const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        if (!email || typeof email !== 'string') {
+            throw httpError(400, 'Email is required');
+        }
+
+        const user = await models.User.findByIdentifier(email);
+
+        const lastRequestedAt = user?.passwordResetExpires
+            ? user.passwordResetExpires.getTime() - PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+            : 0;
+
+        if (user && Date.now() - lastRequestedAt >= PASSWORD_RESET_RESEND_SECONDS * 1000) {
+            const token = await user.generatePasswordResetToken();
+            const message = passwordResetEmail({
+                username: user.username,
+                url: `${SHOP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+                expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+            });
+
+            sendMail({ to: user.email, ...message }).catch((error) => {
+                console.log('Error sending password reset email:', error);
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent to it'
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in forgotPassword:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Set a new password with a reset link
+ *
+ * The link works once. Every session of the user is revoked, so they
+ * log in again with the new password. Following the link proves the
+ * user owns the email address, so it is marked verified too.
+ *
+ * @route POST /api/auth/reset-password
+ * @access Public
+ * @param {string} req.body.token - Token from the emailed link (required)
+ * @param {string} req.body.password - New password (required)
+ */
+export const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        await sequelize.transaction(async (transaction) => {
+            const user = await models.User.findByPasswordResetToken(token, { transaction });
+
+            if (!user) {
+                throw httpError(400, 'This reset link is invalid or has expired', { error: 'INVALID_RESET_TOKEN' });
+            }
+
+            const passwordProblem = checkPassword(password, user);
+            if (passwordProblem) {
+                throw httpError(400, passwordProblem);
+            }
+
+            await user.update({
+                password: await hashPassword(password),
+                passwordChangedAt: new Date(),
+                passwordResetToken: null,
+                passwordResetExpires: null,
+                emailVerified: true,
+                emailVerificationToken: null
+            }, { transaction });
+
+            await models.RefreshToken.revokeAllForUser(user.id, 'password_reset', { transaction });
         });
+
+        res.status(200).json({ success: true, message: 'Password reset successfully, please log in' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in resetPassword:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Verify an email address with the emailed link
+ *
+ * @route POST /api/auth/verify-email
+ * @access Public
+ * @param {string} req.body.token - Token from the emailed link (required)
+ */
+export const verifyEmail = async (req, res) => {
+    const { token } = req.body;
+
+    try {
+        const user = await models.User.findByEmailVerificationToken(token);
+
+        if (!user) {
+            throw httpError(400, 'This verification link is invalid or has expired', { error: 'INVALID_VERIFICATION_TOKEN' });
+        }
+
+        await user.update({ emailVerified: true, emailVerificationToken: null });
+
+        res.status(200).json({ success: true, message: 'Email verified successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in verifyEmail:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Send the current user a new verification link
+ *
+ * Earlier links stop working. Limited to one email per
+ * EMAIL_VERIFICATION_RESEND_SECONDS.
+ *
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+export const resendVerification = async (req, res) => {
+    try {
+        const user = await models.User.findByPk(req.user.id);
+
+        if (user.emailVerified) {
+            throw httpError(400, 'Your email is already verified');
+        }
+
+        const nextAllowedAt = user.emailVerificationSentAt
+            ? user.emailVerificationSentAt.getTime() + EMAIL_VERIFICATION_RESEND_SECONDS * 1000
+            : 0;
+
+        if (nextAllowedAt > Date.now()) {
+            const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            throw httpError(429, `Please wait ${retryAfter} seconds before asking for another email`, { retryAfter });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({ success: true, message: `Verification email sent to ${user.email}` });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in resendVerification:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
@@ -1,31 +1,101 @@
 import models from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { quoteCart } from '../utils/pricing.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getCartTotals = async (userId, transaction) => {
+    const cartItems = await models.Cart.findAll({ where: { userId }, transaction });
+
+    return {
+        lines: cartItems.length,
+        quantity: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: roundMoney(cartItems.reduce((sum, item) => sum + parseFloat(item.unit_price) * item.quantity, 0))
+    };
+};
 
 export const addFlowerToCart = async (req, res) => {
-    const { flower, userId, quantity } = req.body;
+    const userId = req.user.id;
+    const { flower } = req.body;
+    const flowerId = req.body.flowerId ?? flower?.id;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!flowerId) {
+        return res.status(400).json({ success: false, message: 'Flower ID is required' });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ success: false, message: 'Quantity must be a positive integer' });
+    }
 
     try {
-        const addToCart = await models.Cart.create({
-            userId,
-            flowerId: flower.id,
-            quantity,
-            unit_price: flower.price
-        });
+        const result = await sequelize.transaction(async (transaction) => {
+            // Locking the flower serialises concurrent adds of the same flower
+            const catalogFlower = await models.Flower.findByPk(flowerId, {
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
 
-        res.status(200).json({ success: true, message: 'Flower added to cart successfully' });
+            if (!catalogFlower || catalogFlower.status !== 'active') {
+                throw httpError(404, 'Flower not Found');
+            }
 
+            if (catalogFlower.stock < 1) {
+                throw httpError(409, 'Out of stock', { available: 0 });
+            }
+
+            const cartItem = await models.Cart.findOne({
+                where: { userId, flowerId },
+                transaction
+            });
+
+            const requested = (cartItem ? cartItem.quantity : 0) + quantity;
+            const newQuantity = Math.min(requested, catalogFlower.stock);
+
+            // Price always comes from the catalog, never from the client
+            const rules = await models.PricingRule.findActive({ transaction });
+            const unitPrice = catalogFlower.getEffectivePrice({ rules });
+            const item = cartItem
+                ? await cartItem.update({ quantity: newQuantity, unit_price: unitPrice }, { transaction })
+                : await models.Cart.create({
+                    userId,
+                    flowerId,
+                    quantity: newQuantity,
+                    unit_price: unitPrice
+                }, { transaction });
+
+            return {
+                item,
+                capped: newQuantity < requested,
+                totals: await getCartTotals(userId, transaction)
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: result.capped
+                ? `Only ${result.item.quantity} available, cart quantity set to ${result.item.quantity}`
+                : 'Flower added to cart successfully',
+            data: result
+        });
     } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
         console.log('Error in addFlowerToCart:', error);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
 };
 
 export const getCartItems = async (req, res) => {
-    const { id } = req.params;
+    const userId = req.user.id;
 
     try {
         const cartItems = await models.Cart.findAll({
             where: {
-                userId: id
+                userId
             },
             include: {
                 model: models.Flower,
@@ -40,7 +110,10 @@ export const getCartItems = async (req, res) => {
             return res.status(404).json({ success: true, message: 'No Items Found' });
         }
 
-        res.status(200).json({ success: true, data: cartItems });
+        const rules = await models.PricingRule.findActive();
+        const data = cartItems.map((item) => ({ ...item.toJSON(), flower: item.flower.getCatalogDetails({ rules }) }));
+
+        res.status(200).json({ success: true, data });
     } catch (error) {
         console.log('Error in getCartItems:', error);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
@@ -48,11 +121,11 @@ export const getCartItems = async (req, res) => {
 };
 
 export const getCartQuantity = async (req, res) => {
-    const { id } = req.params;
+    const userId = req.user.id;
 
     try {
         const itemQuantity = await models.Cart.count({
-            where: { userId: id }
+            where: { userId }
         });
 
         if (!itemQuantity) {
@@ -64,4 +137,125 @@ export const getCartQuantity = async (req, res) => {
         console.log('Error in getCartQuantity:', error);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
-};
\ No newline at end of file
+};
+
+export const getCartQuote = async (req, res) => {
+    const userId = req.user.id;
+    const { shippingAddressId, couponCodes } = req.body;
+
+    try {
+        const codes = models.Coupon.normalizeCodes(couponCodes);
+        let address = null;
+
+        if (shippingAddressId) {
+            address = await models.ShippingAddress.findOne({
+                where: { id: shippingAddressId, userId }
+            });
+
+            if (!address) {
+                throw httpError(404, 'Shipping Address not Found');
+            }
+        }
+
+        const cartItems = await models.Cart.findAll({
+            where: { userId },
+            include: { model: models.Flower, as: 'flower' },
+            order: [['flowerId', 'ASC']]
+        });
+
+        if (cartItems.length === 0) {
+            throw httpError(400, 'Cart is empty');
+        }
+
+        const coupons = await models.Coupon.findUsable(codes, { userId });
+
+        const quote = quoteCart({
+            lines: cartItems.map((item) => ({ flower: item.flower, quantity: item.quantity })),
+            address,
+            coupons,
+            rules: await models.PricingRule.findActive()
+        });
+
+        res.status(200).json({ success: true, data: quote });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getCartQuote:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+export const updateCartItem = async (req, res) => {
+    const userId = req.user.id;
+    const { flowerId } = req.params;
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ success: false, message: 'Quantity must be a positive integer' });
+    }
+
+    try {
+        const cartItem = await models.Cart.findOne({
+            where: { userId, flowerId },
+            include: { model: models.Flower, as: 'flower' }
+        });
+
+        if (!cartItem) {
+            return res.status(404).json({ success: false, message: 'Cart Item not Found' });
+        }
+
+        const available = cartItem.flower.status === 'active' ? cartItem.flower.stock : 0;
+
+        if (quantity > available) {
+            return res.status(409).json({
+                success: false,
+                message: `Only ${available} left in stock`,
+                available
+            });
+        }
+
+        await cartItem.update({ quantity });
+
+        res.status(200).json({ success: true, message: 'Cart Item Updated Successfully', data: cartItem });
+    } catch (error) {
+        console.log('Error in updateCartItem:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+export const removeCartItem = async (req, res) => {
+    const userId = req.user.id;
+    const { flowerId } = req.params;
+
+    try {
+        const rowAffected = await models.Cart.destroy({
+            where: { userId, flowerId }
+        });
+
+        if (rowAffected === 0) {
+            return res.status(404).json({ success: false, message: 'Cart Item not Found' });
+        }
+
+        res.status(200).json({ success: true, message: 'Cart Item Removed Successfully' });
+    } catch (error) {
+        console.log('Error in removeCartItem:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+export const clearCart = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        await models.Cart.destroy({
+            where: { userId }
+        });
+
+        res.status(200).json({ success: true, message: 'Cart Cleared Successfully' });
+    } catch (error) {
+        console.log('Error in clearCart:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
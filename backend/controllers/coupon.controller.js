@@ -0,0 +1,368 @@
+/**
+ * Coupon Controller - Promo Code Management
+ *
+ * Admin operations for the coupons customers apply in the cart. Coupons
+ * are checked and applied by Coupon.findUsable() and the pricing service.
+ *
+ * Features:
+ * - Coupon listing with search and pagination
+ * - Single coupon lookup with its most recent redemptions
+ * - Create, update and delete
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { parsePagination, buildPagination, containsPattern, parseSearch } from '../utils/queryFilters.js';
+
+const RECENT_REDEMPTIONS = 20;
+
+const categoryValues = () => models.Flower.getAttributes().category.values;
+const typeValues = () => models.Coupon.getAttributes().type.values;
+
+/**
+ * Parse an optional positive number field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @param {Object} options
+ * @param {boolean} options.integer - Require a whole number
+ * @returns {number|null|undefined} Number, null when cleared, undefined when absent
+ */
+const optionalNumber = (value, label, { integer = false } = {}) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (value === null || value === '') {
+        return null;
+    }
+
+    const number = Number(value);
+    if (Number.isNaN(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+        throw httpError(400, `${label} must be a positive ${integer ? 'integer' : 'number'}`);
+    }
+
+    return number;
+};
+
+/**
+ * Parse an optional date field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {Date|null|undefined} Date, null when cleared, undefined when absent
+ */
+const optionalDate = (value, label) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (value === null || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw httpError(400, `${label} must be a valid date`);
+    }
+
+    return date;
+};
+
+/**
+ * Validate and pick the writable coupon fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present (for updates)
+ * @param {Coupon} options.current - Coupon being updated, for checks across fields
+ * @returns {Object} Attributes to save
+ * @throws {Error} 400 httpError when a field is invalid
+ */
+const parseCouponInput = (body, { partial = false, current = null } = {}) => {
+    const { code, description, type, value, categories, flowerIds, stackable, active } = body;
+    const data = {};
+
+    if (code !== undefined || !partial) {
+        if (typeof code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(code.trim())) {
+            throw httpError(400, 'Code must be 3 to 32 letters, digits, dashes or underscores');
+        }
+        data.code = code;
+    }
+
+    if (type !== undefined || !partial) {
+        if (!typeValues().includes(type)) {
+            throw httpError(400, 'Type must be percentage, fixed or free_shipping');
+        }
+        data.type = type;
+    }
+
+    const finalType = data.type ?? current?.type;
+
+    if (finalType === 'free_shipping') {
+        data.value = 0;
+    } else if (value !== undefined || !partial || data.type) {
+        const number = Number(value ?? current?.value);
+        if (Number.isNaN(number) || number <= 0) {
+            throw httpError(400, 'Value must be a positive number');
+        }
+        if (finalType === 'percentage' && number > 100) {
+            throw httpError(400, 'A percentage cannot be more than 100');
+        }
+        data.value = number;
+    }
+
+    const numbers = {
+        maxDiscount: optionalNumber(body.maxDiscount, 'Max discount'),
+        minSubtotal: optionalNumber(body.minSubtotal, 'Minimum subtotal'),
+        usageLimit: optionalNumber(body.usageLimit, 'Usage limit', { integer: true }),
+        perUserLimit: optionalNumber(body.perUserLimit, 'Per user limit', { integer: true }),
+        startsAt: optionalDate(body.startsAt, 'Start date'),
+        endsAt: optionalDate(body.endsAt, 'End date')
+    };
+    for (const [field, parsed] of Object.entries(numbers)) {
+        if (parsed !== undefined) {
+            data[field] = parsed;
+        }
+    }
+
+    const startsAt = data.startsAt !== undefined ? data.startsAt : current?.startsAt;
+    const endsAt = data.endsAt !== undefined ? data.endsAt : current?.endsAt;
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        throw httpError(400, 'End date must be after the start date');
+    }
+
+    if (categories !== undefined) {
+        if (!Array.isArray(categories) || categories.some((category) => !categoryValues().includes(category))) {
+            throw httpError(400, 'Invalid category');
+        }
+        data.categories = [...new Set(categories)];
+    }
+
+    if (flowerIds !== undefined) {
+        const ids = Array.isArray(flowerIds) ? flowerIds.map(Number) : null;
+        if (!ids || ids.some((id) => !Number.isInteger(id) || id < 1)) {
+            throw httpError(400, 'Flower IDs must be an array of IDs');
+        }
+        data.flowerIds = [...new Set(ids)];
+    }
+
+    if (description !== undefined) {
+        data.description = description || null;
+    }
+
+    if (stackable !== undefined) {
+        data.stackable = stackable === true || stackable === 'true';
+    }
+
+    if (active !== undefined) {
+        data.active = active === true || active === 'true';
+    }
+
+    return data;
+};
+
+/**
+ * Find a coupon
+ *
+ * @param {number} id - Coupon ID
+ * @returns {Promise<Coupon>} Coupon instance
+ * @throws {Error} 404 httpError when the coupon does not exist
+ */
+const findCoupon = async (id) => {
+    const coupon = await models.Coupon.findByPk(id);
+
+    if (!coupon) {
+        throw httpError(404, 'Coupon not Found');
+    }
+
+    return coupon;
+};
+
+/**
+ * Get all coupons
+ *
+ * @route GET /api/admin/coupons
+ * @access Private (Admin only)
+ * @query {string} search - Match on code or description
+ * @query {string} status - active or inactive (default: both)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page
+ */
+export const getCoupons = async (req, res) => {
+    const { search, status } = req.query;
+
+    try {
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const where = {};
+
+        const term = parseSearch(search);
+
+        if (term) {
+            where[Op.or] = [
+                { code: { [Op.iLike]: containsPattern(term) } },
+                { description: { [Op.iLike]: containsPattern(term) } }
+            ];
+        }
+
+        if (status) {
+            if (!['active', 'inactive'].includes(status)) {
+                throw httpError(400, 'Status must be active or inactive');
+            }
+            where.active = status === 'active';
+        }
+
+        const { count, rows } = await models.Coupon.findAndCountAll({
+            where,
+            order: [['createdAt', 'DESC']],
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rows,
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getCoupons:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get a single coupon with its recent redemptions
+ *
+ * @route GET /api/admin/coupons/:id
+ * @access Private (Admin only)
+ * @param {number} id - Coupon ID
+ */
+export const getCouponById = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const coupon = await findCoupon(id);
+        const redemptions = await models.CouponRedemption.findAll({
+            where: { couponId: coupon.id },
+            include: { model: models.User, as: 'user', attributes: ['id', 'username', 'email'] },
+            order: [['createdAt', 'DESC']],
+            limit: RECENT_REDEMPTIONS
+        });
+
+        res.status(200).json({ success: true, data: { ...coupon.toJSON(), redemptions } });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getCouponById:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create a coupon
+ *
+ * @route POST /api/admin/coupons
+ * @access Private (Admin only)
+ * @param {Object} req.body - Coupon data
+ * @param {string} req.body.code - Code customers type in (required)
+ * @param {string} req.body.type - percentage, fixed or free_shipping (required)
+ * @param {number} req.body.value - Percent or amount off (required unless free_shipping)
+ * @param {number} req.body.maxDiscount - Cap on a percentage discount
+ * @param {number} req.body.minSubtotal - Cart subtotal needed
+ * @param {number} req.body.usageLimit - Total uses allowed
+ * @param {number} req.body.perUserLimit - Uses allowed per customer
+ * @param {string} req.body.startsAt - Start of the validity window
+ * @param {string} req.body.endsAt - End of the validity window
+ * @param {string[]} req.body.categories - Categories the coupon is limited to
+ * @param {number[]} req.body.flowerIds - Flowers the coupon is limited to
+ * @param {boolean} req.body.stackable - Can be combined with other stackable codes
+ * @param {boolean} req.body.active - Can be used (default: true)
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const coupon = await models.Coupon.create(parseCouponInput(req.body));
+
+        res.status(201).json({ success: true, message: 'Coupon Created Successfully', data: coupon });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+        }
+
+        console.log('Error in createCoupon:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update a coupon
+ *
+ * Only the fields present in the body are changed.
+ *
+ * @route PUT /api/admin/coupons/:id
+ * @access Private (Admin only)
+ * @param {number} id - Coupon ID
+ */
+export const updateCoupon = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const coupon = await findCoupon(id);
+
+        await coupon.update(parseCouponInput(req.body, { partial: true, current: coupon }));
+
+        res.status(200).json({ success: true, message: 'Coupon Updated Successfully', data: coupon });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ success: false, message: 'Coupon code already exists' });
+        }
+
+        console.log('Error in updateCoupon:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Delete a coupon
+ *
+ * Orders that used it keep their redemption rows and the code.
+ *
+ * @route DELETE /api/admin/coupons/:id
+ * @access Private (Admin only)
+ * @param {number} id - Coupon ID
+ */
+export const deleteCoupon = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const coupon = await findCoupon(id);
+
+        await coupon.destroy();
+
+        res.status(200).json({ success: true, message: 'Coupon Deleted Successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in deleteCoupon:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
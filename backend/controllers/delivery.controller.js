@@ -0,0 +1,360 @@
+/**
+ * Delivery Controller - Delivery Slot Scheduling
+ *
+ * Lets customers see which delivery dates and times can be booked, and
+ * admins manage the slots and blackout dates. Slots are booked at
+ * checkout by DeliverySlot.reserve().
+ *
+ * Features:
+ * - Availability per date for a province, with places left
+ * - Slot create, update and delete
+ * - Blackout date listing, create and delete
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Parse a time of day field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {string} Time as HH:MM
+ * @throws {Error} 400 httpError when the value is not a time
+ */
+const parseTime = (value, label) => {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value.slice(0, 5))) {
+        throw httpError(400, `${label} must be a time (HH:MM)`);
+    }
+
+    return value.slice(0, 5);
+};
+
+/**
+ * Validate and pick the writable slot fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present (for updates)
+ * @param {DeliverySlot} options.current - Slot being updated, for checks across fields
+ * @returns {Object} Attributes to save
+ * @throws {Error} 400 httpError when a field is invalid
+ */
+const parseSlotInput = (body, { partial = false, current = null } = {}) => {
+    const { label, startTime, endTime, cutoffTime, daysOfWeek, capacity, provinces, active } = body;
+    const data = {};
+
+    if (label !== undefined || !partial) {
+        if (typeof label !== 'string' || !label.trim()) {
+            throw httpError(400, 'Label is required');
+        }
+        data.label = label.trim();
+    }
+
+    if (startTime !== undefined || !partial) {
+        data.startTime = parseTime(startTime, 'Start time');
+    }
+
+    if (endTime !== undefined || !partial) {
+        data.endTime = parseTime(endTime, 'End time');
+    }
+
+    if (cutoffTime !== undefined) {
+        data.cutoffTime = cutoffTime === null || cutoffTime === '' ? null : parseTime(cutoffTime, 'Cutoff time');
+    }
+
+    const finalStart = (data.startTime ?? current?.startTime).slice(0, 5);
+    const finalEnd = (data.endTime ?? current?.endTime).slice(0, 5);
+    const finalCutoff = data.cutoffTime !== undefined ? data.cutoffTime : current?.cutoffTime?.slice(0, 5);
+
+    if (finalEnd <= finalStart) {
+        throw httpError(400, 'End time must be after the start time');
+    }
+
+    if (finalCutoff && finalCutoff >= finalEnd) {
+        throw httpError(400, 'Cutoff time must be before the end time');
+    }
+
+    if (capacity !== undefined || !partial) {
+        const number = Number(capacity);
+        if (!Number.isInteger(number) || number < 1) {
+            throw httpError(400, 'Capacity must be a positive integer');
+        }
+        data.capacity = number;
+    }
+
+    if (daysOfWeek !== undefined) {
+        const days = Array.isArray(daysOfWeek) ? daysOfWeek.map(Number) : null;
+        if (!days || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw httpError(400, 'Days of week must be an array of 0 (Sunday) to 6 (Saturday)');
+        }
+        data.daysOfWeek = [...new Set(days)].sort();
+    }
+
+    if (provinces !== undefined) {
+        if (!Array.isArray(provinces) || provinces.some((province) => typeof province !== 'string' || !province.trim())) {
+            throw httpError(400, 'Provinces must be an array of province names');
+        }
+        data.provinces = [...new Set(provinces.map((province) => province.trim()))];
+    }
+
+    if (active !== undefined) {
+        data.active = active === true || active === 'true';
+    }
+
+    return data;
+};
+
+/**
+ * Find a delivery slot
+ *
+ * @param {number} id - Slot ID
+ * @returns {Promise<DeliverySlot>} Slot instance
+ * @throws {Error} 404 httpError when the slot does not exist
+ */
+const findSlot = async (id) => {
+    const slot = await models.DeliverySlot.findByPk(id);
+
+    if (!slot) {
+        throw httpError(404, 'Delivery Slot not Found');
+    }
+
+    return slot;
+};
+
+/**
+ * Get the delivery dates and slots that can be booked
+ *
+ * @route GET /api/delivery/slots
+ * @access Public
+ * @query {string} province - Delivery province (required)
+ * @query {string} from - First date, YYYY-MM-DD (default: today in the shop time zone)
+ * @query {number} days - Number of days (default: 7)
+ */
+export const getDeliveryAvailability = async (req, res) => {
+    const { province, from, days } = req.query;
+
+    try {
+        if (!province || !province.trim()) {
+            throw httpError(400, 'Province is required');
+        }
+
+        const availability = await models.DeliverySlot.getAvailability({
+            province: province.trim(),
+            from: from || null,
+            days: parseInt(days) || 7
+        });
+
+        res.status(200).json({ success: true, data: availability });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getDeliveryAvailability:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get all delivery slots
+ *
+ * @route GET /api/admin/delivery-slots
+ * @access Private (Admin only)
+ */
+export const getDeliverySlots = async (req, res) => {
+    try {
+        const slots = await models.DeliverySlot.findAll({
+            order: [['startTime', 'ASC'], ['id', 'ASC']]
+        });
+
+        res.status(200).json({ success: true, data: slots });
+    } catch (error) {
+        console.log('Error in getDeliverySlots:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create a delivery slot
+ *
+ * @route POST /api/admin/delivery-slots
+ * @access Private (Admin only)
+ * @param {Object} req.body - Slot data
+ * @param {string} req.body.label - Name shown to customers (required)
+ * @param {string} req.body.startTime - Start of the window, HH:MM (required)
+ * @param {string} req.body.endTime - End of the window, HH:MM (required)
+ * @param {string} req.body.cutoffTime - Latest time to book for the same day (default: start time)
+ * @param {number} req.body.capacity - Orders per date (required)
+ * @param {number[]} req.body.daysOfWeek - Days it runs, 0 = Sunday (default: every day)
+ * @param {string[]} req.body.provinces - Provinces it is offered in (default: all)
+ * @param {boolean} req.body.active - Is offered (default: true)
+ */
+export const createDeliverySlot = async (req, res) => {
+    try {
+        const slot = await models.DeliverySlot.create(parseSlotInput(req.body));
+
+        res.status(201).json({ success: true, message: 'Delivery Slot Created Successfully', data: slot });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in createDeliverySlot:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update a delivery slot
+ *
+ * Only the fields present in the body are changed. Orders already
+ * booked keep the window they were booked with.
+ *
+ * @route PUT /api/admin/delivery-slots/:id
+ * @access Private (Admin only)
+ * @param {number} id - Slot ID
+ */
+export const updateDeliverySlot = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const slot = await findSlot(id);
+
+        await slot.update(parseSlotInput(req.body, { partial: true, current: slot }));
+
+        res.status(200).json({ success: true, message: 'Delivery Slot Updated Successfully', data: slot });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in updateDeliverySlot:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Delete a delivery slot
+ *
+ * Orders booked into it keep their delivery date and window.
+ *
+ * @route DELETE /api/admin/delivery-slots/:id
+ * @access Private (Admin only)
+ * @param {number} id - Slot ID
+ */
+export const deleteDeliverySlot = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const slot = await findSlot(id);
+
+        await slot.destroy();
+
+        res.status(200).json({ success: true, message: 'Delivery Slot Deleted Successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in deleteDeliverySlot:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get blackout dates
+ *
+ * @route GET /api/admin/delivery-blackouts
+ * @access Private (Admin only)
+ * @query {string} from - Only dates from this day, YYYY-MM-DD (default: today in the shop time zone)
+ */
+export const getDeliveryBlackouts = async (req, res) => {
+    try {
+        const from = req.query.from
+            ? models.DeliverySlot.parseDate(req.query.from)
+            : models.DeliverySlot.shopNow().date;
+
+        const blackouts = await models.DeliveryBlackout.findAll({
+            where: { date: { [Op.gte]: from } },
+            order: [['date', 'ASC']]
+        });
+
+        res.status(200).json({ success: true, data: blackouts });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getDeliveryBlackouts:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Add a blackout date
+ *
+ * @route POST /api/admin/delivery-blackouts
+ * @access Private (Admin only)
+ * @param {string} req.body.date - Day without deliveries, YYYY-MM-DD (required)
+ * @param {string} req.body.reason - Shown to customers
+ */
+export const createDeliveryBlackout = async (req, res) => {
+    const { date, reason } = req.body;
+
+    try {
+        const blackout = await models.DeliveryBlackout.create({
+            date: models.DeliverySlot.parseDate(date),
+            reason: reason ? String(reason).trim() : null
+        });
+
+        res.status(201).json({ success: true, message: 'Blackout Date Added Successfully', data: blackout });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).json({ success: false, message: 'This date is already blacked out' });
+        }
+
+        console.log('Error in createDeliveryBlackout:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Remove a blackout date
+ *
+ * @route DELETE /api/admin/delivery-blackouts/:id
+ * @access Private (Admin only)
+ * @param {number} id - Blackout ID
+ */
+export const deleteDeliveryBlackout = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const blackout = await models.DeliveryBlackout.findByPk(id);
+
+        if (!blackout) {
+            throw httpError(404, 'Blackout Date not Found');
+        }
+
+        await blackout.destroy();
+
+        res.status(200).json({ success: true, message: 'Blackout Date Removed Successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in deleteDeliveryBlackout:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
@@ -1,12 +1,450 @@
+/**
+ * Flower Controller - Product Catalog
+ *
+ * Public catalog browsing plus the admin operations used to maintain it.
+ *
+ * Features:
+ * - Catalog listing with search, filters, sorting and pagination
+ * - Featured, by-category and single flower lookups
+ * - Shop responses carry the effective price, so scheduled sales and
+ *   seasonal pricing rules apply as soon as they start
+ * - Admin create, update and soft delete
+ * - Admin stock updates
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
 import model from '../models/index.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { parsePagination, buildPagination } from '../utils/queryFilters.js';
+import { buildFlowerQuery } from '../utils/flowerFilters.js';
+
+const DEFAULT_FEATURED_LIMIT = 6;
+const MAX_FEATURED_LIMIT = 20;
+
+const categoryValues = () => model.Flower.getAttributes().category.values;
+
+/**
+ * Parse an optional price field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {number|null|undefined} Price, null when cleared, undefined when absent
+ */
+const optionalPrice = (value, label) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (value === null || value === '') {
+        return null;
+    }
 
+    const price = parseFloat(value);
+    if (isNaN(price) || price <= 0) {
+        throw httpError(400, `${label} must be a positive number`);
+    }
+
+    return price;
+};
+
+/**
+ * Parse an optional date field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {Date|null|undefined} Date, null when cleared, undefined when absent
+ */
+const optionalDate = (value, label) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (value === null || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `${label} must be a valid date`);
+    }
+
+    return date;
+};
+
+/**
+ * Validate and pick the writable flower fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present (for updates)
+ * @param {Flower} options.current - Flower being updated, for checks across fields
+ * @returns {Object} Attributes to save
+ * @throws {Error} 400 httpError when a field is invalid
+ */
+const parseFlowerInput = (body, { partial = false, current = null } = {}) => {
+    const { name, description, price, image, category, stock, status, featured } = body;
+    const data = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw httpError(400, 'Name is required');
+        }
+        data.name = name.trim();
+    }
+
+    if (price !== undefined || !partial) {
+        const priceNum = parseFloat(price);
+        if (isNaN(priceNum) || priceNum <= 0) {
+            throw httpError(400, 'Price must be a positive number');
+        }
+        data.price = priceNum;
+    }
+
+    if (category !== undefined) {
+        if (!categoryValues().includes(category)) {
+            throw httpError(400, 'Invalid category');
+        }
+        data.category = category;
+    }
+
+    if (stock !== undefined) {
+        const stockNum = Number(stock);
+        if (!Number.isInteger(stockNum) || stockNum < 0) {
+            throw httpError(400, 'Stock must be a non-negative integer');
+        }
+        data.stock = stockNum;
+    }
+
+    if (status !== undefined) {
+        if (!['active', 'inactive'].includes(status)) {
+            throw httpError(400, 'Status must be active or inactive');
+        }
+        data.status = status;
+    }
+
+    if (featured !== undefined) {
+        data.featured = featured === true || featured === 'true';
+    }
+
+    if (description !== undefined) {
+        data.description = description;
+    }
+
+    if (image !== undefined) {
+        data.image = image || null;
+    }
+
+    const pricing = {
+        originalPrice: optionalPrice(body.originalPrice, 'Original price'),
+        salePrice: optionalPrice(body.salePrice, 'Sale price'),
+        saleStartsAt: optionalDate(body.saleStartsAt, 'Sale start'),
+        saleEndsAt: optionalDate(body.saleEndsAt, 'Sale end')
+    };
+    for (const [field, value] of Object.entries(pricing)) {
+        if (value !== undefined) {
+            data[field] = value;
+        }
+    }
+
+    // Checks across fields use the stored value for anything not being changed
+    const final = (field) => (data[field] !== undefined ? data[field] : current?.[field] ?? null);
+    const finalPrice = parseFloat(final('price'));
+
+    if (final('originalPrice') !== null && parseFloat(final('originalPrice')) <= finalPrice) {
+        throw httpError(400, 'Original price must be higher than the price');
+    }
+
+    if (final('salePrice') !== null && parseFloat(final('salePrice')) >= finalPrice) {
+        throw httpError(400, 'Sale price must be lower than the price');
+    }
+
+    if (final('saleStartsAt') && final('saleEndsAt') && final('saleEndsAt') <= final('saleStartsAt')) {
+        throw httpError(400, 'Sale end must be after the sale start');
+    }
+
+    return data;
+};
+
+/**
+ * Find a flower that has not been soft deleted
+ *
+ * @param {number} id - Flower ID
+ * @returns {Promise<Object>} Flower instance
+ * @throws {Error} 404 httpError when the flower does not exist
+ */
+const findFlower = async (id) => {
+    const flower = await model.Flower.findByPk(id);
+
+    if (!flower || flower.status === 'discontinued') {
+        throw httpError(404, 'Flower not Found');
+    }
+
+    return flower;
+};
+
+/**
+ * Get all flowers
+ *
+ * Only active flowers are listed in the shop.
+ *
+ * @route GET /api/flower
+ * @access Public
+ * @query {string} category - Filter by category
+ * @query {string} status - Filter by status (default: active)
+ * @query {boolean} featured - Filter featured products
+ * @query {number} minPrice - Minimum price filter
+ * @query {number} maxPrice - Maximum price filter
+ * @query {string} search - Search in name and description
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ * @query {string} sort - Sort by: name, price, created (default: name)
+ * @query {string} order - Sort order: asc, desc (default: asc)
+ */
 export const getAllFlowers = async (req, res) => {
     try {
-        const flowers = await model.Flower.findAll();
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const rules = await model.PricingRule.findActive();
+        const { where, order } = buildFlowerQuery(req.query, { statuses: ['active'], rules });
+
+        const { count, rows } = await model.Flower.findAndCountAll({
+            where,
+            order,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
 
-        res.status(200).json({ success: true, data: flowers });
+        res.status(200).json({
+            success: true,
+            data: rows.map((flower) => flower.getCatalogDetails({ rules })),
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
     } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
         console.log('Error in getAllFlowers:', error);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Get featured flowers
+ *
+ * @route GET /api/flower/featured
+ * @access Public
+ * @query {number} limit - Number of featured flowers (default: 6)
+ */
+export const getFeaturedFlowers = async (req, res) => {
+    const limit = Math.min(MAX_FEATURED_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_FEATURED_LIMIT));
+
+    try {
+        const flowers = await model.Flower.findAll({
+            where: { status: 'active', featured: true },
+            order: [['updatedAt', 'DESC']],
+            limit
+        });
+        const rules = await model.PricingRule.findActive();
+
+        res.status(200).json({ success: true, data: flowers.map((flower) => flower.getCatalogDetails({ rules })) });
+    } catch (error) {
+        console.log('Error in getFeaturedFlowers:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get flowers by category
+ *
+ * @route GET /api/flower/category/:category
+ * @access Public
+ * @param {string} category - Flower category
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ */
+export const getFlowersByCategory = async (req, res) => {
+    const { category } = req.params;
+
+    if (!categoryValues().includes(category)) {
+        return res.status(400).json({ success: false, message: 'Invalid category' });
+    }
+
+    try {
+        const pagination = parsePagination(req.query.page, req.query.limit);
+
+        const { count, rows } = await model.Flower.findAndCountAll({
+            where: { status: 'active', category },
+            order: [['name', 'ASC']],
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+        const rules = await model.PricingRule.findActive();
+
+        res.status(200).json({
+            success: true,
+            data: rows.map((flower) => flower.getCatalogDetails({ rules })),
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        console.log('Error in getFlowersByCategory:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get a single flower
+ *
+ * Inactive flowers are hidden from the shop, so they are not found here.
+ *
+ * @route GET /api/flower/:id
+ * @access Public
+ * @param {number} id - Flower ID
+ */
+export const getFlowerById = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const flower = await findFlower(id);
+
+        if (flower.status !== 'active') {
+            throw httpError(404, 'Flower not Found');
+        }
+
+        const rules = await model.PricingRule.findActive();
+
+        res.status(200).json({ success: true, data: flower.getCatalogDetails({ rules }) });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getFlowerById:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create a flower
+ *
+ * @route POST /api/flower
+ * @access Private (Admin only)
+ * @param {Object} req.body - Flower data
+ * @param {string} req.body.name - Display name (required)
+ * @param {number} req.body.price - Selling price (required)
+ * @param {number} req.body.originalPrice - Compare-at price, higher than price
+ * @param {number} req.body.salePrice - Price during the sale, lower than price
+ * @param {string} req.body.saleStartsAt - Sale start (default: now)
+ * @param {string} req.body.saleEndsAt - Sale end (default: until cleared)
+ * @param {string} req.body.category - Category (default: bouquet)
+ * @param {number} req.body.stock - Stock quantity (default: 0)
+ * @param {string} req.body.status - active or inactive (default: active)
+ * @param {boolean} req.body.featured - Featured flag (default: false)
+ */
+export const createFlower = async (req, res) => {
+    try {
+        const flower = await model.Flower.create(parseFlowerInput(req.body));
+
+        res.status(201).json({ success: true, message: 'Flower Created Successfully', data: flower });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in createFlower:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update a flower
+ *
+ * Only the fields present in the body are changed.
+ *
+ * @route PUT /api/flower/:id
+ * @access Private (Admin only)
+ * @param {number} id - Flower ID
+ */
+export const updateFlower = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const flower = await findFlower(id);
+        const data = parseFlowerInput(req.body, { partial: true, current: flower });
+
+        await flower.update(data);
+
+        res.status(200).json({ success: true, message: 'Flower Updated Successfully', data: flower });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in updateFlower:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Delete a flower
+ *
+ * Soft delete: the row is kept as `discontinued` so order items and
+ * history that reference it stay intact.
+ *
+ * @route DELETE /api/flower/:id
+ * @access Private (Admin only)
+ * @param {number} id - Flower ID
+ */
+export const deleteFlower = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const flower = await findFlower(id);
+
+        await flower.update({ status: 'discontinued', featured: false });
+
+        res.status(200).json({ success: true, message: 'Flower Deleted Successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in deleteFlower:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update a flower's stock
+ *
+ * @route PATCH /api/flower/:id/stock
+ * @access Private (Admin only)
+ * @param {number} id - Flower ID
+ * @param {Object} req.body - Stock update
+ * @param {number} req.body.stock - New stock quantity (required)
+ */
+export const updateFlowerStock = async (req, res) => {
+    const { id } = req.params;
+    const { stock } = req.body;
+
+    if (stock === undefined) {
+        return res.status(400).json({ success: false, message: 'Stock is required' });
+    }
+
+    try {
+        const data = parseFlowerInput({ stock }, { partial: true });
+        const flower = await findFlower(id);
+
+        await flower.update(data);
+
+        res.status(200).json({ success: true, message: 'Stock Updated Successfully', data: flower });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in updateFlowerStock:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
@@ -0,0 +1,461 @@
+/**
+ * Order Controller - Checkout and Order Management
+ *
+ * This controller turns a customer's cart into an order and lets
+ * customers browse their order history.
+ *
+ * Features:
+ * - Checkout: converts cart rows into an order with line items
+ * - Prices are snapshotted from the flower catalog at checkout time
+ * - Totals come from the pricing service (zone shipping, tax rules), the
+ *   same one that quotes the cart, and are checked against the quote the
+ *   customer saw
+ * - Coupon codes are re-checked under lock and redeemed with the order
+ * - Shipping address is snapshotted onto the order
+ * - The delivery slot is checked and booked under lock, so full or past
+ *   slots are rejected
+ * - Gift orders carry the recipient's name and phone and a card message
+ * - Stock is reserved at checkout with row locks so flowers cannot be oversold
+ * - Order creation and cart clearing happen in one transaction
+ * - The customer picks one of the enabled payment methods and a
+ *   pending payment is created through that provider
+ * - Paginated order history filterable by status and date range
+ * - Invoice download for each order
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import models from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { parsePagination, buildPagination, buildDateRange } from '../utils/queryFilters.js';
+import { getEnabledProvider } from '../payments/index.js';
+import { quoteCart } from '../utils/pricing.js';
+import { renderInvoice } from '../utils/pdf.js';
+
+const orderIncludes = () => [
+    { model: models.OrderItem, as: 'items' },
+    { model: models.OrderStatusHistory, as: 'statusHistory' },
+    { model: models.Payment, as: 'payments' },
+    { model: models.Refund, as: 'refunds', where: { status: 'succeeded' }, required: false, attributes: ['id', 'amount', 'lines', 'reason', 'createdAt'] },
+    { model: models.CouponRedemption, as: 'coupons', attributes: ['code', 'type', 'amount'] }
+];
+
+const PHONE_PATTERN = /^\+?[\d\s-]{6,20}$/;
+
+/**
+ * Validate the recipient and gift card fields of a checkout
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} recipientName, recipientPhone, giftMessage and anonymousSender
+ * @throws {Error} 400 httpError when a field is invalid
+ */
+const parseGiftDetails = (body) => {
+    const { recipientName, recipientPhone, giftMessage, anonymousSender } = body;
+    const name = typeof recipientName === 'string' ? recipientName.trim() : '';
+    const phone = typeof recipientPhone === 'string' ? recipientPhone.trim() : '';
+    const message = typeof giftMessage === 'string' ? giftMessage.replace(/\r\n?/g, '\n').trim() : '';
+
+    if (phone && !name) {
+        throw httpError(400, 'Recipient name is required');
+    }
+
+    if (name && !phone) {
+        throw httpError(400, 'Recipient phone is required');
+    }
+
+    if (name.length > 100) {
+        throw httpError(400, 'Recipient name must be at most 100 characters');
+    }
+
+    if (phone && !PHONE_PATTERN.test(phone)) {
+        throw httpError(400, 'Recipient phone must be a valid phone number');
+    }
+
+    if (message.length > models.Order.GIFT_MESSAGE_MAX_LENGTH) {
+        throw httpError(400, `Gift message must be at most ${models.Order.GIFT_MESSAGE_MAX_LENGTH} characters`);
+    }
+
+    if (message.split('\n').length > models.Order.GIFT_MESSAGE_MAX_LINES) {
+        throw httpError(400, `Gift message must be at most ${models.Order.GIFT_MESSAGE_MAX_LINES} lines`);
+    }
+
+    return {
+        recipientName: name || null,
+        recipientPhone: phone ? phone.replace(/\s+/g, '') : null,
+        giftMessage: message || null,
+        anonymousSender: anonymousSender === true || anonymousSender === 'true'
+    };
+};
+
+/**
+ * Reserve stock for the cart lines
+ *
+ * Locks the flower rows (in id order, to avoid deadlocks between
+ * concurrent checkouts) and decrements stock only if every line can be
+ * filled.
+ *
+ * @param {Array} cartItems - Cart rows for the user
+ * @param {Transaction} transaction - Sequelize transaction
+ * @returns {Promise<Map<number, Object>>} Locked flowers by ID
+ * @throws {Error} 409 httpError listing the lines that are short
+ */
+const reserveStock = async (cartItems, transaction) => {
+    const flowers = await models.Flower.findAll({
+        where: { id: cartItems.map((item) => item.flowerId) },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+    });
+    const flowersById = new Map(flowers.map((flower) => [flower.id, flower]));
+
+    const shortItems = cartItems
+        .map((item) => {
+            const flower = flowersById.get(item.flowerId);
+            const available = flower && flower.status === 'active' ? flower.stock : 0;
+            return {
+                flowerId: item.flowerId,
+                flowerName: flower ? flower.name : null,
+                requested: item.quantity,
+                available
+            };
+        })
+        .filter((line) => line.requested > line.available);
+
+    if (shortItems.length > 0) {
+        throw httpError(409, 'Some items in your cart are out of stock', { shortItems });
+    }
+
+    for (const item of cartItems) {
+        await flowersById.get(item.flowerId).decrement('stock', { by: item.quantity, transaction });
+    }
+
+    return flowersById;
+};
+
+/**
+ * Place an order from the current user's cart
+ *
+ * The order starts as pending_payment. Unless it is paid on delivery it
+ * must be paid within Order.PAYMENT_TIMEOUT_MINUTES, otherwise it is
+ * cancelled and its stock released.
+ *
+ * @route POST /api/orders
+ * @access Private (verified email when EMAIL_VERIFICATION_REQUIRED is on)
+ * @param {Object} req.body - Checkout data
+ * @param {number} req.body.shippingAddressId - ID of one of the user's shipping addresses (required)
+ * @param {string} req.body.paymentMethod - Enabled payment provider name (default: khqr)
+ * @param {string[]} req.body.couponCodes - Coupon codes to redeem (optional)
+ * @param {number} req.body.deliverySlotId - Delivery slot (required when slots are offered for the province)
+ * @param {string} req.body.deliveryDate - Delivery date, YYYY-MM-DD (required with deliverySlotId)
+ * @param {string} req.body.recipientName - Person receiving the flowers (optional, with recipientPhone)
+ * @param {string} req.body.recipientPhone - Recipient's phone number for the courier
+ * @param {string} req.body.giftMessage - Card message, up to Order.GIFT_MESSAGE_MAX_LENGTH characters
+ *                                        and Order.GIFT_MESSAGE_MAX_LINES lines (optional)
+ * @param {boolean} req.body.anonymousSender - Leave the sender's name off the card (default: false)
+ * @param {number} req.body.expectedTotal - Total of the quote shown to the customer (optional);
+ *                                          409 with the new quote when it no longer matches
+ */
+export const createOrder = async (req, res) => {
+    const userId = req.user.id;
+    const {
+        shippingAddressId,
+        paymentMethod = 'khqr',
+        couponCodes,
+        expectedTotal,
+        deliverySlotId,
+        deliveryDate
+    } = req.body;
+
+    if (!shippingAddressId) {
+        return res.status(400).json({ success: false, message: 'Shipping address is required' });
+    }
+
+    const provider = getEnabledProvider(paymentMethod);
+
+    if (!provider) {
+        return res.status(400).json({ success: false, message: 'Payment method is not available' });
+    }
+
+    try {
+        const codes = models.Coupon.normalizeCodes(couponCodes);
+        const gift = parseGiftDetails(req.body);
+
+        const order = await sequelize.transaction(async (transaction) => {
+            const address = await models.ShippingAddress.findOne({
+                where: { id: shippingAddressId, userId },
+                transaction
+            });
+
+            if (!address) {
+                throw httpError(404, 'Shipping Address not Found');
+            }
+
+            // Locked so concurrent checkouts cannot overbook the slot
+            let slot = null;
+            if (deliverySlotId !== undefined && deliverySlotId !== null) {
+                slot = await models.DeliverySlot.reserve({
+                    slotId: deliverySlotId,
+                    date: deliveryDate,
+                    province: address.province,
+                    transaction
+                });
+            } else if ((await models.DeliverySlot.findForProvince(address.province, { transaction })).length > 0) {
+                throw httpError(400, 'Please choose a delivery date and time');
+            }
+
+            const cartItems = await models.Cart.findAll({
+                where: { userId },
+                transaction
+            });
+
+            if (cartItems.length === 0) {
+                throw httpError(400, 'Cart is empty');
+            }
+
+            const flowersById = await reserveStock(cartItems, transaction);
+
+            // Locked so concurrent checkouts cannot exceed the usage limits
+            const coupons = await models.Coupon.findUsable(codes, { userId, transaction, lock: true });
+
+            const quote = quoteCart({
+                lines: cartItems.map((item) => ({
+                    flower: flowersById.get(item.flowerId),
+                    quantity: item.quantity
+                })),
+                address,
+                coupons,
+                rules: await models.PricingRule.findActive({ transaction })
+            });
+
+            if (expectedTotal !== undefined && Math.abs(parseFloat(expectedTotal) - quote.total) >= 0.005) {
+                throw httpError(409, 'Prices have changed since your quote, please review your order', { quote });
+            }
+
+            const { subtotal, discount, shippingFee, tax, total, currency } = quote;
+
+            const createdOrder = await models.Order.create({
+                userId,
+                shippingAddressId: address.id,
+                shippingSnapshot: {
+                    label: address.label,
+                    street: address.street,
+                    commune: address.commune,
+                    city: address.city,
+                    province: address.province,
+                    postalCode: address.postalCode,
+                    country: address.country
+                },
+                deliverySlotId: slot ? slot.id : null,
+                deliveryDate: slot ? deliveryDate : null,
+                deliveryWindow: slot
+                    ? { label: slot.label, startTime: slot.startTime.slice(0, 5), endTime: slot.endTime.slice(0, 5) }
+                    : null,
+                ...gift,
+                paymentMethod: provider.name,
+                // Orders paid in person have no payment deadline
+                paymentDueAt: provider.confirmedBy === 'staff'
+                    ? null
+                    : new Date(Date.now() + models.Order.PAYMENT_TIMEOUT_MINUTES * 60 * 1000),
+                subtotal,
+                discount,
+                shippingFee,
+                tax,
+                total
+            }, { transaction });
+
+            // The reference needs the order ID, so it is set after insert
+            await createdOrder.update({
+                paymentReference: `FS-${String(createdOrder.id).padStart(6, '0')}`
+            }, { transaction });
+
+            const intent = await provider.createIntent({
+                order: createdOrder,
+                amount: total,
+                currency
+            });
+
+            await models.Payment.create({
+                orderId: createdOrder.id,
+                provider: provider.name,
+                amount: total,
+                currency,
+                providerReference: intent.providerReference,
+                details: intent.details
+            }, { transaction });
+
+            await models.OrderStatusHistory.create({
+                orderId: createdOrder.id,
+                fromStatus: null,
+                toStatus: createdOrder.status,
+                changedBy: userId
+            }, { transaction });
+
+            await models.OrderItem.bulkCreate(
+                quote.items.map((item) => ({
+                    orderId: createdOrder.id,
+                    flowerId: item.flowerId,
+                    flowerName: item.flowerName,
+                    flowerImage: item.flowerImage,
+                    unitPrice: item.unitPrice,
+                    quantity: item.quantity,
+                    lineTotal: item.lineTotal,
+                    discount: item.discount
+                })),
+                { transaction }
+            );
+
+            for (const coupon of coupons) {
+                const applied = quote.coupons.find((entry) => entry.code === coupon.code);
+
+                await models.CouponRedemption.create({
+                    couponId: coupon.id,
+                    orderId: createdOrder.id,
+                    userId,
+                    code: coupon.code,
+                    type: coupon.type,
+                    amount: applied.amount
+                }, { transaction });
+                await coupon.increment('timesRedeemed', { transaction });
+            }
+
+            await models.Cart.destroy({ where: { userId }, transaction });
+
+            return createdOrder;
+        });
+
+        const createdOrder = await models.Order.findByPk(order.id, {
+            include: orderIncludes()
+        });
+
+        res.status(201).json({ success: true, message: 'Order placed successfully', data: createdOrder.getDetails() });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in createOrder:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get the current user's orders
+ *
+ * @route GET /api/orders
+ * @access Private
+ * @query {string} status - Filter by order status
+ * @query {string} from - Only orders placed on or after this date
+ * @query {string} to - Only orders placed on or before this date
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10)
+ */
+export const getOrders = async (req, res) => {
+    const userId = req.user.id;
+    const { status, from, to, page = 1, limit = 10 } = req.query;
+
+    try {
+        const pagination = parsePagination(page, limit, { defaultLimit: 10 });
+
+        const where = { userId };
+
+        if (status) {
+            if (!models.Order.getAttributes().status.values.includes(status)) {
+                throw httpError(400, 'Invalid order status');
+            }
+            where.status = status;
+        }
+
+        if (from || to) {
+            where.createdAt = buildDateRange(from, to);
+        }
+
+        const { count, rows } = await models.Order.findAndCountAll({
+            where,
+            include: orderIncludes(),
+            order: [['createdAt', 'DESC']],
+            limit: pagination.limit,
+            offset: pagination.offset,
+            distinct: true
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rows.map((order) => order.getDetails()),
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getOrders:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Get one of the current user's orders
+ *
+ * @route GET /api/orders/:id
+ * @access Private
+ * @param {number} id - Order ID
+ */
+export const getOrderById = async (req, res) => {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    try {
+        const order = await models.Order.findOne({
+            where: { id, userId },
+            include: orderIncludes()
+        });
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not Found' });
+        }
+
+        res.status(200).json({ success: true, data: order.getDetails() });
+    } catch (error) {
+        console.log('Error in getOrderById:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Download the invoice for one of the current user's orders
+ *
+ * @route GET /api/orders/:id/invoice
+ * @access Private
+ * @param {number} id - Order ID
+ */
+export const downloadOrderInvoice = async (req, res) => {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    try {
+        const order = await models.Order.findOne({
+            where: { id, userId },
+            include: [
+                { model: models.User, as: 'user', attributes: ['id', 'username', 'email', 'phone'] },
+                { model: models.OrderItem, as: 'items' },
+                { model: models.CouponRedemption, as: 'coupons', attributes: ['code'] }
+            ],
+            order: [[{ model: models.OrderItem, as: 'items' }, 'id', 'ASC']]
+        });
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not Found' });
+        }
+
+        const pdf = await renderInvoice({ order, customer: order.user });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.paymentReference || order.id}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.log('Error in downloadOrderInvoice:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
@@ -0,0 +1,359 @@
+/**
+ * Payment Controller - Order Payments
+ *
+ * This controller lists the payment methods offered at checkout, reports
+ * the payment state of an order and completes payments through the
+ * order's payment provider (see payments/index.js).
+ *
+ * Features:
+ * - Enabled payment methods for the checkout page
+ * - Payment status endpoint polled by the checkout page; gateway payments
+ *   (KHQR) are checked with the provider on every call
+ * - Customer confirmation for methods paid by submitting details (card)
+ * - Provider webhooks, verified by the provider. Webhooks are only a
+ *   hint: the payment is always confirmed with the provider before the
+ *   order is marked paid
+ * - Pending orders past their deadline are cancelled on the next check
+ * - A gateway payment notified after its order was cancelled is recorded
+ *   so the customer can be refunded
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import QRCode from 'qrcode';
+import models from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { getProvider, getEnabledProviders } from '../payments/index.js';
+
+/**
+ * Find the payment currently open for an order
+ *
+ * @param {number} orderId - Order ID
+ * @param {Object} options - Extra query options (transaction, lock)
+ * @returns {Promise<Payment|null>} Most recent payment
+ */
+const findCurrentPayment = (orderId, options = {}) => {
+    return models.Payment.findOne({
+        where: { orderId },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        ...options
+    });
+};
+
+/**
+ * Record a provider result on a payment and its locked order
+ *
+ * A failed attempt only records the reason; the payment stays pending
+ * so the customer can try again until the order's deadline. Pending
+ * orders past their deadline are cancelled.
+ *
+ * @param {Order} order - Order locked in the transaction
+ * @param {Payment} payment - Payment being confirmed
+ * @param {Object} result - Result of provider.confirm()
+ * @param {Transaction} transaction - Sequelize transaction
+ */
+const applyPaymentResult = async (order, payment, result, transaction) => {
+    const provider = getProvider(payment.provider);
+
+    if (result.status === 'succeeded') {
+        await payment.update({
+            status: 'succeeded',
+            succeededAt: new Date(),
+            providerReference: result.providerReference ?? payment.providerReference,
+            details: { ...payment.details, ...result.details },
+            failureReason: null
+        }, { transaction });
+        await order.transitionTo('paid', { note: `Paid by ${provider.label}`, transaction });
+        return;
+    }
+
+    if (result.status === 'failed') {
+        await payment.update({
+            details: { ...payment.details, ...result.details },
+            failureReason: result.failureReason
+        }, { transaction });
+    }
+
+    if (order.paymentDueAt && order.paymentDueAt < new Date()) {
+        await order.transitionTo('cancelled', { note: 'Payment timed out', transaction });
+    }
+};
+
+/**
+ * Reconcile a pending order with its payment provider
+ *
+ * Gateway payments are checked with the provider before the expiry
+ * check, so a payment made just before the deadline is not lost.
+ *
+ * @param {number} orderId - Order ID
+ * @returns {Promise<{order: Order, payment: Payment|null}>} Up to date order and payment
+ */
+const syncPayment = async (orderId) => {
+    const order = await models.Order.findByPk(orderId);
+    const payment = await findCurrentPayment(orderId);
+
+    if (order.status !== 'pending_payment' || !payment || payment.status !== 'pending') {
+        return { order, payment };
+    }
+
+    const provider = getProvider(payment.provider);
+    const result = provider.confirmedBy === 'gateway'
+        ? await provider.confirm(payment)
+        : { status: 'pending' };
+
+    await sequelize.transaction(async (transaction) => {
+        await order.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        await payment.reload({ transaction });
+
+        // Settled by a concurrent poll or webhook
+        if (order.status !== 'pending_payment' || payment.status !== 'pending') {
+            return;
+        }
+
+        await applyPaymentResult(order, payment, result, transaction);
+    });
+
+    return { order, payment };
+};
+
+/**
+ * Record a gateway payment made after its order was cancelled
+ *
+ * The customer has paid, so the money must not go unrecorded. Once the
+ * provider confirms the payment the order is marked paid (it stays
+ * cancelled) and staff return the money through the refunds endpoint.
+ *
+ * @param {Order} order - Cancelled order
+ * @param {Payment} payment - Payment cancelled with the order
+ */
+const recordLatePayment = async (order, payment) => {
+    const provider = getProvider(payment.provider);
+
+    if (provider.confirmedBy !== 'gateway') {
+        return;
+    }
+
+    const result = await provider.confirm(payment);
+
+    if (result.status !== 'succeeded') {
+        return;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await order.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        await payment.reload({ transaction });
+
+        // Recorded by a concurrent notification
+        if (payment.status !== 'cancelled') {
+            return;
+        }
+
+        await order.recordLatePayment(payment, {
+            result,
+            note: `Paid by ${provider.label} after the order was cancelled, refund the customer`,
+            transaction
+        });
+    });
+};
+
+/**
+ * Build the payment status returned to the customer
+ *
+ * @param {Order} order - Order
+ * @param {Payment|null} payment - Current payment
+ * @returns {Promise<Object>} Payment summary
+ */
+const buildPaymentSummary = async (order, payment) => {
+    const awaitingPayment = order.status === 'pending_payment' && payment?.status === 'pending';
+    const payload = payment?.provider === 'khqr' ? payment.details.payload : null;
+
+    return {
+        orderId: order.id,
+        reference: order.paymentReference,
+        method: order.paymentMethod,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        amount: parseFloat(order.total),
+        currency: payment ? payment.currency : null,
+        expiresAt: order.paymentDueAt,
+        paidAt: order.paidAt,
+        failureReason: payment ? payment.failureReason : null,
+        card: payment?.provider === 'card' && payment.details.last4
+            ? { brand: payment.details.brand, last4: payment.details.last4 }
+            : null,
+        qr: awaitingPayment && payload
+            ? {
+                payload,
+                md5: payment.providerReference,
+                image: await QRCode.toDataURL(payload, { width: 256, margin: 1 })
+            }
+            : null
+    };
+};
+
+/**
+ * Get the payment methods offered at checkout
+ *
+ * @route GET /api/payments/methods
+ * @access Public
+ */
+export const getPaymentMethods = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: getEnabledProviders().map(({ name, label, confirmedBy }) => ({ name, label, confirmedBy }))
+    });
+};
+
+/**
+ * Get the payment state of one of the current user's orders
+ *
+ * The checkout page polls this endpoint until the order is paid or
+ * cancelled.
+ *
+ * @route GET /api/orders/:id/payment
+ * @access Private
+ * @param {number} id - Order ID
+ */
+export const getOrderPayment = async (req, res) => {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    try {
+        const owned = await models.Order.findOne({ where: { id, userId }, attributes: ['id'] });
+
+        if (!owned) {
+            return res.status(404).json({ success: false, message: 'Order not Found' });
+        }
+
+        const { order, payment } = await syncPayment(owned.id);
+
+        res.status(200).json({ success: true, data: await buildPaymentSummary(order, payment) });
+    } catch (error) {
+        console.log('Error in getOrderPayment:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Pay one of the current user's orders by submitting payment details
+ *
+ * Only for methods the customer completes themselves (card). A declined
+ * payment returns 402 and may be retried until the order's deadline.
+ *
+ * @route POST /api/orders/:id/payment/confirm
+ * @access Private
+ * @param {number} id - Order ID
+ * @param {Object} req.body - Provider specific input, e.g. { card: { number, expMonth, expYear, cvc } }
+ */
+export const confirmOrderPayment = async (req, res) => {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    try {
+        const { order, payment } = await sequelize.transaction(async (transaction) => {
+            // Locking the order stops a double submit from charging twice
+            const order = await models.Order.findOne({
+                where: { id, userId },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+
+            if (!order) {
+                throw httpError(404, 'Order not Found');
+            }
+
+            const payment = await findCurrentPayment(order.id, { transaction });
+
+            if (order.status !== 'pending_payment' || !payment || payment.status !== 'pending') {
+                throw httpError(409, 'Order is not awaiting payment');
+            }
+
+            const provider = getProvider(payment.provider);
+
+            if (provider.confirmedBy !== 'customer') {
+                throw httpError(400, `${provider.label} payments cannot be confirmed here`);
+            }
+
+            if (order.paymentDueAt && order.paymentDueAt < new Date()) {
+                await order.transitionTo('cancelled', { note: 'Payment timed out', transaction });
+                return { order, payment };
+            }
+
+            const result = await provider.confirm(payment, req.body);
+            await applyPaymentResult(order, payment, result, transaction);
+
+            return { order, payment };
+        });
+
+        const summary = await buildPaymentSummary(order, payment);
+
+        if (order.status === 'cancelled') {
+            return res.status(409).json({ success: false, message: 'Payment time expired', data: summary });
+        }
+
+        if (order.status !== 'paid') {
+            return res.status(402).json({ success: false, message: payment.failureReason, data: summary });
+        }
+
+        res.status(200).json({ success: true, message: 'Payment successful', data: summary });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in confirmOrderPayment:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Payment provider notification
+ *
+ * The provider verifies the request (e.g. KHQR checks the
+ * X-Bakong-Signature HMAC) and names the payment; its state is then
+ * confirmed with the provider like a poll.
+ *
+ * @route POST /api/payments/:provider/webhook
+ * @access Public (verified by the provider)
+ * @param {string} provider - Provider name
+ */
+export const paymentWebhook = async (req, res) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+    }
+
+    try {
+        const providerReference = provider.verifyWebhook(req);
+
+        if (!providerReference) {
+            return res.status(401).json({ success: false, message: 'Invalid signature' });
+        }
+
+        const found = await models.Payment.findOne({
+            where: { provider: provider.name, providerReference },
+            attributes: ['orderId']
+        });
+
+        if (!found) {
+            return res.status(404).json({ success: false, message: 'Payment not Found' });
+        }
+
+        const { order, payment } = await syncPayment(found.orderId);
+
+        if (order.status === 'cancelled' && payment?.status === 'cancelled') {
+            await recordLatePayment(order, payment);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { orderId: order.id, status: order.status, paymentStatus: order.paymentStatus }
+        });
+    } catch (error) {
+        console.log('Error in paymentWebhook:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
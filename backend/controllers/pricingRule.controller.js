@@ -0,0 +1,317 @@
+/**
+ * Pricing Rule Controller - Seasonal and Holiday Pricing
+ *
+ * Admin operations for the date-ranged price adjustments applied by
+ * PricingRule.apply() whenever flowers are listed or quoted.
+ *
+ * Features:
+ * - Rule listing with search and pagination
+ * - Create, update and delete
+ * - Preview of the shop prices at any date
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { httpError, sendHttpError } from '../utils/httpError.js';
+import { parsePagination, buildPagination, containsPattern, parseSearch } from '../utils/queryFilters.js';
+import { buildFlowerQuery } from '../utils/flowerFilters.js';
+
+const categoryValues = () => models.Flower.getAttributes().category.values;
+
+/**
+ * Parse a date field
+ *
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {Date} Parsed date
+ * @throws {Error} 400 httpError when the value is not a date
+ */
+const parseDate = (value, label) => {
+    const date = new Date(value ?? '');
+    if (Number.isNaN(date.getTime())) {
+        throw httpError(400, `${label} must be a valid date`);
+    }
+
+    return date;
+};
+
+/**
+ * Validate and pick the writable rule fields from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields that are present (for updates)
+ * @param {PricingRule} options.current - Rule being updated, for checks across fields
+ * @returns {Object} Attributes to save
+ * @throws {Error} 400 httpError when a field is invalid
+ */
+const parseRuleInput = (body, { partial = false, current = null } = {}) => {
+    const { name, type, value, categories, startsAt, endsAt, active } = body;
+    const data = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw httpError(400, 'Name is required');
+        }
+        data.name = name.trim();
+    }
+
+    if (type !== undefined || !partial) {
+        if (!['percentage', 'fixed'].includes(type)) {
+            throw httpError(400, 'Type must be percentage or fixed');
+        }
+        data.type = type;
+    }
+
+    if (value !== undefined || !partial || data.type) {
+        const finalType = data.type ?? current?.type;
+        const number = Number(value ?? current?.value);
+
+        if (finalType === 'percentage' && (Number.isNaN(number) || number === 0 || number <= -100)) {
+            throw httpError(400, 'A percentage must be non-zero and more than -100');
+        }
+        if (finalType === 'fixed' && (Number.isNaN(number) || number <= 0)) {
+            throw httpError(400, 'A surcharge must be a positive number');
+        }
+        data.value = number;
+    }
+
+    if (startsAt !== undefined || !partial) {
+        data.startsAt = parseDate(startsAt, 'Start date');
+    }
+
+    if (endsAt !== undefined || !partial) {
+        data.endsAt = parseDate(endsAt, 'End date');
+    }
+
+    const finalStartsAt = data.startsAt ?? current?.startsAt;
+    const finalEndsAt = data.endsAt ?? current?.endsAt;
+    if (finalEndsAt <= finalStartsAt) {
+        throw httpError(400, 'End date must be after the start date');
+    }
+
+    if (categories !== undefined) {
+        if (!Array.isArray(categories) || categories.some((category) => !categoryValues().includes(category))) {
+            throw httpError(400, 'Invalid category');
+        }
+        data.categories = [...new Set(categories)];
+    }
+
+    if (active !== undefined) {
+        data.active = active === true || active === 'true';
+    }
+
+    return data;
+};
+
+/**
+ * Find a pricing rule
+ *
+ * @param {number} id - Rule ID
+ * @returns {Promise<PricingRule>} Rule instance
+ * @throws {Error} 404 httpError when the rule does not exist
+ */
+const findRule = async (id) => {
+    const rule = await models.PricingRule.findByPk(id);
+
+    if (!rule) {
+        throw httpError(404, 'Pricing Rule not Found');
+    }
+
+    return rule;
+};
+
+/**
+ * Get all pricing rules
+ *
+ * @route GET /api/admin/pricing-rules
+ * @access Private (Admin only)
+ * @query {string} search - Match on name
+ * @query {string} status - active or inactive (default: both)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page
+ */
+export const getPricingRules = async (req, res) => {
+    const { search, status } = req.query;
+
+    try {
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const where = {};
+
+        const term = parseSearch(search);
+
+        if (term) {
+            where.name = { [Op.iLike]: containsPattern(term) };
+        }
+
+        if (status) {
+            if (!['active', 'inactive'].includes(status)) {
+                throw httpError(400, 'Status must be active or inactive');
+            }
+            where.active = status === 'active';
+        }
+
+        const { count, rows } = await models.PricingRule.findAndCountAll({
+            where,
+            order: [['startsAt', 'DESC'], ['id', 'DESC']],
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        res.status(200).json({
+            success: true,
+            data: rows,
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in getPricingRules:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Preview shop prices at a date
+ *
+ * Lists active flowers with the price a customer would pay at that
+ * time, taking sales and the rules in effect into account. Accepts the
+ * same filter and sort parameters as GET /api/flower.
+ *
+ * @route GET /api/admin/pricing-rules/preview
+ * @access Private (Admin only)
+ * @query {string} date - Time to price at (default: now)
+ */
+export const previewPricing = async (req, res) => {
+    try {
+        const at = req.query.date ? parseDate(req.query.date, 'Date') : new Date();
+        const pagination = parsePagination(req.query.page, req.query.limit);
+        const rules = await models.PricingRule.findActive({ at });
+        const { where, order } = buildFlowerQuery(req.query, { statuses: ['active'], at, rules });
+
+        const { count, rows } = await models.Flower.findAndCountAll({
+            where,
+            order,
+            limit: pagination.limit,
+            offset: pagination.offset
+        });
+
+        const flowers = rows.map((flower) => {
+            const { price, onSale, rules: applied } = flower.getPriceBreakdown({ at, rules });
+
+            return {
+                id: flower.id,
+                name: flower.name,
+                category: flower.category,
+                regularPrice: flower.price,
+                onSale,
+                salePrice: onSale ? flower.salePrice : null,
+                rules: applied.map((rule) => ({ id: rule.id, name: rule.name, type: rule.type, value: rule.value })),
+                price: price.toFixed(2)
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { at, rules, flowers },
+            pagination: buildPagination(pagination.page, pagination.limit, count)
+        });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in previewPricing:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Create a pricing rule
+ *
+ * @route POST /api/admin/pricing-rules
+ * @access Private (Admin only)
+ * @param {Object} req.body - Rule data
+ * @param {string} req.body.name - Name shown to admins (required)
+ * @param {string} req.body.type - percentage or fixed (required)
+ * @param {number} req.body.value - Percent change or surcharge amount (required)
+ * @param {string} req.body.startsAt - Start of the date range (required)
+ * @param {string} req.body.endsAt - End of the date range, exclusive (required)
+ * @param {string[]} req.body.categories - Categories the rule is limited to
+ * @param {boolean} req.body.active - Is applied (default: true)
+ */
+export const createPricingRule = async (req, res) => {
+    try {
+        const rule = await models.PricingRule.create(parseRuleInput(req.body));
+
+        res.status(201).json({ success: true, message: 'Pricing Rule Created Successfully', data: rule });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in createPricingRule:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Update a pricing rule
+ *
+ * Only the fields present in the body are changed.
+ *
+ * @route PUT /api/admin/pricing-rules/:id
+ * @access Private (Admin only)
+ * @param {number} id - Rule ID
+ */
+export const updatePricingRule = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const rule = await findRule(id);
+
+        await rule.update(parseRuleInput(req.body, { partial: true, current: rule }));
+
+        res.status(200).json({ success: true, message: 'Pricing Rule Updated Successfully', data: rule });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in updatePricingRule:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
+
+/**
+ * Delete a pricing rule
+ *
+ * Orders already placed keep the prices they were charged.
+ *
+ * @route DELETE /api/admin/pricing-rules/:id
+ * @access Private (Admin only)
+ * @param {number} id - Rule ID
+ */
+export const deletePricingRule = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const rule = await findRule(id);
+
+        await rule.destroy();
+
+        res.status(200).json({ success: true, message: 'Pricing Rule Deleted Successfully' });
+    } catch (error) {
+        if (error.status) {
+            return sendHttpError(res, error);
+        }
+
+        console.log('Error in deletePricingRule:', error);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+};
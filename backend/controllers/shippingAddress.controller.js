@@ -1,11 +1,11 @@
 import models from '../models/index.js';
 
 export const getShippingAddresses = async (req, res) => {
-    const { id } = req.params;
+    const userId = req.user.id;
 
     try {
         const shippingAddresses = await models.ShippingAddress.findAll({
-            where: { userId: id }
+            where: { userId }
         });
 
         res.status(200).json({ success: true, data: shippingAddresses });
@@ -16,7 +16,8 @@ export const getShippingAddresses = async (req, res) => {
 };
 
 export const createShippingAddress = async (req, res) => {
-    const { street, city, commune, province, postalCode, country, label, userId } = req.body;
+    const userId = req.user.id;
+    const { street, city, commune, province, postalCode, country, label } = req.body;
     try {
         const createAddress = await models.ShippingAddress.create({
             userId: userId,
@@ -37,11 +38,13 @@ export const createShippingAddress = async (req, res) => {
 };
 
 export const deleteShippingAddress = async (req, res) => {
+    const userId = req.user.id;
     const { id } = req.params;
 
     try {
+        // Scoped to the owner so another user's address is reported as not found
         const rowAffected = await models.ShippingAddress.destroy({
-            where: { id: id }
+            where: { id, userId }
         });
 
         if (rowAffected === 0) {
@@ -56,11 +59,11 @@ export const deleteShippingAddress = async (req, res) => {
 };
 
 export const getShippingAddressLabels = async (req, res) => {
-    const { id } = req.params;
+    const userId = req.user.id;
 
     try {
         const shippingAddressLabels = await models.ShippingAddress.findAll({
-            where: { userId: id },
+            where: { userId },
             attributes: {
                 exclude: ['postalCode', 'createdAt', 'updatedAt']
             }
@@ -0,0 +1,34 @@
+/**
+ * File Transport
+ *
+ * Writes each message as an .eml file to MAIL_FILE_DIR instead of
+ * sending it. The files open in any mail client, and tests can read the
+ * newest file to follow the links in it.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { MAIL_FILE_DIR } from '../config/mail.js';
+
+const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const file = {
+    name: 'file',
+
+    async send(message) {
+        const info = await mailer.sendMail(message);
+        const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`;
+
+        await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+        await fs.writeFile(path.join(MAIL_FILE_DIR, filename), info.message);
+
+        return { messageId: info.messageId };
+    }
+};
+
+export default file;
@@ -0,0 +1,52 @@
+/**
+ * Mailer
+ *
+ * Sends account emails through the transport chosen by MAIL_TRANSPORT.
+ * Every transport implements the same interface, so callers do not need
+ * to know how mail is delivered:
+ *
+ * - name: identifier used in MAIL_TRANSPORT
+ * - send(message): deliver { from, to, subject, text, html },
+ *   returns { messageId }
+ *
+ * Messages are built by the functions in mail/templates.js.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import file from './file.transport.js';
+import smtp from './smtp.transport.js';
+import { MAIL_TRANSPORT, MAIL_FROM } from '../config/mail.js';
+
+const TRANSPORTS = { file, smtp };
+
+/**
+ * Transport selected in config
+ *
+ * @returns {Object} Transport
+ * @throws {Error} When MAIL_TRANSPORT names an unknown transport
+ */
+export const getTransport = () => {
+    const transport = TRANSPORTS[MAIL_TRANSPORT];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+    }
+
+    return transport;
+};
+
+/**
+ * Send an email
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise<Object>} { messageId }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
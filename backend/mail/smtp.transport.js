@@ -0,0 +1,33 @@
+/**
+ * SMTP Transport
+ *
+ * Sends mail through an SMTP server. In development point SMTP_HOST and
+ * SMTP_PORT at a local sink (e.g. Mailpit on port 1025) to read the
+ * messages in a browser without delivering them.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import nodemailer from 'nodemailer';
+import { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } from '../config/mail.js';
+
+let mailer = null;
+
+const smtp = {
+    name: 'smtp',
+
+    async send(message) {
+        mailer ??= nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+        });
+
+        const info = await mailer.sendMail(message);
+        return { messageId: info.messageId };
+    }
+};
+
+export default smtp;
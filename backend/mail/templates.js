@@ -0,0 +1,88 @@
+/**
+ * Email Templates
+ *
+ * Build the subject and bodies of account emails. Each template returns
+ * { subject, text, html } for sendMail; the plain text part carries the
+ * same content for clients that do not show HTML.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { SHOP_NAME } from '../config/shop.js';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wrap paragraphs and a call to action in the shared layout
+ *
+ * @param {Object} options
+ * @param {string[]} options.paragraphs - Body text, one entry per paragraph
+ * @param {Object} options.action - Button { label, url }
+ * @param {string} options.footer - Small print under the button
+ * @returns {string} HTML document
+ */
+const layout = ({ paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#fdf2f8;font-family:Arial,sans-serif;color:#1f2937;">
+  <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+    <h1 style="margin:0 0 24px;font-size:22px;color:#db2777;">${escapeHtml(SHOP_NAME)}</h1>
+    ${paragraphs.map((paragraph) => `<p style="line-height:1.5;">${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <p style="margin:28px 0;">
+      <a href="${escapeHtml(action.url)}" style="background:#ec4899;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a>
+    </p>
+    <p style="font-size:13px;color:#6b7280;line-height:1.5;">${escapeHtml(footer)}</p>
+    <p style="font-size:13px;color:#6b7280;word-break:break-all;">${escapeHtml(action.url)}</p>
+  </div>
+</body>
+</html>`;
+
+/**
+ * Password reset link
+ *
+ * @param {Object} options
+ * @param {string} options.username - Name to greet
+ * @param {string} options.url - Reset page link including the token
+ * @param {number} options.expiresInMinutes - How long the link works
+ * @returns {Object} { subject, text, html }
+ */
+export const passwordResetEmail = ({ username, url, expiresInMinutes }) => {
+    const paragraphs = [
+        `Hi ${username},`,
+        `We received a request to reset the password of your ${SHOP_NAME} account. Use the link below to choose a new one. It works once and expires in ${expiresInMinutes} minutes.`
+    ];
+    const footer = 'If you did not ask for this, you can ignore this email; your password will not change.';
+
+    return {
+        subject: `Reset your ${SHOP_NAME} password`,
+        text: `${paragraphs.join('\n\n')}\n\n${url}\n\n${footer}\n`,
+        html: layout({ paragraphs, action: { label: 'Reset password', url }, footer })
+    };
+};
+
+/**
+ * Email address verification link
+ *
+ * @param {Object} options
+ * @param {string} options.username - Name to greet
+ * @param {string} options.url - Verification page link including the token
+ * @param {number} options.expiresInHours - How long the link works
+ * @returns {Object} { subject, text, html }
+ */
+export const emailVerificationEmail = ({ username, url, expiresInHours }) => {
+    const paragraphs = [
+        `Hi ${username},`,
+        `Welcome to ${SHOP_NAME}! Please confirm this is your email address so we can send you order updates. The link expires in ${expiresInHours} hours.`
+    ];
+    const footer = 'If you did not create an account, you can ignore this email.';
+
+    return {
+        subject: `Verify your email for ${SHOP_NAME}`,
+        text: `${paragraphs.join('\n\n')}\n\n${url}\n\n${footer}\n`,
+        html: layout({ paragraphs, action: { label: 'Verify email', url }, footer })
+    };
+};
@@ -6,6 +6,9 @@
  *
  * Features:
  * - JWT token verification
+ * - Rejects tokens issued before the user's last password change
+ * - Admin tokens have their own audience; a token issued before the
+ *   user's role changed is rejected so the client fetches a new one
  * - User authentication
  * - Proper error handling and responses
  *
@@ -13,8 +16,9 @@
  * @version 2.0.0
  */
 
-import jwt from 'jsonwebtoken';
 import models from '../models/index.js';
+import { verifyAccessToken, getAudience } from '../utils/authTokens.js';
+import { EMAIL_VERIFICATION_REQUIRED } from '../config/auth.js';
 
 const { User } = models;
 
@@ -41,7 +45,7 @@ export const authenticateToken = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_USER_SECRET || process.env.JWT_SECRET);
+        const decoded = verifyAccessToken(token);
 
         // Find user in database to ensure they still exist
         const user = await User.findByPk(decoded.userId);
@@ -53,13 +57,30 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
 
+        // Tokens are issued for the role the user had at the time
+        if (decoded.aud !== getAudience(user.role)) {
+            return res.status(401).json({
+                message: 'Token audience does not match',
+                error: 'TOKEN_AUDIENCE_MISMATCH'
+            });
+        }
+
+        // Tokens issued before a password change were revoked with it
+        if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+            return res.status(401).json({
+                message: 'Token revoked',
+                error: 'TOKEN_REVOKED'
+            });
+        }
+
         // Attach user info to request
         req.user = {
             id: user.id,
             email: user.email,
             username: user.username,
             name: user.name,
-            role: user.role
+            role: user.role,
+            emailVerified: user.emailVerified
         };
 
         next();
@@ -113,4 +134,27 @@ export const requireAdmin = (req, res, next) => {
     }
 
     next();
-};
\ No newline at end of file
+};
+
+/**
+ * Require Verified Email
+ *
+ * Blocks the request until the user has verified their email address,
+ * when EMAIL_VERIFICATION_REQUIRED is on. Admins are never blocked.
+ * Should be used after authenticateToken middleware.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (EMAIL_VERIFICATION_REQUIRED && req.user.role !== 'admin' && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address before placing an order',
+            error: 'EMAIL_NOT_VERIFIED'
+        });
+    }
+
+    next();
+};
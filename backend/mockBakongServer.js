@@ -0,0 +1,181 @@
+/**
+ * Mock Bakong Gateway
+ *
+ * A local stand-in for the Bakong open API so the KHQR checkout can be
+ * exercised without a bank account. Point BAKONG_API_URL at this server.
+ *
+ * Features:
+ * - POST /v1/check_transaction_by_md5 answering like the real API
+ * - POST /mock/pay to simulate a customer scanning a KHQR, with the
+ *   outcome chosen by the caller:
+ *   - success: the transaction is recorded and a signed webhook is sent
+ *   - failure: the bank declines and a signed webhook is sent
+ *   - timeout: status checks for this payment hang until the client gives up
+ * - GET /mock/transactions lists what has been simulated
+ *
+ * Transactions are kept in memory and lost on restart.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import morgan from 'morgan';
+import dotenv from 'dotenv';
+
+import { parseKhqr, khqrMd5 } from './utils/khqr.js';
+
+// Load environment variables
+dotenv.config();
+
+const PORT = process.env.BAKONG_MOCK_PORT || 4100;
+const WEBHOOK_URL = process.env.BAKONG_WEBHOOK_URL || 'http://localhost:3000/api/payments/khqr/webhook';
+const OUTCOMES = ['success', 'failure', 'timeout'];
+
+const app = express();
+const transactions = new Map();
+
+app.use(express.json());
+app.use(morgan('dev'));
+
+/**
+ * Send a signed payment notification to the shop backend
+ *
+ * @param {Object} transaction - Simulated transaction
+ */
+const notifyShop = async (transaction) => {
+    const body = JSON.stringify({
+        md5: transaction.md5,
+        status: transaction.outcome === 'success' ? 'SUCCESS' : 'FAILED'
+    });
+    const signature = crypto
+        .createHmac('sha256', process.env.BAKONG_WEBHOOK_SECRET || '')
+        .update(body)
+        .digest('hex');
+
+    try {
+        const response = await fetch(WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Bakong-Signature': signature },
+            body
+        });
+        console.log(`Webhook for ${transaction.md5}: HTTP ${response.status}`);
+    } catch (error) {
+        console.log(`Webhook for ${transaction.md5} failed:`, error.message);
+    }
+};
+
+/**
+ * Check a transaction by the MD5 of its KHQR payload
+ *
+ * @route POST /v1/check_transaction_by_md5
+ * @param {string} req.body.md5 - MD5 of the KHQR payload
+ */
+app.post('/v1/check_transaction_by_md5', (req, res) => {
+    const expectedToken = process.env.BAKONG_API_TOKEN;
+    if (expectedToken && req.headers['authorization'] !== `Bearer ${expectedToken}`) {
+        return res.status(401).json({ responseCode: 1, responseMessage: 'Unauthorized', errorCode: 6, data: null });
+    }
+
+    const transaction = transactions.get(req.body.md5);
+
+    if (!transaction) {
+        return res.json({
+            responseCode: 1,
+            responseMessage: 'Transaction could not be found. Please check and try again.',
+            errorCode: 1,
+            data: null
+        });
+    }
+
+    // Never answer, so the caller's request timeout is exercised
+    if (transaction.outcome === 'timeout') {
+        return;
+    }
+
+    if (transaction.outcome === 'failure') {
+        return res.json({ responseCode: 1, responseMessage: 'Transaction failed.', errorCode: 3, data: null });
+    }
+
+    res.json({
+        responseCode: 0,
+        responseMessage: 'Getting transaction successfully.',
+        errorCode: null,
+        data: {
+            hash: transaction.hash,
+            fromAccountId: transaction.fromAccountId,
+            toAccountId: transaction.toAccountId,
+            currency: transaction.currency,
+            amount: transaction.amount,
+            description: transaction.billNumber,
+            createdDateMs: transaction.createdDateMs,
+            acknowledgedDateMs: transaction.createdDateMs
+        }
+    });
+});
+
+/**
+ * Simulate a customer paying a KHQR
+ *
+ * @route POST /mock/pay
+ * @param {string} req.body.qr - KHQR payload that was scanned (required)
+ * @param {string} req.body.outcome - success, failure or timeout (default: success)
+ * @param {number} req.body.amount - Amount actually paid (default: the QR amount)
+ */
+app.post('/mock/pay', async (req, res) => {
+    const { qr, outcome = 'success' } = req.body;
+
+    if (!qr) {
+        return res.status(400).json({ success: false, message: 'qr is required' });
+    }
+
+    if (!OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ success: false, message: `outcome must be one of ${OUTCOMES.join(', ')}` });
+    }
+
+    let khqr;
+    try {
+        khqr = parseKhqr(qr);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    // Banking apps refuse a dynamic QR once it has expired
+    if (khqr.expiresAt && khqr.expiresAt < new Date()) {
+        return res.status(410).json({ success: false, message: 'KHQR has expired' });
+    }
+
+    const md5 = khqrMd5(qr);
+    const transaction = {
+        md5,
+        outcome,
+        hash: crypto.randomBytes(32).toString('hex'),
+        fromAccountId: 'customer@devb',
+        toAccountId: khqr.accountId,
+        currency: khqr.currency,
+        amount: req.body.amount ?? khqr.amount,
+        billNumber: khqr.billNumber,
+        createdDateMs: Date.now()
+    };
+    transactions.set(md5, transaction);
+
+    if (outcome !== 'timeout') {
+        await notifyShop(transaction);
+    }
+
+    res.status(201).json({ success: true, data: transaction });
+});
+
+/**
+ * List simulated transactions
+ *
+ * @route GET /mock/transactions
+ */
+app.get('/mock/transactions', (req, res) => {
+    res.json({ success: true, data: [...transactions.values()] });
+});
+
+app.listen(PORT, () => {
+    console.log(`🏦 Mock Bakong gateway is running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,276 @@
+/**
+ * Coupon Model - Promo Codes
+ *
+ * Codes customers enter in the cart to get a discount. A coupon takes a
+ * percentage or a fixed amount off the items it applies to, or waives
+ * the shipping fee.
+ *
+ * Database Table: coupons
+ *
+ * Relationships:
+ * - One-to-Many with CouponRedemption (orders the code was used on)
+ *
+ * Business Rules:
+ * - Codes are stored upper case and matched case-insensitively
+ * - A coupon only applies between startsAt and endsAt, once the cart
+ *   subtotal reaches minSubtotal, and while usage limits are not reached
+ * - When categories or flowerIds are set, only matching cart lines are
+ *   discounted; otherwise every line is
+ * - Coupons are redeemed when an order is placed; cancelling the order
+ *   gives the use back
+ * - Several codes can be used together only if all of them are stackable
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import CouponRedemption from './CouponRedemption.model.js';
+import { httpError } from '../utils/httpError.js';
+
+const Coupon = sequelize.define('Coupon', {
+    /**
+     * Code - What the customer types in
+     */
+    code: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        unique: true,
+        set(value) {
+            this.setDataValue('code', String(value).trim().toUpperCase());
+        }
+    },
+
+    /**
+     * Description - Shown to the customer when the code is applied
+     */
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+
+    /**
+     * Type - Kind of discount
+     */
+    type: {
+        type: DataTypes.ENUM(
+            'percentage',    // value percent off eligible items
+            'fixed',         // value off eligible items
+            'free_shipping'  // Shipping fee waived
+        ),
+        allowNull: false
+    },
+
+    /**
+     * Value - Percent (percentage) or amount (fixed); unused for free_shipping
+     */
+    value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    /**
+     * Max Discount - Cap on a percentage discount (optional)
+     */
+    maxDiscount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+
+    /**
+     * Min Subtotal - Cart subtotal needed to use the code (optional)
+     */
+    minSubtotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+
+    /**
+     * Usage Limit - Total uses across all customers (null for unlimited)
+     */
+    usageLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 1
+        }
+    },
+
+    /**
+     * Per User Limit - Uses per customer (null for unlimited)
+     */
+    perUserLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 1
+        }
+    },
+
+    /**
+     * Times Redeemed - Uses on orders that have not been cancelled
+     */
+    timesRedeemed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    /**
+     * Validity window, either end optional
+     */
+    startsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    endsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    /**
+     * Categories - Flower categories the coupon is limited to (empty for all)
+     */
+    categories: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Flower IDs - Flowers the coupon is limited to (empty for all)
+     */
+    flowerIds: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Stackable - Can be combined with other stackable codes
+     */
+    stackable: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+
+    /**
+     * Active - Switched off coupons cannot be used
+     */
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'coupons',
+    timestamps: true
+});
+
+/**
+ * Most codes that can be used on one order
+ */
+Coupon.MAX_PER_ORDER = 3;
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Clean up codes entered by a customer
+ *
+ * @param {*} codes - Array of codes from the request body
+ * @returns {string[]} Upper case codes without blanks or duplicates
+ * @throws {Error} 400 httpError when codes is not an array of strings or has too many codes
+ */
+Coupon.normalizeCodes = function(codes = []) {
+    if (!Array.isArray(codes) || codes.some((code) => typeof code !== 'string')) {
+        throw httpError(400, 'Coupon codes must be an array of strings');
+    }
+
+    const normalized = [...new Set(codes.map((code) => code.trim().toUpperCase()).filter(Boolean))];
+
+    if (normalized.length > Coupon.MAX_PER_ORDER) {
+        throw httpError(400, `At most ${Coupon.MAX_PER_ORDER} coupon codes can be used on an order`);
+    }
+
+    return normalized;
+};
+
+/**
+ * Load coupons and check they can be used by a customer right now
+ *
+ * Checks everything that does not depend on the cart: the code exists
+ * and is active, the validity window, usage limits and stacking. Cart
+ * rules (minimum subtotal, restrictions) are checked when pricing.
+ *
+ * @param {string[]} codes - Normalized codes (see normalizeCodes)
+ * @param {Object} options
+ * @param {number} options.userId - Customer using the codes
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @param {boolean} options.lock - Lock the coupon rows (when redeeming)
+ * @returns {Promise<Coupon[]>} Coupons in the order of codes
+ * @throws {Error} 400 httpError naming the first code that cannot be used
+ */
+Coupon.findUsable = async function(codes, { userId, transaction, lock = false } = {}) {
+    if (codes.length === 0) {
+        return [];
+    }
+
+    const found = await Coupon.findAll({
+        where: { code: codes },
+        order: [['id', 'ASC']],
+        transaction,
+        ...(lock && { lock: transaction.LOCK.UPDATE })
+    });
+    const now = new Date();
+
+    const coupons = [];
+    for (const code of codes) {
+        const coupon = found.find((candidate) => candidate.code === code);
+
+        if (!coupon || !coupon.active) {
+            throw httpError(400, `Coupon ${code} is not valid`);
+        }
+
+        if (coupon.startsAt && coupon.startsAt > now) {
+            throw httpError(400, `Coupon ${code} is not active yet`);
+        }
+
+        if (coupon.endsAt && coupon.endsAt < now) {
+            throw httpError(400, `Coupon ${code} has expired`);
+        }
+
+        if (coupon.usageLimit !== null && coupon.timesRedeemed >= coupon.usageLimit) {
+            throw httpError(400, `Coupon ${code} has been fully redeemed`);
+        }
+
+        if (coupon.perUserLimit !== null) {
+            const used = await CouponRedemption.count({
+                where: { couponId: coupon.id, userId, releasedAt: null },
+                transaction
+            });
+
+            if (used >= coupon.perUserLimit) {
+                throw httpError(400, `You have already used coupon ${code}`);
+            }
+        }
+
+        coupons.push(coupon);
+    }
+
+    if (coupons.length > 1) {
+        const single = coupons.find((coupon) => !coupon.stackable);
+
+        if (single) {
+            throw httpError(400, `Coupon ${single.code} cannot be combined with other codes`);
+        }
+    }
+
+    return coupons;
+};
+
+export default Coupon;
@@ -0,0 +1,90 @@
+/**
+ * CouponRedemption Model - Coupon Uses
+ *
+ * One row per coupon used on an order, with the discount it gave.
+ *
+ * Database Table: coupon_redemptions
+ *
+ * Relationships:
+ * - Many-to-One with Coupon
+ * - Many-to-One with Order
+ * - Many-to-One with User (customer who used the code)
+ *
+ * Business Rules:
+ * - The code is copied so the order keeps showing it if the coupon is
+ *   later deleted
+ * - Cancelling the order sets releasedAt; released uses do not count
+ *   towards usage limits
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const CouponRedemption = sequelize.define('CouponRedemption', {
+    couponId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'coupons',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    code: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        comment: 'Coupon code at the time of use'
+    },
+    type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Coupon type at the time of use'
+    },
+
+    /**
+     * Amount - Discount given, or shipping fee waived for free_shipping
+     */
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+
+    /**
+     * Released At - When the order was cancelled and the use given back
+     */
+    releasedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'coupon_redemptions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['couponId', 'userId'] },
+        { fields: ['orderId'] }
+    ]
+});
+
+export default CouponRedemption;
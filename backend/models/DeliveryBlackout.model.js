@@ -0,0 +1,43 @@
+/**
+ * DeliveryBlackout Model - Days Without Deliveries
+ *
+ * Dates on which no delivery slot can be booked, e.g. public holidays
+ * or days the shop is closed.
+ *
+ * Database Table: delivery_blackouts
+ *
+ * Business Rules:
+ * - One row per date, in the shop time zone
+ * - Orders already booked for the date are kept; blacking out a date
+ *   only stops new bookings
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const DeliveryBlackout = sequelize.define('DeliveryBlackout', {
+    /**
+     * Date - Day without deliveries
+     */
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        unique: true
+    },
+
+    /**
+     * Reason - Shown to customers, e.g. "Pchum Ben"
+     */
+    reason: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    }
+}, {
+    tableName: 'delivery_blackouts',
+    timestamps: true
+});
+
+export default DeliveryBlackout;
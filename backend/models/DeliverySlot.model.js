@@ -0,0 +1,344 @@
+/**
+ * DeliverySlot Model - Delivery Time Slots
+ *
+ * Time windows customers can choose for delivery, e.g. "Morning"
+ * 09:00-12:00. A slot repeats on the days of the week it runs and can
+ * take a limited number of orders on each date.
+ *
+ * Database Table: delivery_slots
+ *
+ * Relationships:
+ * - One-to-Many with Order (orders booked into the slot)
+ *
+ * Business Rules:
+ * - Dates and times are in the shop time zone (DELIVERY_TIMEZONE)
+ * - A slot can be booked for today until its cutoff time (its start
+ *   time when no cutoff is set), and up to DELIVERY_DAYS_AHEAD days ahead
+ * - Nothing can be booked on a blackout date (see DeliveryBlackout)
+ * - When provinces is set the slot is only offered for addresses in
+ *   those provinces; otherwise everywhere we deliver
+ * - Orders that are not cancelled count towards the capacity of their
+ *   slot on their delivery date, so cancelling frees the place
+ * - Checkout requires a slot whenever one is offered for the province
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import DeliveryBlackout from './DeliveryBlackout.model.js';
+import Order from './Order.model.js';
+import { httpError } from '../utils/httpError.js';
+import { DELIVERY_TIMEZONE, DELIVERY_DAYS_AHEAD } from '../config/delivery.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalize = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const DeliverySlot = sequelize.define('DeliverySlot', {
+    /**
+     * Label - Shown to customers, e.g. "Morning"
+     */
+    label: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+
+    /**
+     * Delivery window
+     */
+    startTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    endTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+
+    /**
+     * Cutoff Time - Latest time on the day itself to book the slot
+     * (default: the start time)
+     */
+    cutoffTime: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+
+    /**
+     * Days Of Week - Days the slot runs, 0 = Sunday (empty for every day)
+     */
+    daysOfWeek: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Capacity - Orders the slot can take on one date
+     */
+    capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1
+        }
+    },
+
+    /**
+     * Provinces - Provinces the slot is offered in (empty for all)
+     */
+    provinces: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Active - Switched off slots are not offered
+     */
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'delivery_slots',
+    timestamps: true
+});
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Current date and time in the shop time zone
+ *
+ * @param {Date} now - Instant to convert (default: now)
+ * @returns {{date: string, time: string}} YYYY-MM-DD and HH:MM
+ */
+DeliverySlot.shopNow = function(now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: DELIVERY_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map((part) => [part.type, part.value]));
+
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Check a delivery date parameter
+ *
+ * @param {*} date - Value from the request
+ * @returns {string} The date as YYYY-MM-DD
+ * @throws {Error} 400 httpError when it is not a valid date
+ */
+DeliverySlot.parseDate = function(date) {
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date) || addDays(date, 0) !== date) {
+        throw httpError(400, 'Delivery date must be a date (YYYY-MM-DD)');
+    }
+
+    return date;
+};
+
+/**
+ * Count the orders booked into slots, by slot and date
+ *
+ * @param {Object} where - Extra conditions on the orders (slot IDs, dates)
+ * @param {Transaction} transaction - Sequelize transaction
+ * @returns {Promise<Map<string, number>>} Counts keyed by "slotId:date"
+ */
+DeliverySlot.countBooked = async function(where, transaction) {
+    const rows = await Order.findAll({
+        attributes: ['deliverySlotId', 'deliveryDate', [sequelize.fn('COUNT', sequelize.col('id')), 'booked']],
+        where: { ...where, status: { [Op.ne]: 'cancelled' } },
+        group: ['deliverySlotId', 'deliveryDate'],
+        raw: true,
+        transaction
+    });
+
+    return new Map(rows.map((row) => [`${row.deliverySlotId}:${row.deliveryDate}`, parseInt(row.booked)]));
+};
+
+/**
+ * Active slots offered for a province
+ *
+ * @param {string} province - Delivery province
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<DeliverySlot[]>} Slots by start time
+ */
+DeliverySlot.findForProvince = async function(province, { transaction } = {}) {
+    const slots = await DeliverySlot.findAll({
+        where: { active: true },
+        order: [['startTime', 'ASC'], ['id', 'ASC']],
+        transaction
+    });
+
+    return slots.filter((slot) => slot.coversProvince(province));
+};
+
+/**
+ * Slots that can be booked for a province over a range of dates
+ *
+ * @param {Object} options
+ * @param {string} options.province - Delivery province
+ * @param {string} options.from - First date, YYYY-MM-DD (default: today)
+ * @param {number} options.days - Number of days (capped at DELIVERY_DAYS_AHEAD)
+ * @returns {Promise<Array>} One entry per date: date, closedReason (blackout)
+ *                           and slots with remaining places and why they cannot
+ *                           be booked, if so
+ */
+DeliverySlot.getAvailability = async function({ province, from = null, days = 7 }) {
+    const now = DeliverySlot.shopNow();
+    const start = from ? DeliverySlot.parseDate(from) : now.date;
+    const count = Math.min(Math.max(1, days), DELIVERY_DAYS_AHEAD);
+    const dates = Array.from({ length: count }, (_, index) => addDays(start, index));
+
+    const slots = await DeliverySlot.findForProvince(province);
+    const blackouts = await DeliveryBlackout.findAll({ where: { date: dates } });
+    const booked = slots.length
+        ? await DeliverySlot.countBooked({ deliverySlotId: slots.map((slot) => slot.id), deliveryDate: dates })
+        : new Map();
+
+    return dates.map((date) => {
+        const blackout = blackouts.find((entry) => entry.date === date);
+
+        return {
+            date,
+            closedReason: blackout ? (blackout.reason || 'No deliveries') : null,
+            slots: blackout ? [] : slots
+                .filter((slot) => slot.runsOn(date))
+                .map((slot) => {
+                    const taken = booked.get(`${slot.id}:${date}`) || 0;
+                    const reason = slot.getUnavailableReason(date, { now, province })
+                        || (taken >= slot.capacity ? `The ${slot.label} slot is full on ${date}` : null);
+
+                    return {
+                        id: slot.id,
+                        label: slot.label,
+                        startTime: slot.startTime.slice(0, 5),
+                        endTime: slot.endTime.slice(0, 5),
+                        remaining: Math.max(0, slot.capacity - taken),
+                        available: reason === null,
+                        reason
+                    };
+                })
+        };
+    });
+};
+
+/**
+ * Check a slot can be booked and hold it for an order
+ *
+ * Locks the slot row so concurrent checkouts cannot overbook it; the
+ * caller must create the order in the same transaction.
+ *
+ * @param {Object} options
+ * @param {number} options.slotId - Chosen slot
+ * @param {string} options.date - Chosen date, YYYY-MM-DD
+ * @param {string} options.province - Delivery province
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<DeliverySlot>} The slot
+ * @throws {Error} 400 httpError when the slot cannot be booked on the date, 409 when it is full
+ */
+DeliverySlot.reserve = async function({ slotId, date, province, transaction }) {
+    const deliveryDate = DeliverySlot.parseDate(date);
+    const slot = Number.isInteger(Number(slotId))
+        ? await DeliverySlot.findByPk(slotId, { lock: transaction.LOCK.UPDATE, transaction })
+        : null;
+
+    if (!slot) {
+        throw httpError(400, 'This delivery slot is not available');
+    }
+
+    const blackout = await DeliveryBlackout.findOne({ where: { date: deliveryDate }, transaction });
+    if (blackout) {
+        throw httpError(400, `No deliveries on ${deliveryDate}${blackout.reason ? ` (${blackout.reason})` : ''}`);
+    }
+
+    const reason = slot.getUnavailableReason(deliveryDate, { now: DeliverySlot.shopNow(), province });
+    if (reason) {
+        throw httpError(400, reason);
+    }
+
+    const booked = await DeliverySlot.countBooked({ deliverySlotId: slot.id, deliveryDate }, transaction);
+    if ((booked.get(`${slot.id}:${deliveryDate}`) || 0) >= slot.capacity) {
+        throw httpError(409, `The ${slot.label} slot is full on ${deliveryDate}, please choose another time`);
+    }
+
+    return slot;
+};
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Check whether the slot is offered in a province
+ *
+ * @param {string} province - Delivery province
+ * @returns {boolean} True when the slot covers the province
+ */
+DeliverySlot.prototype.coversProvince = function(province) {
+    return this.provinces.length === 0
+        || this.provinces.some((name) => normalize(name) === normalize(province));
+};
+
+/**
+ * Check whether the slot runs on a date
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True when the weekday is one of daysOfWeek
+ */
+DeliverySlot.prototype.runsOn = function(date) {
+    return this.daysOfWeek.length === 0
+        || this.daysOfWeek.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+};
+
+/**
+ * Work out why the slot cannot be booked on a date
+ *
+ * Blackout dates and capacity are checked by the callers, which load
+ * them in bulk.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} options
+ * @param {{date: string, time: string}} options.now - Shop time (see shopNow)
+ * @param {string} options.province - Delivery province
+ * @returns {string|null} Reason shown to the customer, null when it can be booked
+ */
+DeliverySlot.prototype.getUnavailableReason = function(date, { now, province }) {
+    if (!this.active || !this.coversProvince(province)) {
+        return `The ${this.label} slot is not available for ${province}`;
+    }
+
+    if (date < now.date) {
+        return 'This delivery date has passed';
+    }
+
+    if (date >= addDays(now.date, DELIVERY_DAYS_AHEAD)) {
+        return `Deliveries can be booked up to ${DELIVERY_DAYS_AHEAD} days ahead`;
+    }
+
+    if (!this.runsOn(date)) {
+        return `The ${this.label} slot does not run on this day`;
+    }
+
+    if (date === now.date && now.time >= (this.cutoffTime || this.startTime).slice(0, 5)) {
+        return `It is too late to book the ${this.label} slot today`;
+    }
+
+    return null;
+};
+
+export default DeliverySlot;
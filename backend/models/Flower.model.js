@@ -15,6 +15,14 @@
  * Business Rules:
  * - Stock levels must be tracked for inventory management
  * - Prices should be positive values
+ * - originalPrice is a compare-at price shown struck through next to
+ *   the selling price; it must be higher than the price
+ * - A sale replaces the price with salePrice between saleStartsAt and
+ *   saleEndsAt (either end optional); the effective price is worked out
+ *   whenever the flower is listed or priced, so sales start and end
+ *   without anyone touching the catalog
+ * - Seasonal pricing rules (see PricingRule) adjust the effective price,
+ *   on top of any sale
  * - Images should be validated URLs or file paths
  * - Products can be marked as seasonal or featured
  * - Categories help with filtering and organization
@@ -25,6 +33,7 @@
 
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/sequelize.js';
+import PricingRule from './PricingRule.model.js';
 
 /**
  * Flower Model Definition
@@ -73,6 +82,35 @@ const Flower = sequelize.define('Flower', {
         comment: 'Current selling price in base currency'
     },
 
+    /**
+     * Original Price - Compare-at price shown struck through (optional)
+     */
+    originalPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Compare-at price, higher than price'
+    },
+
+    /**
+     * Sale - Price charged during the sale window
+     *
+     * Without saleStartsAt the sale runs from now, without saleEndsAt it
+     * runs until the sale price is cleared.
+     */
+    salePrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Price during the sale, lower than price'
+    },
+    saleStartsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    saleEndsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
     /**
      * Product Image URL - Main product image
      *
@@ -132,10 +170,158 @@ const Flower = sequelize.define('Flower', {
         defaultValue: 0,
         comment: 'Available inventory quantity'
     },
+
+    /**
+     * Product Status - Visibility in the shop
+     *
+     * - active: listed and purchasable
+     * - inactive: hidden from the shop but still editable by admins
+     * - discontinued: soft deleted, kept so past orders can reference it
+     */
+    status: {
+        type: DataTypes.ENUM('active', 'inactive', 'discontinued'),
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'Product visibility status'
+    },
+
+    /**
+     * Featured Flag - Highlighted on the home page
+     */
+    featured: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the product is featured'
+    }
 }, {
     // Table configuration
     tableName: 'flowers',
     timestamps: true, // Enable automatic createdAt and updatedAt
 });
 
-export default Flower;
\ No newline at end of file
+/**
+ * Class Methods
+ */
+
+/**
+ * SQL for the effective price, for filtering and sorting lists
+ *
+ * Mirrors getEffectivePrice() so list filters agree with the prices shown.
+ *
+ * @param {Object} options
+ * @param {Date} options.at - Time to price at (default: now)
+ * @param {PricingRule[]} options.rules - Seasonal rules in effect at that time
+ * @returns {Literal} Sequelize literal
+ */
+Flower.effectivePriceSql = function({ at = null, rules = [] } = {}) {
+    const time = at ? sequelize.escape(at) : 'NOW()';
+    let price = `(CASE
+        WHEN "salePrice" IS NOT NULL
+            AND ("saleStartsAt" IS NULL OR "saleStartsAt" <= ${time})
+            AND ("saleEndsAt" IS NULL OR "saleEndsAt" > ${time})
+        THEN "salePrice" ELSE "price" END)`;
+
+    if (rules.length === 0) {
+        return sequelize.literal(price);
+    }
+
+    // Same order as PricingRule.apply(): percentages, then fixed surcharges
+    const scoped = (rule, value, otherwise) => (rule.categories.length === 0
+        ? value
+        : `(CASE WHEN "category" IN (${rule.categories.map((category) => sequelize.escape(category)).join(', ')}) THEN ${value} ELSE ${otherwise} END)`);
+
+    for (const rule of rules.filter((rule) => rule.type === 'percentage')) {
+        price = `(${price} * ${scoped(rule, 1 + parseFloat(rule.value) / 100, 1)})`;
+    }
+
+    for (const rule of rules.filter((rule) => rule.type === 'fixed')) {
+        price = `(${price} + ${scoped(rule, parseFloat(rule.value), 0)})`;
+    }
+
+    return sequelize.literal(`ROUND(${price}, 2)`);
+};
+
+/**
+ * Where condition comparing the effective price
+ *
+ * @param {symbol} operator - Sequelize operator, e.g. Op.gte
+ * @param {number} value - Price to compare with
+ * @param {Object} options - See effectivePriceSql()
+ * @returns {Object} Sequelize where condition
+ */
+Flower.effectivePriceWhere = function(operator, value, options) {
+    return sequelize.where(Flower.effectivePriceSql(options), { [operator]: value });
+};
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Whether the sale price applies at a given time
+ *
+ * @param {Date} now - Time to check (default: now)
+ * @returns {boolean} True during the sale window
+ */
+Flower.prototype.isOnSale = function(now = new Date()) {
+    return this.salePrice !== null && this.salePrice !== undefined
+        && (!this.saleStartsAt || this.saleStartsAt <= now)
+        && (!this.saleEndsAt || this.saleEndsAt > now);
+};
+
+/**
+ * Work out the price a customer pays at a given time
+ *
+ * @param {Object} options
+ * @param {Date} options.at - Time to price at (default: now)
+ * @param {PricingRule[]} options.rules - Seasonal rules in effect at that time
+ * @returns {{price: number, onSale: boolean, rules: PricingRule[]}} Price, whether
+ *          the sale price was used, and the seasonal rules applied
+ */
+Flower.prototype.getPriceBreakdown = function({ at = new Date(), rules = [] } = {}) {
+    const onSale = this.isOnSale(at);
+    const base = parseFloat(onSale ? this.salePrice : this.price);
+
+    return { onSale, ...PricingRule.apply(base, this.category, rules) };
+};
+
+/**
+ * Price a customer pays at a given time
+ *
+ * @param {Object} options - See getPriceBreakdown()
+ * @returns {number} Sale price during the sale, otherwise the price,
+ *                   adjusted by seasonal rules
+ */
+Flower.prototype.getEffectivePrice = function(options) {
+    return this.getPriceBreakdown(options).price;
+};
+
+/**
+ * Get the flower as shown in the shop
+ *
+ * price is the effective price; regularPrice is the price outside
+ * sales; compareAtPrice is what to strike through (the original price,
+ * or the regular price during a sale), null when it would not be higher.
+ *
+ * @param {Object} options - See getPriceBreakdown()
+ * @returns {Object} Plain flower object
+ */
+Flower.prototype.getCatalogDetails = function(options) {
+    const { salePrice, saleStartsAt, saleEndsAt, ...flower } = this.toJSON();
+    const { price, onSale } = this.getPriceBreakdown(options);
+    const compareAt = this.originalPrice !== null && this.originalPrice !== undefined
+        ? parseFloat(this.originalPrice)
+        : onSale ? parseFloat(this.price) : null;
+
+    return {
+        ...flower,
+        price: price.toFixed(2),
+        regularPrice: this.price,
+        compareAtPrice: compareAt !== null && compareAt > price ? compareAt.toFixed(2) : null,
+        onSale,
+        saleEndsAt: onSale ? saleEndsAt : null
+    };
+};
+
+export default Flower;
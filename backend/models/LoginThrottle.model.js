@@ -0,0 +1,174 @@
+/**
+ * LoginThrottle Model - Failed Logins per IP Address or Unknown Identifier
+ *
+ * Limits password guessing from one address across many accounts, and
+ * against identifiers that match no account. Failures on an existing
+ * account are counted on the User itself.
+ *
+ * Database Table: login_throttles
+ *
+ * Business Rules:
+ * - Only failures are counted; a successful login does not reset the
+ *   counter, so logging in to one's own account cannot be used to keep
+ *   guessing others
+ * - Backoff follows utils/loginLockout.js with LOGIN_IP_MAX_ATTEMPTS per
+ *   address and LOGIN_MAX_ATTEMPTS per unknown identifier, the same as
+ *   for an account, so a lock does not reveal whether an account exists
+ * - Identifiers are stored as a SHA-256 hash, since people sometimes type
+ *   their password into the identifier field
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { hashToken } from '../utils/secureToken.js';
+import { registerFailure, getRetryAfter } from '../utils/loginLockout.js';
+import { LOGIN_MAX_ATTEMPTS, LOGIN_IP_MAX_ATTEMPTS, LOGIN_ATTEMPT_WINDOW_MINUTES, LOGIN_LOCK_MAX_MINUTES } from '../config/auth.js';
+
+const LoginThrottle = sequelize.define('LoginThrottle', {
+    /**
+     * Scope - What is counted: an IP address or an unknown identifier
+     */
+    scope: {
+        type: DataTypes.ENUM('ip', 'identifier'),
+        allowNull: false
+    },
+
+    /**
+     * Key - Client address as seen by Express (see TRUST_PROXY), or the
+     * hashed identifier (see identifierKey)
+     */
+    key: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+
+    /**
+     * Failed Attempts - Failures since counting last started over
+     */
+    failedAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    /**
+     * Last Failed At / Locked Until
+     */
+    lastFailedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'login_throttles',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['scope', 'key'] }
+    ]
+});
+
+/**
+ * Failures allowed per scope before locking
+ */
+const MAX_ATTEMPTS = {
+    ip: LOGIN_IP_MAX_ATTEMPTS,
+    identifier: LOGIN_MAX_ATTEMPTS
+};
+
+/**
+ * Key for an identifier, normalized the way User.findByIdentifier matches it
+ *
+ * @param {string} identifier - Email or username as typed
+ * @returns {string} SHA-256 hex digest
+ */
+const identifierKey = (identifier) => hashToken(String(identifier).trim().toLowerCase());
+
+/**
+ * Find or create a counter, locked until the transaction ends
+ *
+ * @param {string} scope - 'ip' or 'identifier'
+ * @param {string} key - Address or hashed identifier
+ * @param {Transaction} transaction - Sequelize transaction
+ * @returns {Promise<LoginThrottle>} Locked counter
+ */
+const lockCounter = async (scope, key, transaction) => {
+    const [throttle] = await LoginThrottle.findOrCreate({ where: { scope, key }, transaction });
+    return throttle.reload({ lock: transaction.LOCK.UPDATE, transaction });
+};
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Seconds until an address may try to log in again
+ *
+ * @param {string} ip - Client IP address
+ * @returns {Promise<number>} Seconds, 0 when not locked
+ */
+LoginThrottle.getRetryAfter = async function(ip) {
+    const throttle = await LoginThrottle.findOne({ where: { scope: 'ip', key: ip } });
+    return throttle ? getRetryAfter(throttle.lockedUntil) : 0;
+};
+
+/**
+ * Count a failed login from an address
+ *
+ * @param {string} ip - Client IP address
+ * @returns {Promise<LoginThrottle>} Updated counters
+ */
+LoginThrottle.recordFailure = async function(ip) {
+    return sequelize.transaction(async (transaction) => {
+        const throttle = await lockCounter('ip', ip, transaction);
+        return throttle.update(registerFailure(throttle, MAX_ATTEMPTS.ip), { transaction });
+    });
+};
+
+/**
+ * Try a login with an identifier that matches no account
+ *
+ * Behaves like User.prototype.attemptLogin: the counter stays locked
+ * from the lock check until the failure is counted.
+ *
+ * @param {string} identifier - Email or username as typed
+ * @param {Function} verify - Async password check; not called while locked
+ * @returns {Promise<Object>} { outcome, retryAfter } as for User.prototype.attemptLogin
+ */
+LoginThrottle.attemptLogin = async function(identifier, verify) {
+    return sequelize.transaction(async (transaction) => {
+        const throttle = await lockCounter('identifier', identifierKey(identifier), transaction);
+
+        const lockedFor = getRetryAfter(throttle.lockedUntil);
+        if (lockedFor) {
+            return { outcome: 'locked', retryAfter: lockedFor };
+        }
+
+        if (await verify()) {
+            return { outcome: 'ok', retryAfter: 0 };
+        }
+
+        await throttle.update(registerFailure(throttle, MAX_ATTEMPTS.identifier), { transaction });
+        return { outcome: 'failed', retryAfter: getRetryAfter(throttle.lockedUntil) };
+    });
+};
+
+/**
+ * Delete counters that can no longer lock anyone out
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+LoginThrottle.deleteStale = async function() {
+    const cutoff = new Date(Date.now() - (LOGIN_ATTEMPT_WINDOW_MINUTES + LOGIN_LOCK_MAX_MINUTES) * 60 * 1000);
+
+    return LoginThrottle.destroy({
+        where: { lastFailedAt: { [Op.lt]: cutoff } }
+    });
+};
+
+export default LoginThrottle;
@@ -1,2 +1,600 @@
-import { DataTypes } from "sequelize";
-import sequelize from "../config/sequelize.js";
\ No newline at end of file
+/**
+ * Order Model - Customer Order Management
+ *
+ * This model represents an order placed by a customer at checkout.
+ * An order is created from the customer's cart and keeps a snapshot of
+ * the shipping address and totals at the time it was placed.
+ *
+ * Database Table: orders
+ *
+ * Relationships:
+ * - Many-to-One with User (customer who placed the order)
+ * - Many-to-One with ShippingAddress (address chosen at checkout)
+ * - Many-to-One with DeliverySlot (delivery time chosen at checkout)
+ * - One-to-Many with OrderItem (purchased line items)
+ * - One-to-Many with Payment (payments taken through the chosen provider)
+ * - One-to-Many with Refund (money given back)
+ * - One-to-Many with CouponRedemption (promo codes used)
+ *
+ * Business Rules:
+ * - Totals are computed on the server, never trusted from the client
+ * - The shipping address is snapshotted so later edits or deletes
+ *   of the saved address do not change historical orders
+ * - Monetary values are stored as decimals for precision
+ * - Status follows the lifecycle in STATUS_TRANSITIONS and every
+ *   change is recorded in order_status_history
+ * - Stock is reserved when the order is placed and released when it is
+ *   cancelled, including when payment is not made before paymentDueAt
+ * - The payment method is chosen at checkout. Cash on delivery orders
+ *   have no payment deadline, may be prepared before payment and count
+ *   as paid once delivered
+ * - Coupons are redeemed with the order and given back if it is cancelled
+ * - The delivery slot is booked with the order; cancelling frees its place
+ * - Gift orders name a recipient, who may differ from the owner of the
+ *   saved address, and can carry a card message; anonymous senders are
+ *   left off the printed card
+ * - Refunds never change the original totals; refundedAmount tracks
+ *   what has been returned and netPaid is what the shop kept
+ * - A gateway payment that arrives after the order was cancelled is still
+ *   recorded: the order stays cancelled but is marked paid until refunded
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import OrderStatusHistory from './OrderStatusHistory.model.js';
+import OrderItem from './OrderItem.model.js';
+import Flower from './Flower.model.js';
+import Payment from './Payment.model.js';
+import Coupon from './Coupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+
+const GIFT_MESSAGE_MAX_LENGTH = 300;
+
+/**
+ * Order Model Definition
+ */
+const Order = sequelize.define('Order', {
+    /**
+     * Customer - User who placed the order
+     */
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE',
+        comment: 'User who placed the order'
+    },
+
+    /**
+     * Shipping Address - Saved address chosen at checkout
+     *
+     * Nullable so the order survives if the customer later deletes
+     * the address. Use shippingSnapshot for display.
+     */
+    shippingAddressId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'shipping_addresses',
+            key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'Shipping address selected at checkout'
+    },
+
+    /**
+     * Shipping Snapshot - Copy of the address at the time of checkout
+     *
+     * Contains: label, street, commune, city, province, postalCode, country
+     */
+    shippingSnapshot: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        comment: 'Shipping address as it was when the order was placed'
+    },
+
+    /**
+     * Delivery Slot - Time slot chosen at checkout
+     *
+     * Nullable so the order survives if the slot is later deleted, and
+     * for provinces no slot is offered in. Use deliveryWindow for display.
+     */
+    deliverySlotId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'delivery_slots',
+            key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'Delivery slot booked at checkout'
+    },
+
+    /**
+     * Delivery Date - Day the flowers are delivered, in the shop time zone
+     */
+    deliveryDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Delivery date chosen at checkout'
+    },
+
+    /**
+     * Delivery Window - Copy of the slot at the time of checkout
+     *
+     * Contains: label, startTime, endTime
+     */
+    deliveryWindow: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Delivery slot as it was when the order was placed'
+    },
+
+    /**
+     * Recipient - Person receiving the flowers, when it is not the customer
+     *
+     * The courier calls this number instead of the customer's.
+     */
+    recipientName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Name of the person receiving the flowers'
+    },
+    recipientPhone: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Phone number of the person receiving the flowers'
+    },
+
+    /**
+     * Gift Message - Printed on the card sent with the flowers
+     */
+    giftMessage: {
+        type: DataTypes.STRING(GIFT_MESSAGE_MAX_LENGTH),
+        allowNull: true,
+        comment: 'Message printed on the gift card'
+    },
+
+    /**
+     * Anonymous Sender - Leave the customer's name off the gift card
+     */
+    anonymousSender: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Hide the sender name on the gift card'
+    },
+
+    /**
+     * Order Status - Current lifecycle state
+     *
+     * Changes must go through transitionTo() so that illegal
+     * transitions are rejected and every change is audited.
+     */
+    status: {
+        type: DataTypes.ENUM(
+            'pending_payment',  // Order placed, awaiting payment
+            'paid',             // Payment confirmed
+            'preparing',        // Being arranged by the florist
+            'out_for_delivery', // With the courier
+            'delivered',        // Received by the recipient
+            'cancelled',        // Cancelled before delivery
+            'refunded'          // Money returned to the customer
+        ),
+        allowNull: false,
+        defaultValue: 'pending_payment',
+        comment: 'Current status of the order'
+    },
+
+    /**
+     * Payment Status - Whether the order has been paid for
+     */
+    paymentStatus: {
+        type: DataTypes.ENUM('unpaid', 'paid', 'partially_refunded', 'refunded'),
+        allowNull: false,
+        defaultValue: 'unpaid',
+        comment: 'Payment state of the order'
+    },
+
+    /**
+     * Refunded Amount - Money returned to the customer so far
+     */
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Sum of refunds given on the order'
+    },
+
+    /**
+     * Paid At - When payment was confirmed
+     */
+    paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Timestamp of payment confirmation'
+    },
+
+    /**
+     * Payment Due At - Deadline for paying a pending order
+     *
+     * Unpaid orders past this time are cancelled by cancelExpired()
+     * and their reserved stock is returned.
+     */
+    paymentDueAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Pending orders are cancelled if not paid by this time'
+    },
+
+    /**
+     * Payment Method - Provider chosen at checkout
+     */
+    paymentMethod: {
+        type: DataTypes.ENUM('cod', 'card', 'khqr'),
+        allowNull: false,
+        defaultValue: 'khqr',
+        comment: 'Payment method chosen at checkout'
+    },
+
+    /**
+     * Payment Reference - Human readable order reference
+     *
+     * Passed to the payment provider (e.g. as the KHQR bill number) so it
+     * shows up in the customer's banking app and on the shop's statements.
+     */
+    paymentReference: {
+        type: DataTypes.STRING(25),
+        allowNull: true,
+        unique: true,
+        comment: 'Order reference shown to the customer when paying'
+    },
+
+    /**
+     * Subtotal - Sum of all line totals
+     */
+    subtotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Sum of line item totals'
+    },
+
+    /**
+     * Discount - Coupon discounts taken off the items
+     *
+     * Waived shipping is not included, shippingFee is already 0.
+     */
+    discount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Coupon discount on items'
+    },
+
+    /**
+     * Shipping Fee - Delivery charge applied to the order
+     */
+    shippingFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Delivery charge'
+    },
+
+    /**
+     * Tax - Tax amount applied to the subtotal
+     */
+    tax: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Tax amount'
+    },
+
+    /**
+     * Total - Amount the customer has to pay
+     */
+    total: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Grand total (subtotal - discount + shipping + tax)'
+    },
+}, {
+    // Table configuration
+    tableName: 'orders',
+    timestamps: true, // createdAt is the order date
+});
+
+/**
+ * Allowed status transitions
+ *
+ * pending_payment → paid → preparing → out_for_delivery → delivered,
+ * with cancellation possible until the order leaves the shop and
+ * refunds possible once money has been taken. Cash on delivery orders
+ * skip paid and go straight to preparing, and an order that has been
+ * paid is refunded rather than cancelled. A cancelled order can only be
+ * refunded when it was paid after cancellation (see canTransitionTo).
+ */
+Order.STATUS_TRANSITIONS = {
+    pending_payment: ['paid', 'preparing', 'cancelled'],
+    paid: ['preparing', 'cancelled', 'refunded'],
+    preparing: ['out_for_delivery', 'cancelled', 'refunded'],
+    out_for_delivery: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+/**
+ * Minutes a customer has to pay before a pending order is cancelled
+ */
+Order.PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES) || 30;
+
+/**
+ * Longest gift message, and most lines, that fit on the printed card
+ */
+Order.GIFT_MESSAGE_MAX_LENGTH = GIFT_MESSAGE_MAX_LENGTH;
+Order.GIFT_MESSAGE_MAX_LINES = 8;
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Cancel pending orders whose payment deadline has passed
+ *
+ * Each order is cancelled in its own transaction so that one failure
+ * does not block the rest. Stock is released by transitionTo().
+ *
+ * @returns {Promise<number>} Number of orders cancelled
+ */
+Order.cancelExpired = async function() {
+    const expired = await Order.findAll({
+        where: {
+            status: 'pending_payment',
+            paymentDueAt: { [Op.lt]: new Date() }
+        },
+        attributes: ['id']
+    });
+
+    let cancelled = 0;
+    for (const { id } of expired) {
+        await sequelize.transaction(async (transaction) => {
+            const order = await Order.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+            // Paid or cancelled since the lookup
+            if (order.status !== 'pending_payment') {
+                return;
+            }
+
+            await order.transitionTo('cancelled', { note: 'Payment timed out', transaction });
+            cancelled++;
+        });
+    }
+
+    return cancelled;
+};
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Check whether the order may move to the given status
+ *
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+Order.prototype.canTransitionTo = function(status) {
+    if (this.status === 'pending_payment' && status === 'preparing' && this.paymentMethod !== 'cod') {
+        return false;
+    }
+
+    // Cancelling would keep the money; the refund flow returns it
+    if (status === 'cancelled' && this.paymentStatus !== 'unpaid') {
+        return false;
+    }
+
+    // Only a payment that arrived after cancelling leaves money to return
+    if (this.status === 'cancelled' && status === 'refunded' && this.paymentStatus === 'unpaid') {
+        return false;
+    }
+
+    return (Order.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the order to a new status and record it in the audit trail
+ *
+ * @param {string} status - Target status
+ * @param {Object} options
+ * @param {number|null} options.changedBy - User making the change (null for the system)
+ * @param {string} options.note - Optional reason for the change
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<Order>} Updated order
+ */
+Order.prototype.transitionTo = async function(status, { changedBy = null, note = null, transaction } = {}) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Cannot change order status from ${this.status} to ${status}`);
+    }
+
+    const fromStatus = this.status;
+    this.status = status;
+
+    if (status === 'paid') {
+        this.paymentStatus = 'paid';
+        this.paidAt = new Date();
+    }
+
+    if (status === 'refunded') {
+        this.paymentStatus = 'refunded';
+    }
+
+    // Cash is collected by the courier
+    if (status === 'delivered' && this.paymentMethod === 'cod' && this.paymentStatus === 'unpaid') {
+        this.paymentStatus = 'paid';
+        this.paidAt = new Date();
+        await Payment.update(
+            { status: 'succeeded', succeededAt: this.paidAt },
+            { where: { orderId: this.id, status: 'pending' }, transaction }
+        );
+    }
+
+    if (status === 'cancelled') {
+        await this.releaseStock({ transaction });
+        await this.releaseCoupons({ transaction });
+        await Payment.update(
+            { status: 'cancelled' },
+            { where: { orderId: this.id, status: 'pending' }, transaction }
+        );
+    }
+
+    await this.save({ transaction });
+    await OrderStatusHistory.create({
+        orderId: this.id,
+        fromStatus,
+        toStatus: status,
+        changedBy,
+        note
+    }, { transaction });
+
+    return this;
+};
+
+/**
+ * Record a payment the provider confirmed after the order was cancelled
+ *
+ * The order stays cancelled. The payment is marked succeeded and the
+ * order paid so the money shows up to be refunded, and the late payment
+ * is noted in the audit trail.
+ *
+ * @param {Payment} payment - Payment that was cancelled with the order
+ * @param {Object} options
+ * @param {Object} options.result - Result of provider.confirm()
+ * @param {string} options.note - Note for the audit trail
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<Order>} Updated order
+ */
+Order.prototype.recordLatePayment = async function(payment, { result = {}, note = null, transaction } = {}) {
+    const paidAt = new Date();
+
+    await payment.update({
+        status: 'succeeded',
+        succeededAt: paidAt,
+        providerReference: result.providerReference ?? payment.providerReference,
+        details: { ...payment.details, ...result.details },
+        failureReason: null
+    }, { transaction });
+
+    this.paymentStatus = 'paid';
+    this.paidAt = paidAt;
+    await this.save({ transaction });
+
+    await OrderStatusHistory.create({
+        orderId: this.id,
+        fromStatus: this.status,
+        toStatus: this.status,
+        changedBy: null,
+        note
+    }, { transaction });
+
+    return this;
+};
+
+/**
+ * Return the order's reserved quantities to flower stock
+ *
+ * Lines whose flower has since been removed from the catalog are skipped.
+ *
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ */
+Order.prototype.releaseStock = async function({ transaction } = {}) {
+    const items = await OrderItem.findAll({ where: { orderId: this.id }, transaction });
+
+    for (const item of items) {
+        if (item.flowerId) {
+            await Flower.increment('stock', {
+                by: item.quantity,
+                where: { id: item.flowerId },
+                transaction
+            });
+        }
+    }
+};
+
+/**
+ * Give back the uses of the coupons redeemed on the order
+ *
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ */
+Order.prototype.releaseCoupons = async function({ transaction } = {}) {
+    const redemptions = await CouponRedemption.findAll({
+        where: { orderId: this.id, releasedAt: null },
+        transaction
+    });
+
+    for (const redemption of redemptions) {
+        await redemption.update({ releasedAt: new Date() }, { transaction });
+
+        if (redemption.couponId) {
+            await Coupon.decrement('timesRedeemed', {
+                where: { id: redemption.couponId },
+                transaction
+            });
+        }
+    }
+};
+
+/**
+ * Get the order's status timeline
+ *
+ * Built from the statusHistory association, which must be included
+ * when the order is loaded. Events are returned oldest first.
+ *
+ * @returns {Array<{status: string, at: Date, note: string|null}>} Timeline events
+ */
+Order.prototype.getTimeline = function() {
+    return [...(this.statusHistory || [])]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map((entry) => ({
+            status: entry.toStatus,
+            at: entry.createdAt,
+            note: entry.note
+        }));
+};
+
+/**
+ * Amount the shop has kept after refunds
+ *
+ * @returns {number} Net amount paid, 0 for unpaid orders
+ */
+Order.prototype.getNetPaid = function() {
+    if (this.paymentStatus === 'unpaid') {
+        return 0;
+    }
+
+    return Math.round((parseFloat(this.total) - parseFloat(this.refundedAmount)) * 100) / 100;
+};
+
+/**
+ * Get the order with its timeline, for API responses
+ *
+ * @returns {Object} Plain order object with a timeline array and net paid amount
+ */
+Order.prototype.getDetails = function() {
+    return {
+        ...this.toJSON(),
+        netPaid: this.getNetPaid(),
+        timeline: this.getTimeline()
+    };
+};
+
+export default Order;
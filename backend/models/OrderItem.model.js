@@ -1,2 +1,84 @@
-import { DataTypes } from "sequelize";
-import sequelize from "../config/sequelize.js";
\ No newline at end of file
+/**
+ * OrderItem Model - Order Line Items
+ *
+ * Each row is one flower purchased as part of an order. The flower's
+ * name, image and price are copied at checkout so the order keeps
+ * showing what the customer actually paid even if the catalog changes.
+ *
+ * Database Table: order_items
+ *
+ * Relationships:
+ * - Many-to-One with Order
+ * - Many-to-One with Flower (nullable once a flower is removed)
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const OrderItem = sequelize.define('OrderItem', {
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    flowerId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'flowers',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    flowerName: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Flower name at the time of purchase'
+    },
+    flowerImage: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Flower image at the time of purchase'
+    },
+    unitPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Price per unit at the time of purchase'
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1
+        }
+    },
+    lineTotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'unitPrice * quantity'
+    },
+    discount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Share of the coupon discounts taken off this line'
+    },
+    refundedQuantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Units of this line that have been refunded'
+    }
+}, {
+    tableName: 'order_items',
+    timestamps: false
+});
+
+export default OrderItem;
@@ -0,0 +1,61 @@
+/**
+ * OrderStatusHistory Model - Order Status Audit Trail
+ *
+ * Every status change on an order is recorded here, including the
+ * initial status when the order is placed. Rows are append-only.
+ *
+ * Database Table: order_status_history
+ *
+ * Relationships:
+ * - Many-to-One with Order
+ * - Many-to-One with User (who made the change, null for the system)
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    fromStatus: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'Previous status, null for the initial status'
+    },
+    toStatus: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'New status'
+    },
+    changedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL',
+        comment: 'User who made the change, null when done by the system'
+    },
+    note: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Optional reason for the change'
+    }
+}, {
+    tableName: 'order_status_history',
+    timestamps: true,
+    updatedAt: false // History rows are never updated
+});
+
+export default OrderStatusHistory;
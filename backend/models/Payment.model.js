@@ -0,0 +1,138 @@
+/**
+ * Payment Model - Order Payments
+ *
+ * One row per payment taken (or expected) for an order, whichever
+ * provider handles it: cash on delivery, card or KHQR.
+ *
+ * Database Table: payments
+ *
+ * Relationships:
+ * - Many-to-One with Order
+ * - One-to-Many with Refund
+ *
+ * Business Rules:
+ * - Created together with the order, in the pending state
+ * - A failed attempt (declined card, failed bank transfer) keeps the
+ *   payment pending so the customer can try again; the reason is kept
+ *   in failureReason
+ * - Pending payments are cancelled with their order
+ * - Card details are never stored, only the brand and last four digits
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const Payment = sequelize.define('Payment', {
+    /**
+     * Order - Order this payment is for
+     */
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    /**
+     * Provider - Payment method used
+     */
+    provider: {
+        type: DataTypes.ENUM('cod', 'card', 'khqr'),
+        allowNull: false,
+        comment: 'Payment provider handling this payment'
+    },
+
+    /**
+     * Payment Status
+     */
+    status: {
+        type: DataTypes.ENUM(
+            'pending',            // Waiting for the customer, gateway or courier
+            'succeeded',          // Money received
+            'cancelled',          // Order cancelled before payment
+            'partially_refunded', // Part of the money returned
+            'refunded'            // All of the money returned
+        ),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+
+    /**
+     * Amount - Amount to be paid, in currency
+     */
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+
+    /**
+     * Currency - ISO 4217 code
+     */
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+    },
+
+    /**
+     * Provider Reference - How the provider identifies the payment
+     *
+     * The KHQR payload MD5 or the card charge ID.
+     */
+    providerReference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Payment ID at the provider'
+    },
+
+    /**
+     * Details - Provider specific data
+     *
+     * KHQR: payload. Card: brand, last4.
+     */
+    details: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
+
+    /**
+     * Failure Reason - Why the last attempt failed
+     */
+    failureReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+
+    /**
+     * Refunded Amount - Total returned through refunds on this payment
+     */
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    /**
+     * Succeeded At - When the money was received
+     */
+    succeededAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'payments',
+    timestamps: true,
+    indexes: [
+        { fields: ['orderId'] },
+        { fields: ['provider', 'providerReference'] }
+    ]
+});
+
+export default Payment;
@@ -0,0 +1,151 @@
+/**
+ * PricingRule Model - Seasonal and Holiday Pricing
+ *
+ * Date-ranged price adjustments for busy periods such as Valentine's
+ * Day, Mother's Day or Khmer New Year, so flowers do not have to be
+ * repriced one by one.
+ *
+ * Database Table: pricing_rules
+ *
+ * Business Rules:
+ * - A rule applies from startsAt up to (not including) endsAt
+ * - When categories is set only flowers in those categories are
+ *   adjusted; otherwise every flower is
+ * - Rules adjust the effective price, so they apply on top of a sale
+ * - Percentage rules apply first, one after the other, then fixed
+ *   surcharges are added; the result is rounded to the cent
+ * - Rules are evaluated whenever flowers are listed or a cart is quoted,
+ *   so the price a customer sees is the price they are charged
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { roundMoney } from '../utils/pricing.js';
+
+const PricingRule = sequelize.define('PricingRule', {
+    /**
+     * Name - Shown to admins, e.g. "Valentine's Day roses"
+     */
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+
+    /**
+     * Type - Kind of adjustment
+     */
+    type: {
+        type: DataTypes.ENUM(
+            'percentage',  // Price changed by value percent (negative for a discount)
+            'fixed'        // value added to the price
+        ),
+        allowNull: false
+    },
+
+    /**
+     * Value - Percent (percentage) or amount (fixed)
+     */
+    value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+
+    /**
+     * Categories - Flower categories the rule is limited to (empty for all)
+     */
+    categories: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Date range the rule applies in
+     */
+    startsAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    endsAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    /**
+     * Active - Switched off rules are never applied
+     */
+    active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'pricing_rules',
+    timestamps: true
+});
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Load the rules that apply at a given time
+ *
+ * @param {Object} options
+ * @param {Date} options.at - Time to price at (default: now)
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<PricingRule[]>} Active rules, oldest first
+ */
+PricingRule.findActive = async function({ at = new Date(), transaction } = {}) {
+    return PricingRule.findAll({
+        where: {
+            active: true,
+            startsAt: { [Op.lte]: at },
+            endsAt: { [Op.gt]: at }
+        },
+        order: [['id', 'ASC']],
+        transaction
+    });
+};
+
+/**
+ * Adjust a price with the rules that apply to a category
+ *
+ * @param {number} price - Price before seasonal rules
+ * @param {string} category - Flower category
+ * @param {PricingRule[]} rules - Rules in effect (see findActive)
+ * @returns {{price: number, rules: PricingRule[]}} Adjusted price and the rules applied
+ */
+PricingRule.apply = function(price, category, rules = []) {
+    const applied = rules.filter((rule) => rule.appliesTo(category));
+    let adjusted = price;
+
+    for (const rule of applied.filter((rule) => rule.type === 'percentage')) {
+        adjusted *= 1 + parseFloat(rule.value) / 100;
+    }
+
+    for (const rule of applied.filter((rule) => rule.type === 'fixed')) {
+        adjusted += parseFloat(rule.value);
+    }
+
+    return { price: applied.length ? roundMoney(adjusted) : price, rules: applied };
+};
+
+/**
+ * Instance Methods
+ */
+
+/**
+ * Check whether the rule covers a flower category
+ *
+ * @param {string} category - Flower category
+ * @returns {boolean} True when the rule applies to the category
+ */
+PricingRule.prototype.appliesTo = function(category) {
+    return this.categories.length === 0 || this.categories.includes(category);
+};
+
+export default PricingRule;
@@ -0,0 +1,245 @@
+/**
+ * RefreshToken Model - Login Sessions
+ *
+ * Long-lived tokens that are exchanged for a new short-lived access
+ * token. Only a SHA-256 hash of each token is stored, so a leaked
+ * database cannot be used to log in.
+ *
+ * Database Table: refresh_tokens
+ *
+ * Relationships:
+ * - Many-to-One with User (owner of the session)
+ *
+ * Business Rules:
+ * - Tokens rotate: every refresh revokes the presented token and issues
+ *   a new one in the same family (one family per login)
+ * - Presenting a token that was already rotated means it was copied;
+ *   the whole family is revoked and the user has to log in again
+ * - Logging out revokes the family; changing the password revokes every
+ *   family of the user
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { httpError } from '../utils/httpError.js';
+import { generateToken, hashToken } from '../utils/secureToken.js';
+import { REFRESH_TOKEN_TTL_DAYS } from '../config/auth.js';
+
+const RefreshToken = sequelize.define('RefreshToken', {
+    /**
+     * User - Owner of the session
+     */
+    userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    /**
+     * Token Hash - SHA-256 of the token given to the client
+     */
+    tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+
+    /**
+     * Family - Shared by every token rotated from the same login
+     */
+    familyId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+
+    /**
+     * Expires At - Token cannot be used after this
+     */
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+
+    /**
+     * Revoked At / Revoked Reason - Set once the token can no longer be used
+     *
+     * Reasons: rotated, logout, password_change, password_reset, reuse_detected
+     */
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revokedReason: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+    },
+
+    /**
+     * User Agent - Browser that logged in, to tell sessions apart
+     */
+    userAgent: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    indexes: [
+        { fields: ['familyId'] },
+        { fields: ['userId'] }
+    ]
+});
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Issue a new refresh token
+ *
+ * @param {Object} options
+ * @param {number} options.userId - Owner
+ * @param {string} options.familyId - Family to continue (default: start a new one)
+ * @param {string} options.userAgent - Browser user agent
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<string>} The token to give to the client; it is not stored
+ */
+RefreshToken.issue = async function({ userId, familyId = null, userAgent = null, transaction }) {
+    const token = generateToken(48);
+
+    await RefreshToken.create({
+        userId,
+        tokenHash: hashToken(token),
+        familyId: familyId || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: userAgent ? String(userAgent).slice(0, 255) : null
+    }, { transaction });
+
+    return token;
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ *
+ * Locks the presented token so two refreshes with it cannot both
+ * succeed. A token that was already rotated revokes its whole family
+ * instead. That is reported rather than thrown so the revocation is
+ * committed.
+ *
+ * @param {string} token - Token presented by the client
+ * @param {Object} options
+ * @param {string} options.userAgent - Browser user agent
+ * @param {Transaction} options.transaction - Sequelize transaction
+ * @returns {Promise<Object>} { userId, refreshToken } with the new token,
+ *                            or { userId, reused: true } when the family was revoked
+ * @throws {Error} 401 httpError when the token is unknown, expired or revoked
+ */
+RefreshToken.rotate = async function(token, { userAgent = null, transaction }) {
+    const current = token
+        ? await RefreshToken.findOne({
+            where: { tokenHash: hashToken(token) },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        })
+        : null;
+
+    if (!current) {
+        throw httpError(401, 'Invalid refresh token', { error: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    if (current.revokedAt) {
+        if (current.revokedReason === 'rotated') {
+            await RefreshToken.revokeFamily(current.familyId, 'reuse_detected', { transaction });
+            return { userId: current.userId, reused: true };
+        }
+
+        throw httpError(401, 'This session has ended, please log in again', { error: 'REFRESH_TOKEN_REVOKED' });
+    }
+
+    if (current.expiresAt <= new Date()) {
+        throw httpError(401, 'Your session has expired, please log in again', { error: 'REFRESH_TOKEN_EXPIRED' });
+    }
+
+    await current.update({ revokedAt: new Date(), revokedReason: 'rotated' }, { transaction });
+
+    const refreshToken = await RefreshToken.issue({
+        userId: current.userId,
+        familyId: current.familyId,
+        userAgent,
+        transaction
+    });
+
+    return { userId: current.userId, refreshToken };
+};
+
+/**
+ * Revoke the family a token belongs to
+ *
+ * @param {string} token - Token presented by the client
+ * @param {string} reason - Why it is revoked
+ * @returns {Promise<boolean>} False when the token is unknown
+ */
+RefreshToken.revokeToken = async function(token, reason) {
+    const current = token ? await RefreshToken.findOne({ where: { tokenHash: hashToken(token) } }) : null;
+
+    if (!current) {
+        return false;
+    }
+
+    await RefreshToken.revokeFamily(current.familyId, reason);
+    return true;
+};
+
+/**
+ * Revoke every token of a family that is still usable
+ *
+ * @param {string} familyId - Family
+ * @param {string} reason - Why it is revoked
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ */
+RefreshToken.revokeFamily = async function(familyId, reason, { transaction } = {}) {
+    await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { familyId, revokedAt: null }, transaction }
+    );
+};
+
+/**
+ * Revoke every session of a user
+ *
+ * @param {number} userId - User
+ * @param {string} reason - Why they are revoked
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction
+ */
+RefreshToken.revokeAllForUser = async function(userId, reason, { transaction } = {}) {
+    await RefreshToken.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { userId, revokedAt: null }, transaction }
+    );
+};
+
+/**
+ * Delete tokens that expired more than a day ago
+ *
+ * Revoked tokens are kept until they expire so reuse can still be
+ * detected.
+ *
+ * @returns {Promise<number>} Number of rows deleted
+ */
+RefreshToken.deleteExpired = async function() {
+    return RefreshToken.destroy({
+        where: { expiresAt: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+    });
+};
+
+export default RefreshToken;
@@ -0,0 +1,150 @@
+/**
+ * Refund Model - Refund Ledger
+ *
+ * Every refund given on an order is recorded here against the payment
+ * it returns money from. An order's refundedAmount is the sum of its
+ * succeeded refunds.
+ *
+ * Database Table: refunds
+ *
+ * Relationships:
+ * - Many-to-One with Order
+ * - Many-to-One with Payment
+ * - Many-to-One with User (admin who issued the refund)
+ *
+ * Business Rules:
+ * - A refund is either for the whole remaining amount or for specific
+ *   order lines; lines records which quantities were refunded
+ * - manual refunds (cash, KHQR) must be paid back by staff, the others
+ *   were returned through the payment provider
+ * - A refund is recorded as pending before the provider is asked for the
+ *   money and only counts once it has succeeded. Retrying a pending
+ *   refund sends the provider the same idempotencyKey, so it is never
+ *   paid out twice; while one is pending the order cannot change
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const Refund = sequelize.define('Refund', {
+    orderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    paymentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'payments',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+
+    /**
+     * Amount - Money returned by this refund
+     */
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+
+    /**
+     * Status - pending until the provider has returned the money
+     */
+    status: {
+        type: DataTypes.ENUM('pending', 'succeeded'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+
+    /**
+     * Idempotency Key - Sent with every attempt to pay the refund out
+     */
+    idempotencyKey: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        defaultValue: DataTypes.UUIDV4
+    },
+
+    /**
+     * Failure Reason - Why the last attempt was not confirmed
+     */
+    failureReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+
+    /**
+     * Lines - Refunded order lines
+     *
+     * Array of { orderItemId, flowerName, quantity, amount }. amount is
+     * null on the lines of a full refund, which is not split per line.
+     */
+    lines: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    },
+
+    /**
+     * Restocked - Whether the refunded quantities went back into stock
+     */
+    restocked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+
+    /**
+     * Manual - Money has to be returned by staff outside the provider
+     */
+    manual: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+
+    /**
+     * Provider Reference - Refund ID at the payment provider
+     */
+    providerReference: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+
+    /**
+     * Created By - Admin who issued the refund
+     */
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'refunds',
+    timestamps: true
+});
+
+export default Refund;
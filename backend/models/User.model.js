@@ -21,8 +21,11 @@
  * @version 1.0.0
  */
 
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op, fn, col, where } from 'sequelize';
 import sequelize from '../config/sequelize.js';
+import { generateToken, hashToken } from '../utils/secureToken.js';
+import { registerFailure, getRetryAfter } from '../utils/loginLockout.js';
+import { PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFICATION_TTL_HOURS, LOGIN_MAX_ATTEMPTS } from '../config/auth.js';
 
 /**
  * User Model Definition
@@ -32,11 +35,12 @@ import sequelize from '../config/sequelize.js';
  */
 const User = sequelize.define('User', {
     /**
-     * Username - Unique identifier for login (deprecated)
+     * Username - Unique identifier, can be used to log in instead of the email
      *
      * Constraints:
      * - Must be unique across all users
      * - Cannot be null
+     * - Cannot contain @ (checked at registration), so it never looks like an email
      */
     username: {
         type: DataTypes.STRING(50),
@@ -92,10 +96,239 @@ const User = sequelize.define('User', {
         defaultValue: 'customer',
         comment: 'User role for authorization'
     },
+
+    /**
+     * Password Changed At - Access tokens issued before this are rejected
+     */
+    passwordChangedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    /**
+     * Password Reset - SHA-256 of the emailed token and when it expires
+     *
+     * Only the latest link works; it is cleared once used.
+     */
+    passwordResetToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    passwordResetExpires: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    /**
+     * Email Verified - Owner has followed the emailed verification link
+     */
+    emailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+
+    /**
+     * Email Verification - SHA-256 of the emailed token and when it was sent
+     *
+     * Only the latest link works; it is cleared once used.
+     */
+    emailVerificationToken: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    emailVerificationSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    /**
+     * Login Lockout - Failed logins since counting last started over,
+     * and when the account can be tried again (see utils/loginLockout.js)
+     */
+    failedLoginAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    lastFailedLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    /**
+     * Last Login At - Time of the last successful login
+     */
+    lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
 }, {
     // Table configuration
     tableName: 'users',
     timestamps: true, // Enable automatic createdAt and updatedAt
 });
 
-export default User;
\ No newline at end of file
+/**
+ * Instance Methods
+ */
+
+/**
+ * Start a password reset
+ *
+ * Replaces any earlier reset link. Only the hash is stored.
+ *
+ * @returns {Promise<string>} Token to put in the emailed link
+ */
+User.prototype.generatePasswordResetToken = async function() {
+    const token = generateToken();
+
+    await this.update({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    return token;
+};
+
+/**
+ * Start an email verification
+ *
+ * Replaces any earlier verification link. Only the hash is stored.
+ *
+ * @returns {Promise<string>} Token to put in the emailed link
+ */
+User.prototype.generateEmailVerificationToken = async function() {
+    const token = generateToken();
+
+    await this.update({
+        emailVerificationToken: hashToken(token),
+        emailVerificationSentAt: new Date()
+    });
+
+    return token;
+};
+
+/**
+ * Try a login against the account's lockout
+ *
+ * The row is locked from the lock check until the failure is counted,
+ * so concurrent attempts cannot get past a lock that one of them sets.
+ * A locked account is refused without checking the password.
+ *
+ * @param {Function} verify - Async password check; not called while locked
+ * @returns {Promise<Object>} { outcome, retryAfter } - outcome is 'ok', 'failed'
+ *                            or 'locked'; retryAfter is the seconds left on a lock
+ *                            that was already set or set by this failure
+ */
+User.prototype.attemptLogin = async function(verify) {
+    return sequelize.transaction(async (transaction) => {
+        await this.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+        const lockedFor = getRetryAfter(this.lockedUntil);
+        if (lockedFor) {
+            return { outcome: 'locked', retryAfter: lockedFor };
+        }
+
+        if (await verify()) {
+            return { outcome: 'ok', retryAfter: 0 };
+        }
+
+        const next = registerFailure({
+            failedAttempts: this.failedLoginAttempts,
+            lastFailedAt: this.lastFailedLoginAt,
+            lockedUntil: this.lockedUntil
+        }, LOGIN_MAX_ATTEMPTS);
+
+        await this.update({
+            failedLoginAttempts: next.failedAttempts,
+            lastFailedLoginAt: next.lastFailedAt,
+            lockedUntil: next.lockedUntil
+        }, { transaction });
+
+        return { outcome: 'failed', retryAfter: getRetryAfter(this.lockedUntil) };
+    });
+};
+
+/**
+ * Clear failed logins and record the login time
+ *
+ * @returns {Promise<User>} Updated user instance
+ */
+User.prototype.recordSuccessfulLogin = async function() {
+    return this.update({
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+        lastLoginAt: new Date()
+    });
+};
+
+/**
+ * Class Methods
+ */
+
+/**
+ * Find user by email or username, ignoring case
+ *
+ * Identifiers containing @ are emails, anything else is a username.
+ *
+ * @param {string} identifier - Email or username
+ * @returns {Promise<User|null>} User instance or null
+ */
+User.findByIdentifier = async function(identifier) {
+    const value = String(identifier).trim().toLowerCase();
+    const field = value.includes('@') ? 'email' : 'username';
+
+    return User.findOne({
+        where: where(fn('lower', col(field)), value)
+    });
+};
+
+/**
+ * Find the user a password reset token belongs to
+ *
+ * @param {string} token - Token from the emailed link
+ * @param {Object} options
+ * @param {Transaction} options.transaction - Sequelize transaction; the row is locked
+ * @returns {Promise<User|null>} User, or null when the token is unknown or expired
+ */
+User.findByPasswordResetToken = async function(token, { transaction } = {}) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    return User.findOne({
+        where: {
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { [Op.gt]: new Date() }
+        },
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+        transaction
+    });
+};
+
+/**
+ * Find the user an email verification token belongs to
+ *
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<User|null>} User, or null when the token is unknown or expired
+ */
+User.findByEmailVerificationToken = async function(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    return User.findOne({
+        where: {
+            emailVerificationToken: hashToken(token),
+            emailVerificationSentAt: { [Op.gt]: new Date(Date.now() - EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000) }
+        }
+    });
+};
+
+export default User;
@@ -1,16 +1,36 @@
 /**
  * Models Index - Cleaned Associations
  * 
- * Models: User, Flower, Cart
+ * Models: User, Flower, Cart, ShippingAddress, Order, OrderItem, OrderStatusHistory, Payment, Refund,
+ * Coupon, CouponRedemption, PricingRule, DeliverySlot, DeliveryBlackout, RefreshToken,
+ * LoginThrottle
  * Relationships:
  * - User <-> Flower (Many-to-Many through Cart)
  * - Cart belongs to User and Flower
+ * - Order belongs to User and ShippingAddress, has many OrderItem,
+ *   OrderStatusHistory, Payment and Refund
+ * - Refund belongs to Payment
+ * - Order has many CouponRedemption, each for a Coupon
+ * - Order belongs to DeliverySlot
+ * - User has many RefreshToken
  */
 
 import User from './User.model.js';
 import Flower from './Flower.model.js';
 import Cart from './Cart.model.js';
 import ShippingAddress from './ShippingAddress.model.js';
+import Order from './Order.model.js';
+import OrderItem from './OrderItem.model.js';
+import OrderStatusHistory from './OrderStatusHistory.model.js';
+import Payment from './Payment.model.js';
+import Refund from './Refund.model.js';
+import Coupon from './Coupon.model.js';
+import CouponRedemption from './CouponRedemption.model.js';
+import PricingRule from './PricingRule.model.js';
+import DeliverySlot from './DeliverySlot.model.js';
+import DeliveryBlackout from './DeliveryBlackout.model.js';
+import RefreshToken from './RefreshToken.model.js';
+import LoginThrottle from './LoginThrottle.model.js';
 
 /**
  * Many-to-Many: User ↔ Flower (through Cart)
@@ -58,13 +78,72 @@ Cart.belongsTo(Flower, {
 User.hasMany(ShippingAddress, { foreignKey: 'userId', as: 'shippingAddresses' });
 ShippingAddress.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
-// In your model associations
-Order.belongsTo(User, { foreignKey: 'userId' });
-Order.belongsTo(ShippingAddress, { foreignKey: 'shippingAddressId' });
-Order.hasMany(OrderItem, { foreignKey: 'orderId' });
+/**
+ * One-to-Many: User → Order
+ */
+User.hasMany(Order, { foreignKey: 'userId', as: 'orders', onDelete: 'CASCADE' });
+Order.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+/**
+ * One-to-Many: ShippingAddress → Order
+ */
+ShippingAddress.hasMany(Order, { foreignKey: 'shippingAddressId', as: 'orders' });
+Order.belongsTo(ShippingAddress, { foreignKey: 'shippingAddressId', as: 'shippingAddress' });
+
+/**
+ * One-to-Many: Order → OrderItem
+ */
+Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'items', onDelete: 'CASCADE' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+/**
+ * One-to-Many: Order → OrderStatusHistory
+ */
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory', onDelete: 'CASCADE' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+OrderStatusHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'actor' });
+
+/**
+ * One-to-Many: Order → Payment
+ */
+Order.hasMany(Payment, { foreignKey: 'orderId', as: 'payments', onDelete: 'CASCADE' });
+Payment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
 
-OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
-OrderItem.belongsTo(Flower, { foreignKey: 'flowerId' });
+/**
+ * One-to-Many: Order → Refund, Payment → Refund
+ */
+Order.hasMany(Refund, { foreignKey: 'orderId', as: 'refunds', onDelete: 'CASCADE' });
+Refund.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+Payment.hasMany(Refund, { foreignKey: 'paymentId', as: 'refunds', onDelete: 'CASCADE' });
+Refund.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+Refund.belongsTo(User, { foreignKey: 'createdBy', as: 'issuedBy' });
+
+/**
+ * One-to-Many: Coupon → CouponRedemption, Order → CouponRedemption
+ */
+Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId', as: 'redemptions' });
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId', as: 'coupon' });
+Order.hasMany(CouponRedemption, { foreignKey: 'orderId', as: 'coupons', onDelete: 'CASCADE' });
+CouponRedemption.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+CouponRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+/**
+ * One-to-Many: DeliverySlot → Order
+ */
+DeliverySlot.hasMany(Order, { foreignKey: 'deliverySlotId', as: 'orders' });
+Order.belongsTo(DeliverySlot, { foreignKey: 'deliverySlotId', as: 'deliverySlot' });
+
+/**
+ * One-to-Many: User → RefreshToken
+ */
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+/**
+ * One-to-Many: Flower → OrderItem
+ */
+Flower.hasMany(OrderItem, { foreignKey: 'flowerId', as: 'orderItems' });
+OrderItem.belongsTo(Flower, { foreignKey: 'flowerId', as: 'flower' });
 
 /**
  * Export active models
@@ -73,7 +152,19 @@ const models = {
   User,
   Flower,
   Cart,
-  ShippingAddress
+  ShippingAddress,
+  Order,
+  OrderItem,
+  OrderStatusHistory,
+  Payment,
+  Refund,
+  Coupon,
+  CouponRedemption,
+  PricingRule,
+  DeliverySlot,
+  DeliveryBlackout,
+  RefreshToken,
+  LoginThrottle
 };
 
 export default models;
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Card Provider (Fake Processor)
+ *
+ * A stand-in card processor for development and tests. It validates the
+ * card like a real processor would and decides the outcome from the
+ * card number, so no real card is ever charged:
+ *
+ * - 4000000000000002: declined
+ * - 4000000000009995: insufficient funds
+ * - 4000000000000119: processing error
+ * - any other valid card number: approved
+ *
+ * Only the brand and last four digits are kept.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+import { httpError } from '../utils/httpError.js';
+
+const DECLINES = {
+    '4000000000000002': 'Your card was declined',
+    '4000000000009995': 'Your card has insufficient funds',
+    '4000000000000119': 'An error occurred while processing your card'
+};
+
+/**
+ * Luhn checksum used by all card numbers
+ *
+ * @param {string} number - Card number digits
+ * @returns {boolean} True if the checksum is valid
+ */
+const passesLuhn = (number) => {
+    let sum = 0;
+    [...number].reverse().forEach((char, index) => {
+        let digit = parseInt(char, 10);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    });
+    return sum % 10 === 0;
+};
+
+/**
+ * Card brand from the number prefix
+ *
+ * @param {string} number - Card number digits
+ * @returns {string} Brand name
+ */
+const detectBrand = (number) => {
+    if (/^4/.test(number)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+    if (/^3[47]/.test(number)) return 'amex';
+    return 'card';
+};
+
+/**
+ * Validate the submitted card
+ *
+ * @param {Object} card - { number, expMonth, expYear, cvc }
+ * @returns {string} Card number digits
+ * @throws {Error} 400 httpError for incomplete or invalid details
+ */
+const validateCard = (card) => {
+    if (!card || !card.number || !card.expMonth || !card.expYear || !card.cvc) {
+        throw httpError(400, 'Card number, expiry and CVC are required');
+    }
+
+    const number = String(card.number).replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(number) || !passesLuhn(number)) {
+        throw httpError(400, 'Invalid card number');
+    }
+
+    const month = parseInt(card.expMonth, 10);
+    let year = parseInt(card.expYear, 10);
+    if (year < 100) year += 2000;
+    if (!(month >= 1 && month <= 12) || !year) {
+        throw httpError(400, 'Invalid card expiry date');
+    }
+
+    // Cards are valid until the end of their expiry month
+    if (new Date(year, month, 1) <= new Date()) {
+        throw httpError(400, 'Your card has expired');
+    }
+
+    if (!/^\d{3,4}$/.test(String(card.cvc))) {
+        throw httpError(400, 'Invalid CVC');
+    }
+
+    return number;
+};
+
+const card = {
+    name: 'card',
+    label: 'Credit / Debit Card',
+    confirmedBy: 'customer',
+
+    async createIntent() {
+        return { providerReference: null, details: {} };
+    },
+
+    /**
+     * Charge the card
+     *
+     * @param {Payment} payment - Pending payment
+     * @param {Object} input
+     * @param {Object} input.card - { number, expMonth, expYear, cvc }
+     */
+    async confirm(payment, { card: cardInput } = {}) {
+        const number = validateCard(cardInput);
+        const details = { brand: detectBrand(number), last4: number.slice(-4) };
+
+        if (DECLINES[number]) {
+            return { status: 'failed', details, failureReason: DECLINES[number] };
+        }
+
+        return {
+            status: 'succeeded',
+            providerReference: `ch_${crypto.randomBytes(12).toString('hex')}`,
+            details
+        };
+    },
+
+    // Like a real processor, a repeated idempotency key returns the same refund
+    async refund(payment, amount, { idempotencyKey }) {
+        const id = crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24);
+        return { providerReference: `re_${id}`, manual: false };
+    },
+
+    verifyWebhook() {
+        return null;
+    }
+};
+
+export default card;
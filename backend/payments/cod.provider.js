@@ -0,0 +1,35 @@
+/**
+ * Cash on Delivery Provider
+ *
+ * Nothing is charged online. The courier collects the total and the
+ * payment succeeds when the order is marked delivered
+ * (see Order.prototype.transitionTo).
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+const cod = {
+    name: 'cod',
+    label: 'Cash on Delivery',
+    confirmedBy: 'staff',
+
+    async createIntent() {
+        return { providerReference: null, details: {} };
+    },
+
+    async confirm() {
+        return { status: 'succeeded' };
+    },
+
+    // Cash is handed back by staff
+    async refund() {
+        return { providerReference: null, manual: true };
+    },
+
+    verifyWebhook() {
+        return null;
+    }
+};
+
+export default cod;
@@ -0,0 +1,69 @@
+/**
+ * Payment Providers
+ *
+ * Every payment method implements the same interface, so checkout and
+ * the payment endpoints do not need to know how a method works:
+ *
+ * - name, label: identifier stored on orders and payments, and display name
+ * - confirmedBy: who completes the payment
+ *   - 'customer': the customer submits payment details (card)
+ *   - 'gateway': a third party reports it, by polling or webhook (KHQR)
+ *   - 'staff': collected in person (cash on delivery)
+ * - createIntent({ order, amount, currency }): prepare a payment for a new order,
+ *   returns { providerReference, details }
+ * - confirm(payment, input): try to complete the payment, returns
+ *   { status: 'succeeded' | 'pending' | 'failed', providerReference, details, failureReason }
+ * - refund(payment, amount, { idempotencyKey }): return money to the
+ *   customer, returns { providerReference, manual } where manual means
+ *   staff must send it. Calls with the same key refund only once
+ * - verifyWebhook(req): providerReference of the notified payment, or null
+ *   when the request is not a valid notification
+ *
+ * The methods offered at checkout come from PAYMENT_METHODS, a comma
+ * separated list of provider names in display order.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import cod from './cod.provider.js';
+import card from './card.provider.js';
+import khqr from './khqr.provider.js';
+
+const PROVIDERS = { cod, card, khqr };
+
+const DEFAULT_METHODS = 'khqr,cod';
+
+/**
+ * Look up a provider by name, enabled or not
+ *
+ * Used for payments that already exist, which must keep working even if
+ * their method is later switched off.
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider
+ */
+export const getProvider = (name) => (Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null);
+
+/**
+ * Providers enabled in config, in display order
+ *
+ * @returns {Array<Object>} Providers
+ */
+export const getEnabledProviders = () => {
+    return (process.env.PAYMENT_METHODS || DEFAULT_METHODS)
+        .split(',')
+        .map((name) => name.trim())
+        .map(getProvider)
+        .filter(Boolean);
+};
+
+/**
+ * Look up a provider that customers may choose at checkout
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider, or null if unknown or disabled
+ */
+export const getEnabledProvider = (name) => {
+    return getEnabledProviders().find((provider) => provider.name === name) || null;
+};
@@ -0,0 +1,100 @@
+/**
+ * KHQR Provider (Bakong)
+ *
+ * The customer scans a dynamic KHQR made for the exact order amount.
+ * Bakong identifies the transaction by the MD5 of the payload, which is
+ * stored as the payment's providerReference and used both when polling
+ * and when a webhook arrives.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+import { checkTransactionByMd5 } from '../utils/bakongClient.js';
+import { buildKhqr, khqrMd5 } from '../utils/khqr.js';
+
+const khqr = {
+    name: 'khqr',
+    label: 'KHQR (Bakong)',
+    confirmedBy: 'gateway',
+
+    async createIntent({ order, amount, currency }) {
+        const payload = buildKhqr({
+            accountId: process.env.BAKONG_ACCOUNT_ID || 'flowershop@devb',
+            merchantName: process.env.BAKONG_MERCHANT_NAME || 'Flower Shop',
+            merchantCity: process.env.BAKONG_MERCHANT_CITY || 'Phnom Penh',
+            amount,
+            currency,
+            billNumber: order.paymentReference,
+            expiresAt: order.paymentDueAt
+        });
+
+        return { providerReference: khqrMd5(payload), details: { payload } };
+    },
+
+    /**
+     * Ask Bakong whether the QR has been paid
+     *
+     * An unreachable gateway is reported as still pending so that polling
+     * simply tries again.
+     *
+     * @param {Payment} payment - Pending payment
+     */
+    async confirm(payment) {
+        let result;
+        try {
+            result = await checkTransactionByMd5(payment.providerReference);
+        } catch (error) {
+            console.log('Error in checkTransactionByMd5:', error.message);
+            return { status: 'pending' };
+        }
+
+        if (result.status === 'failed') {
+            return { status: 'failed', failureReason: 'The bank transfer failed' };
+        }
+
+        if (result.status !== 'paid') {
+            return { status: 'pending' };
+        }
+
+        const { amount, currency, hash } = result.transaction;
+
+        if (Math.abs(parseFloat(amount) - parseFloat(payment.amount)) >= 0.005 || currency !== payment.currency) {
+            console.log(`KHQR payment ${payment.id} does not match: got ${amount} ${currency}`);
+            return { status: 'failed', failureReason: 'Paid amount does not match the order' };
+        }
+
+        return { status: 'succeeded', details: { hash } };
+    },
+
+    // Bakong has no refund API; staff transfer the money back
+    async refund() {
+        return { providerReference: null, manual: true };
+    },
+
+    /**
+     * Verify a Bakong notification
+     *
+     * The body is signed with BAKONG_WEBHOOK_SECRET: a hex HMAC-SHA256
+     * of the raw body in the X-Bakong-Signature header.
+     */
+    verifyWebhook(req) {
+        const secret = process.env.BAKONG_WEBHOOK_SECRET;
+        const signature = req.headers['x-bakong-signature'] || '';
+
+        if (!secret || !req.rawBody) {
+            return null;
+        }
+
+        // Compared as bytes: timingSafeEqual throws on buffers of different lengths
+        const received = Buffer.from(String(signature));
+        const expected = Buffer.from(crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex'));
+        const valid = received.byteLength === expected.byteLength
+            && crypto.timingSafeEqual(received, expected);
+
+        return valid ? req.body.md5 || null : null;
+    }
+};
+
+export default khqr;
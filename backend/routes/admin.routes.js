@@ -0,0 +1,78 @@
+import express from 'express';
+
+import {
+    getAllOrders,
+    exportOrders,
+    getOrderDetails,
+    downloadGiftCard,
+    downloadInvoice,
+    downloadPackingSlip,
+    updateOrderStatus,
+    bulkUpdateOrderStatus,
+    refundOrder,
+    retryRefund,
+    getAllFlowers
+} from '../controllers/admin.controller.js';
+import {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/coupon.controller.js';
+import {
+    getPricingRules,
+    previewPricing,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule
+} from '../controllers/pricingRule.controller.js';
+import {
+    getDeliverySlots,
+    createDeliverySlot,
+    updateDeliverySlot,
+    deleteDeliverySlot,
+    getDeliveryBlackouts,
+    createDeliveryBlackout,
+    deleteDeliveryBlackout
+} from '../controllers/delivery.controller.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+router.get('/orders', getAllOrders);
+router.get('/orders/export', exportOrders);
+router.get('/orders/:id', getOrderDetails);
+router.get('/orders/:id/gift-card', downloadGiftCard);
+router.get('/orders/:id/invoice', downloadInvoice);
+router.get('/orders/:id/packing-slip', downloadPackingSlip);
+router.patch('/orders/status', bulkUpdateOrderStatus);
+router.patch('/orders/:id/status', updateOrderStatus);
+router.post('/orders/:id/refunds', refundOrder);
+router.post('/orders/:id/refunds/:refundId/retry', retryRefund);
+
+router.get('/flowers', getAllFlowers);
+
+router.get('/coupons', getCoupons);
+router.get('/coupons/:id', getCouponById);
+router.post('/coupons', createCoupon);
+router.put('/coupons/:id', updateCoupon);
+router.delete('/coupons/:id', deleteCoupon);
+
+router.get('/pricing-rules', getPricingRules);
+router.get('/pricing-rules/preview', previewPricing);
+router.post('/pricing-rules', createPricingRule);
+router.put('/pricing-rules/:id', updatePricingRule);
+router.delete('/pricing-rules/:id', deletePricingRule);
+
+router.get('/delivery-slots', getDeliverySlots);
+router.post('/delivery-slots', createDeliverySlot);
+router.put('/delivery-slots/:id', updateDeliverySlot);
+router.delete('/delivery-slots/:id', deleteDeliverySlot);
+router.get('/delivery-blackouts', getDeliveryBlackouts);
+router.post('/delivery-blackouts', createDeliveryBlackout);
+router.delete('/delivery-blackouts/:id', deleteDeliveryBlackout);
+
+export default router;
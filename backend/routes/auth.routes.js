@@ -7,17 +7,30 @@
  * Routes:
  * - POST /register - User registration
  * - POST /login - User login
- * - POST /logout - User logout (future)
- * - POST /forgot-password - Password reset request (future)
- * - POST /reset-password - Password reset (future)
- * - POST /verify-email - Email verification (future)
+ * - POST /refresh - Exchange a refresh token for a new token pair
+ * - POST /logout - User logout, revokes the refresh token
+ * - POST /change-password - Change password, revokes every session
+ * - POST /forgot-password - Email a password reset link
+ * - POST /reset-password - Set a new password with a reset link
+ * - POST /verify-email - Verify an email address with the emailed link
+ * - POST /resend-verification - Email a new verification link
  *
  * @author Flower Shop Team
  * @version 2.0.0
  */
 
 import express from 'express';
-import { register, login } from '../controllers/auth.controller.js';
+import {
+    register,
+    login,
+    refresh,
+    logout,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification
+} from '../controllers/auth.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -36,24 +49,69 @@ router.post('/register', register);
 
 /**
  * @route POST /api/auth/login
- * @desc Login user
+ * @desc Login user; locks the account or address after repeated failures
  * @access Public
- * @body {string} email - User email or username
+ * @body {string} identifier - User email or username (`email` is accepted too)
  * @body {string} password - User password
  */
 router.post('/login', login);
 
+/**
+ * @route POST /api/auth/refresh
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public
+ * @body {string} refreshToken - Refresh token from login or the last refresh
+ */
+router.post('/refresh', refresh);
+
 /**
  * @route POST /api/auth/logout
- * @desc Logout user (placeholder for future implementation)
+ * @desc Logout user, revokes the refresh token of the session
+ * @access Public
+ * @body {string} refreshToken - Refresh token of the session to end
+ */
+router.post('/logout', logout);
+
+/**
+ * @route POST /api/auth/change-password
+ * @desc Change password and revoke every session of the user
  * @access Private
+ * @body {string} currentPassword - Current password
+ * @body {string} newPassword - New password (min 6 characters)
  */
-router.post('/logout', authenticateToken, (req, res) => {
-    // In a stateless JWT system, logout is typically handled client-side
-    // by removing the token. This endpoint can be used for token blacklisting
-    // or other logout-related operations in the future.
-    res.json({ message: 'Logged out successfully' });
-});
+router.post('/change-password', authenticateToken, changePassword);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a password reset link; the response is the same whether or not the account exists
+ * @access Public
+ * @body {string} email - Email address of the account
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password with the token from a reset link
+ * @access Public
+ * @body {string} token - Token from the emailed link
+ * @body {string} password - New password
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify an email address with the token from the emailed link
+ * @access Public
+ * @body {string} token - Token from the emailed link
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @route POST /api/auth/resend-verification
+ * @desc Email the current user a new verification link (once a minute at most)
+ * @access Private
+ */
+router.post('/resend-verification', authenticateToken, resendVerification);
 
 /**
  * @route GET /api/auth/me
@@ -1,11 +1,26 @@
 import express from 'express';
 
-import { addFlowerToCart, getCartItems, getCartQuantity } from '../controllers/cart.controller.js';
+import {
+    addFlowerToCart,
+    getCartItems,
+    getCartQuantity,
+    getCartQuote,
+    updateCartItem,
+    removeCartItem,
+    clearCart
+} from '../controllers/cart.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.use(authenticateToken);
+
 router.post('/', addFlowerToCart);
-router.get('/:id', getCartItems);
-router.get('/cart-quantity/:id', getCartQuantity);
+router.get('/', getCartItems);
+router.get('/cart-quantity', getCartQuantity);
+router.post('/quote', getCartQuote);
+router.patch('/:flowerId', updateCartItem);
+router.delete('/', clearCart);
+router.delete('/:flowerId', removeCartItem);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+
+import { getDeliveryAvailability } from '../controllers/delivery.controller.js';
+
+const router = express.Router();
+
+router.get('/slots', getDeliveryAvailability);
+
+export default router;
@@ -1,9 +1,26 @@
 import express from 'express';
 
-import { getAllFlowers } from '../controllers/flower.controller.js';
+import {
+    getAllFlowers,
+    getFeaturedFlowers,
+    getFlowersByCategory,
+    getFlowerById,
+    createFlower,
+    updateFlower,
+    deleteFlower,
+    updateFlowerStock
+} from '../controllers/flower.controller.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.get('/', getAllFlowers);
+router.get('/featured', getFeaturedFlowers);
+router.get('/category/:category', getFlowersByCategory);
+router.get('/:id', getFlowerById);
+router.post('/', authenticateToken, requireAdmin, createFlower);
+router.put('/:id', authenticateToken, requireAdmin, updateFlower);
+router.delete('/:id', authenticateToken, requireAdmin, deleteFlower);
+router.patch('/:id/stock', authenticateToken, requireAdmin, updateFlowerStock);
 
-export default router;
\ No newline at end of file
+export default router;
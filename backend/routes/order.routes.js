@@ -0,0 +1,16 @@
+import express from 'express';
+
+import { createOrder, getOrders, getOrderById, downloadOrderInvoice } from '../controllers/order.controller.js';
+import { getOrderPayment, confirmOrderPayment } from '../controllers/payment.controller.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/', authenticateToken, requireVerifiedEmail, createOrder);
+router.get('/', authenticateToken, getOrders);
+router.get('/:id', authenticateToken, getOrderById);
+router.get('/:id/invoice', authenticateToken, downloadOrderInvoice);
+router.get('/:id/payment', authenticateToken, getOrderPayment);
+router.post('/:id/payment/confirm', authenticateToken, confirmOrderPayment);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+
+import { getPaymentMethods, paymentWebhook } from '../controllers/payment.controller.js';
+
+const router = express.Router();
+
+router.get('/methods', getPaymentMethods);
+router.post('/:provider/webhook', paymentWebhook);
+
+export default router;
@@ -1,12 +1,15 @@
 import express from 'express';
 
 import { getShippingAddresses, createShippingAddress, deleteShippingAddress, getShippingAddressLabels } from '../controllers/shippingAddress.controller.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/:id', getShippingAddresses);
+router.use(authenticateToken);
+
+router.get('/', getShippingAddresses);
 router.post('/', createShippingAddress);
 router.delete('/:id', deleteShippingAddress);
-router.get('/address-labels/:id', getShippingAddressLabels);
+router.get('/address-labels', getShippingAddressLabels);
 
-export default router;
\ No newline at end of file
+export default router;
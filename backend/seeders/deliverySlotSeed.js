@@ -0,0 +1,40 @@
+import model from '../models/index.js';
+
+const seedDeliverySlots = async () => {
+    try {
+        const SlotsData = [
+            {
+                label: 'Morning',
+                startTime: '09:00',
+                endTime: '12:00',
+                cutoffTime: '08:00',
+                capacity: 10
+            },
+            {
+                label: 'Afternoon',
+                startTime: '13:00',
+                endTime: '17:00',
+                cutoffTime: '11:00',
+                capacity: 10
+            },
+            {
+                label: 'Evening',
+                startTime: '17:00',
+                endTime: '20:00',
+                cutoffTime: '15:00',
+                capacity: 6,
+                provinces: ['Phnom Penh']
+            }
+        ];
+
+        for (const slot of SlotsData) {
+            await model.DeliverySlot.create(slot);
+        }
+
+        console.log('✅ Delivery slots seeded successfully!');
+    } catch (error) {
+        console.log('Failed to seed delivery slots:', error);
+    }
+};
+
+export default seedDeliverySlots;
@@ -1,5 +1,7 @@
 import model from '../models/index.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const seedFlowers = async () => {
     try {
         const FlowersData = [
@@ -10,12 +12,15 @@ const seedFlowers = async () => {
                 originalPrice: 39.99,
                 category: 'roses',
                 image: 'https://images.pexels.com/photos/1164985/pexels-photo-1164985.jpeg?auto=compress&cs=tinysrgb&w=400',
-                stock: 50
+                stock: 50,
+                featured: true
             },
             {
                 name: 'Sunflower Bundle',
                 description: 'Bright and cheerful sunflowers to brighten any day',
                 price: 24.99,
+                salePrice: 19.99,
+                saleEndsAt: new Date(Date.now() + 7 * DAY_MS),
                 category: 'sunflowers',
                 image: 'https://images.pexels.com/photos/1854652/pexels-photo-1854652.jpeg?auto=compress&cs=tinysrgb&w=400',
                 stock: 50
@@ -34,7 +39,8 @@ const seedFlowers = async () => {
                 price: 42.99,
                 category: 'lilies',
                 image: 'https://images.pexels.com/photos/1080696/pexels-photo-1080696.jpeg?auto=compress&cs=tinysrgb&w=400',
-                stock: 50
+                stock: 50,
+                featured: true
             },
             {
                 name: 'Pink Tulip Bouquet',
@@ -50,7 +56,8 @@ const seedFlowers = async () => {
                 price: 55.99,
                 category: 'orchids',
                 image: 'https://images.pexels.com/photos/1449087/pexels-photo-1449087.jpeg?auto=compress&cs=tinysrgb&w=400',
-                stock: 50
+                stock: 50,
+                featured: true
             }
         ];
 
@@ -59,9 +66,13 @@ const seedFlowers = async () => {
                 name: flower.name,
                 description: flower.description,
                 price: flower.price,
+                originalPrice: flower.originalPrice,
+                salePrice: flower.salePrice,
+                saleEndsAt: flower.saleEndsAt,
                 category: flower.category,
                 image: flower.image,
-                stock: flower.stock
+                stock: flower.stock,
+                featured: flower.featured
             });
         }
 
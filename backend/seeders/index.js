@@ -1,4 +1,5 @@
 import seedFlowers from "./flowerSeed.js";
+import seedDeliverySlots from "./deliverySlotSeed.js";
 import sequelize from "../config/sequelize.js";
 
 async function seed() {
@@ -8,6 +9,7 @@ async function seed() {
         console.log('✅ Database synchronized!');
 
         await seedFlowers();
+        await seedDeliverySlots();
         console.log('✅ Seeding completed!');
     } catch (error) {
         console.log('Error in seeding:', error);
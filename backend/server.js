@@ -1,8 +1,8 @@
 /**
  * Flower Shop Backend Server
  *
- * This is the main server file that sets up the Express application,
- * configures middleware, connects to the database, and defines routes.
+ * This is the main server file that connects to the database, starts
+ * the Express application (see app.js) and schedules background jobs.
  *
  * Features:
  * - Express.js web framework
@@ -12,43 +12,27 @@
  * - Security middleware (Helmet)
  * - Request logging (Morgan)
  * - Error handling
+ * - Periodic cancellation of unpaid orders
+ * - Periodic cleanup of expired refresh tokens and login throttles
+ * - KHQR / Bakong payment notifications
  *
  * @author Flower Shop Team
  * @version 2.0.0
  */
 
-import express from 'express';
-import morgan from 'morgan';
-import helmet from 'helmet';
 import dotenv from 'dotenv';
-import cors from 'cors';
 
-// Import database connection and models
+// Import database connection, models and the configured app
 import sequelize from './config/sequelize.js';
-
-// Import routes
-import authRoutes from './routes/auth.routes.js';
-import flowerRoutes from './routes/flower.routes.js';
-import cartRoutes from './routes/cart.routes.js';
-import shippingAddressRoutes from './routes/shippingAddress.routes.js';
+import models from './models/index.js';
+import app from './app.js';
 
 // Load environment variables
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
-const app = express();
-
-// Middleware
-app.use(express.json());
-app.use(helmet());
-app.use(morgan('dev'));
-app.use(cors());
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/flower', flowerRoutes);
-app.use('/api/cart', cartRoutes);
-app.use('/api/shipping-addresses', shippingAddressRoutes);
+const ORDER_EXPIRY_INTERVAL_MS = 60 * 1000;
+const TOKEN_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
 
 // Database connection and server startup
 async function startServer() {
@@ -62,6 +46,28 @@ async function startServer() {
             console.log(`🚀 Server is running on http://localhost:${PORT}`);
         });
 
+        // Cancel unpaid orders past their payment deadline and release their stock
+        setInterval(async () => {
+            try {
+                const cancelled = await models.Order.cancelExpired();
+                if (cancelled > 0) {
+                    console.log(`⏰ Cancelled ${cancelled} unpaid order(s)`);
+                }
+            } catch (error) {
+                console.error('❌ Failed to cancel expired orders:', error);
+            }
+        }, ORDER_EXPIRY_INTERVAL_MS);
+
+        // Delete refresh tokens and login throttles that can no longer be used
+        setInterval(async () => {
+            try {
+                await models.RefreshToken.deleteExpired();
+                await models.LoginThrottle.deleteStale();
+            } catch (error) {
+                console.error('❌ Failed to clean up expired login data:', error);
+            }
+        }, TOKEN_CLEANUP_INTERVAL_MS);
+
     } catch (error) {
         console.error('❌ Failed to start server:', error);
         process.exit(1);
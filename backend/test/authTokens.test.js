@@ -0,0 +1,94 @@
+/**
+ * Access Token Service Tests
+ *
+ * Unit tests for signing and verifying access tokens with rotated keys.
+ * The keys are read from JWT_KEYS when config/auth.js is loaded, so they
+ * are set before the service is imported. No database is needed.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.JWT_KEYS = 'current:current-secret,previous:previous-secret';
+
+const { ACCESS_TOKEN_ISSUER, ACCESS_TOKEN_AUDIENCE, ADMIN_TOKEN_AUDIENCE } = await import('../config/auth.js');
+const { signAccessToken, verifyAccessToken } = await import('../utils/authTokens.js');
+
+const customer = { id: 1, email: 'customer@example.com', role: 'customer' };
+const admin = { id: 2, email: 'admin@example.com', role: 'admin' };
+
+/**
+ * Sign a token the way signAccessToken does, but with any key
+ *
+ * @param {string} secret - Signing secret
+ * @param {Object} options - jsonwebtoken sign options (e.g. keyid, audience)
+ * @returns {string} Signed JWT
+ */
+const signWith = (secret, options = {}) => {
+    return jwt.sign(
+        { userId: customer.id, email: customer.email, role: customer.role },
+        secret,
+        { algorithm: 'HS256', issuer: ACCESS_TOKEN_ISSUER, audience: ACCESS_TOKEN_AUDIENCE, expiresIn: '15m', ...options }
+    );
+};
+
+describe('signAccessToken', () => {
+    let token;
+
+    before(() => {
+        token = signAccessToken(customer);
+    });
+
+    test('signs with the first configured key', () => {
+        assert.equal(jwt.decode(token, { complete: true }).header.kid, 'current');
+    });
+
+    test('issues customer and admin tokens for their own audience', () => {
+        assert.equal(verifyAccessToken(token).aud, ACCESS_TOKEN_AUDIENCE);
+        assert.equal(verifyAccessToken(signAccessToken(admin)).aud, ADMIN_TOKEN_AUDIENCE);
+    });
+});
+
+describe('verifyAccessToken', () => {
+    test('accepts a token signed with a previous key that is still listed', () => {
+        const decoded = verifyAccessToken(signWith('previous-secret', { keyid: 'previous' }));
+        assert.equal(decoded.userId, customer.id);
+    });
+
+    test('rejects a token whose key is no longer listed', () => {
+        assert.throws(
+            () => verifyAccessToken(signWith('retired-secret', { keyid: 'retired' })),
+            { name: 'JsonWebTokenError', message: 'unknown signing key' }
+        );
+    });
+
+    test('rejects a token without a kid', () => {
+        assert.throws(
+            () => verifyAccessToken(signWith('current-secret')),
+            { name: 'JsonWebTokenError', message: 'unknown signing key' }
+        );
+    });
+
+    test('rejects a token signed with the wrong secret', () => {
+        assert.throws(
+            () => verifyAccessToken(signWith('not-the-secret', { keyid: 'current' })),
+            { name: 'JsonWebTokenError', message: 'invalid signature' }
+        );
+    });
+
+    test('rejects a customer token where the admin audience is required', () => {
+        assert.throws(
+            () => verifyAccessToken(signAccessToken(customer), { audience: ADMIN_TOKEN_AUDIENCE }),
+            { name: 'JsonWebTokenError', message: /audience invalid/ }
+        );
+    });
+
+    test('accepts an admin token where the admin audience is required', () => {
+        const decoded = verifyAccessToken(signAccessToken(admin), { audience: ADMIN_TOKEN_AUDIENCE });
+        assert.equal(decoded.role, 'admin');
+    });
+});
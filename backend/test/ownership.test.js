@@ -0,0 +1,190 @@
+/**
+ * Cart and Shipping Address Ownership Tests
+ *
+ * Integration tests proving that one user cannot read or change another
+ * user's cart items or shipping addresses. They run against the database
+ * configured by the PG* environment variables, which must already have
+ * its tables (run `npm run seed` first), and are skipped when PGDATABASE
+ * is not set. Every row the tests create is removed again afterwards.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+
+import app from '../app.js';
+import sequelize from '../config/sequelize.js';
+import models from '../models/index.js';
+
+const skip = process.env.PGDATABASE ? false : 'no database configured (set the PG* environment variables)';
+
+let server;
+let baseUrl;
+let flower;
+let owner;
+let other;
+let address;
+
+/**
+ * Call the API as a user
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api
+ * @param {Object} options
+ * @param {string} options.token - Access token
+ * @param {Object} options.body - JSON body (optional)
+ * @returns {Promise<Object>} { status, body }
+ */
+const api = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}/api${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Register a throwaway user through the API
+ *
+ * @returns {Promise<Object>} { id, token }
+ */
+const registerUser = async () => {
+    const name = `owner_${randomUUID().slice(0, 8)}`;
+    const response = await fetch(`${baseUrl}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: name, email: `${name}@example.com`, password: 'secret123', phone: '012345678' })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 201, body.message);
+
+    const user = await models.User.findOne({ where: { username: name } });
+    return { id: user.id, token: body.token };
+};
+
+describe('cart and shipping address ownership', { skip }, () => {
+    before(async () => {
+        await new Promise((resolve) => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        flower = await models.Flower.create({ name: `Ownership test ${randomUUID()}`, price: 10, stock: 20 });
+        owner = await registerUser();
+        other = await registerUser();
+
+        const added = await api('POST', '/cart', { token: owner.token, body: { flowerId: flower.id, quantity: 2 } });
+        assert.equal(added.status, 200, added.body.message);
+
+        const created = await api('POST', '/shipping-addresses', {
+            token: owner.token,
+            body: { street: '1 Test Street', city: 'Phnom Penh', commune: 'Boeng Keng Kang', province: 'Phnom Penh', label: 'Home' }
+        });
+        assert.equal(created.status, 200, created.body.message);
+        address = created.body.data;
+    });
+
+    after(async () => {
+        try {
+            const userId = [owner?.id, other?.id].filter(Boolean);
+
+            if (userId.length) {
+                await models.Cart.destroy({ where: { userId } });
+                await models.ShippingAddress.destroy({ where: { userId } });
+                await models.User.destroy({ where: { id: userId } });
+            }
+            await flower?.destroy();
+        } finally {
+            if (server) {
+                await new Promise((resolve) => server.close(resolve));
+            }
+            await sequelize.close();
+        }
+    });
+
+    describe('cart', () => {
+        test("another user's cart item cannot be updated", async () => {
+            const { status } = await api('PATCH', `/cart/${flower.id}`, { token: other.token, body: { quantity: 5 } });
+            assert.equal(status, 404);
+
+            const item = await models.Cart.findOne({ where: { userId: owner.id, flowerId: flower.id } });
+            assert.equal(item.quantity, 2);
+        });
+
+        test("another user's cart item cannot be removed", async () => {
+            const { status } = await api('DELETE', `/cart/${flower.id}`, { token: other.token });
+            assert.equal(status, 404);
+
+            const count = await models.Cart.count({ where: { userId: owner.id, flowerId: flower.id } });
+            assert.equal(count, 1);
+        });
+
+        test("clearing a cart leaves other users' items", async () => {
+            const { status } = await api('DELETE', '/cart', { token: other.token });
+            assert.equal(status, 200);
+
+            const count = await models.Cart.count({ where: { userId: owner.id } });
+            assert.equal(count, 1);
+        });
+
+        test('the cart listing and count only hold the caller\'s items', async () => {
+            const listing = await api('GET', '/cart', { token: other.token });
+            assert.equal(listing.status, 200);
+            assert.deepEqual(listing.body.data, []);
+
+            const quantity = await api('GET', '/cart/cart-quantity', { token: other.token });
+            assert.equal(quantity.body.data, 0);
+        });
+
+        test('the owner still sees their cart item', async () => {
+            const { status, body } = await api('GET', '/cart', { token: owner.token });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.map((item) => [item.flowerId, item.quantity]), [[flower.id, 2]]);
+        });
+    });
+
+    describe('shipping addresses', () => {
+        test("another user's address cannot be deleted", async () => {
+            const { status } = await api('DELETE', `/shipping-addresses/${address.id}`, { token: other.token });
+            assert.equal(status, 404);
+
+            const stored = await models.ShippingAddress.findByPk(address.id);
+            assert.equal(stored.street, '1 Test Street');
+            assert.equal(stored.userId, owner.id);
+        });
+
+        test("another user's address cannot be used for a quote", async () => {
+            const { status } = await api('POST', '/cart/quote', { token: other.token, body: { shippingAddressId: address.id } });
+            assert.equal(status, 404);
+        });
+
+        test('the address listings only hold the caller\'s addresses', async () => {
+            const listing = await api('GET', '/shipping-addresses', { token: other.token });
+            assert.equal(listing.status, 200);
+            assert.deepEqual(listing.body.data, []);
+
+            const labels = await api('GET', '/shipping-addresses/address-labels', { token: other.token });
+            assert.equal(labels.status, 200);
+            assert.deepEqual(labels.body.data, []);
+        });
+
+        test('requests without a token are rejected', async () => {
+            const response = await fetch(`${baseUrl}/api/shipping-addresses/${address.id}`, { method: 'DELETE' });
+            assert.equal(response.status, 401);
+        });
+
+        test('the owner can delete their address', async () => {
+            const { status } = await api('DELETE', `/shipping-addresses/${address.id}`, { token: owner.token });
+            assert.equal(status, 200);
+        });
+    });
+});
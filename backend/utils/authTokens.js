@@ -0,0 +1,117 @@
+/**
+ * Access Token Service
+ *
+ * Signs and verifies the short-lived JWTs sent in the Authorization
+ * header. This is the only place that touches the signing keys.
+ * Refresh tokens are handled by the RefreshToken model.
+ *
+ * - Tokens are signed with the first configured key and name it in the
+ *   `kid` header; verification picks the key by that header, so keys
+ *   can be rotated without logging everyone out
+ * - Admin tokens use a separate audience and a shorter lifetime
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import jwt from 'jsonwebtoken';
+import {
+    ACCESS_TOKEN_KEYS,
+    ACCESS_TOKEN_ALGORITHM,
+    ACCESS_TOKEN_ISSUER,
+    ACCESS_TOKEN_AUDIENCE,
+    ACCESS_TOKEN_TTL,
+    ADMIN_TOKEN_AUDIENCE,
+    ADMIN_TOKEN_TTL
+} from '../config/auth.js';
+
+/**
+ * Key used to sign new tokens
+ *
+ * @returns {{kid: string, secret: string}} Signing key
+ * @throws {Error} When no key is configured
+ */
+const getSigningKey = () => {
+    if (!ACCESS_TOKEN_KEYS.length) {
+        throw new Error('No JWT signing key configured, set JWT_KEYS or JWT_SECRET');
+    }
+
+    return ACCESS_TOKEN_KEYS[0];
+};
+
+/**
+ * Audience a user's tokens are issued for
+ *
+ * @param {string} role - User role
+ * @returns {string} Token audience
+ */
+export const getAudience = (role) => {
+    return role === 'admin' ? ADMIN_TOKEN_AUDIENCE : ACCESS_TOKEN_AUDIENCE;
+};
+
+/**
+ * Sign an access token for a user
+ *
+ * @param {User} user - User instance
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user) => {
+    const { kid, secret } = getSigningKey();
+    const isAdmin = user.role === 'admin';
+
+    return jwt.sign(
+        {
+            userId: user.id,
+            email: user.email,
+            role: user.role
+        },
+        secret,
+        {
+            algorithm: ACCESS_TOKEN_ALGORITHM,
+            keyid: kid,
+            issuer: ACCESS_TOKEN_ISSUER,
+            audience: getAudience(user.role),
+            expiresIn: isAdmin ? ADMIN_TOKEN_TTL : ACCESS_TOKEN_TTL
+        }
+    );
+};
+
+/**
+ * Verify an access token
+ *
+ * The key is chosen by the token's `kid` header. Tokens without one, or
+ * naming a key that is no longer configured, are rejected.
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @param {Object} options
+ * @param {string|Array<string>} options.audience - Audience the token must
+ *                                                  have (default: customer or admin)
+ * @returns {Object} Decoded payload, including `aud`
+ * @throws {Error} JsonWebTokenError or TokenExpiredError from jsonwebtoken
+ */
+export const verifyAccessToken = (token, { audience = [ACCESS_TOKEN_AUDIENCE, ADMIN_TOKEN_AUDIENCE] } = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    const key = kid && ACCESS_TOKEN_KEYS.find((candidate) => candidate.kid === kid);
+
+    if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    return jwt.verify(token, key.secret, {
+        algorithms: [ACCESS_TOKEN_ALGORITHM],
+        issuer: ACCESS_TOKEN_ISSUER,
+        audience
+    });
+};
+
+/**
+ * Access token lifetime in seconds, for clients that schedule a refresh
+ *
+ * @param {string} token - Signed JWT
+ * @returns {number} Seconds until it expires
+ */
+export const getExpiresIn = (token) => {
+    const { iat, exp } = jwt.decode(token);
+    return exp - iat;
+};
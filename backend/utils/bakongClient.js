@@ -0,0 +1,56 @@
+/**
+ * Bakong API Client
+ *
+ * Looks up KHQR transactions on the Bakong open API. In development
+ * BAKONG_API_URL points at the local mock gateway (mockBakongServer.js).
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+const BAKONG_API_URL = process.env.BAKONG_API_URL || 'http://localhost:4100';
+const BAKONG_TIMEOUT_MS = parseInt(process.env.BAKONG_TIMEOUT_MS) || 5000;
+
+// Bakong error codes returned with responseCode 1
+const ERROR_NOT_FOUND = 1;
+const ERROR_FAILED = 3;
+
+/**
+ * Check the status of a KHQR payment
+ *
+ * @param {string} md5 - MD5 of the KHQR payload
+ * @returns {Promise<{status: string, transaction: Object|null}>} status is
+ *   'paid', 'failed' or 'pending' (not yet seen by Bakong)
+ * @throws {Error} When the gateway is unreachable, times out or answers unexpectedly
+ */
+export const checkTransactionByMd5 = async (md5) => {
+    const response = await fetch(`${BAKONG_API_URL}/v1/check_transaction_by_md5`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.BAKONG_API_TOKEN || ''}`
+        },
+        body: JSON.stringify({ md5 }),
+        signal: AbortSignal.timeout(BAKONG_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Bakong API responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    if (body.responseCode === 0) {
+        return { status: 'paid', transaction: body.data };
+    }
+
+    if (body.errorCode === ERROR_NOT_FOUND) {
+        return { status: 'pending', transaction: null };
+    }
+
+    if (body.errorCode === ERROR_FAILED) {
+        return { status: 'failed', transaction: body.data || null };
+    }
+
+    throw new Error(`Bakong API error: ${body.responseMessage}`);
+};
@@ -0,0 +1,93 @@
+/**
+ * Flower Filter Helpers
+ *
+ * Builds the Sequelize query for flower list endpoints from the
+ * catalog query parameters, shared by the shop and admin listings.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import models from '../models/index.js';
+import { httpError } from './httpError.js';
+import { containsPattern, parseSearch, parseSort } from './queryFilters.js';
+
+const SORT_FIELDS = {
+    name: 'name',
+    price: (pricing) => models.Flower.effectivePriceSql(pricing),
+    created: 'createdAt'
+};
+
+const parsePrice = (value, label) => {
+    const price = parseFloat(value);
+    if (isNaN(price) || price < 0) {
+        throw httpError(400, `${label} must be a non-negative number`);
+    }
+    return price;
+};
+
+/**
+ * Build where/order options for a flower list
+ *
+ * @param {Object} query - Request query
+ * @param {Object} options
+ * @param {string[]} options.statuses - Statuses the caller may list; all of them when no status is given
+ * @param {Date} options.at - Time prices are worked out for (default: now)
+ * @param {PricingRule[]} options.rules - Seasonal pricing rules in effect at that time
+ * @returns {{where: Object, order: Array}} Sequelize query options
+ * @throws {Error} 400 httpError when a parameter is invalid
+ */
+export const buildFlowerQuery = (query, { statuses, at = null, rules = [] }) => {
+    const { category, minPrice, maxPrice, search, featured, status, sort = 'name', order = 'asc' } = query;
+    const where = { status: statuses };
+    const pricing = { at, rules };
+
+    if (status) {
+        if (!statuses.includes(status)) {
+            throw httpError(400, 'Invalid status');
+        }
+        where.status = status;
+    }
+
+    if (category) {
+        if (!models.Flower.getAttributes().category.values.includes(category)) {
+            throw httpError(400, 'Invalid category');
+        }
+        where.category = category;
+    }
+
+    // Price filters and sorting use the effective price (sales and seasonal rules)
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        where[Op.and] = [];
+        if (minPrice !== undefined) {
+            where[Op.and].push(models.Flower.effectivePriceWhere(Op.gte, parsePrice(minPrice, 'minPrice'), pricing));
+        }
+        if (maxPrice !== undefined) {
+            where[Op.and].push(models.Flower.effectivePriceWhere(Op.lte, parsePrice(maxPrice, 'maxPrice'), pricing));
+        }
+    }
+
+    if (featured !== undefined) {
+        if (!['true', 'false'].includes(featured)) {
+            throw httpError(400, 'featured must be true or false');
+        }
+        where.featured = featured === 'true';
+    }
+
+    const term = parseSearch(search);
+
+    if (term) {
+        where[Op.or] = [
+            { name: { [Op.iLike]: containsPattern(term) } },
+            { description: { [Op.iLike]: containsPattern(term) } }
+        ];
+    }
+
+    const { field, direction } = parseSort(SORT_FIELDS, sort, order, 'ASC');
+
+    return {
+        where,
+        order: [[typeof field === 'function' ? field(pricing) : field, direction], ['id', 'ASC']]
+    };
+};
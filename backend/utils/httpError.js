@@ -0,0 +1,38 @@
+/**
+ * HTTP Error Helper
+ *
+ * Creates an Error carrying an HTTP status so that code deep inside a
+ * transaction can abort with a client-facing response. Controllers
+ * check `error.status` in their catch block and reply with
+ * `{ success: false, message, ...details }`.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+/**
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @param {Object} details - Extra fields merged into the response body (optional)
+ * @returns {Error} Error with status and details attached
+ */
+export const httpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+};
+
+/**
+ * Send the response for an error created by httpError
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with a status
+ */
+export const sendHttpError = (res, error) => {
+    return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+};
@@ -0,0 +1,187 @@
+/**
+ * KHQR Payload Helpers
+ *
+ * Builds and parses dynamic KHQR strings, the EMVCo-based QR format used
+ * by Bakong. Each payload carries the amount, currency, order reference
+ * and expiry for a single order, followed by a CRC16 checksum. Bakong
+ * identifies the resulting transaction by the MD5 of the full payload.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+
+const CURRENCY_CODES = {
+    USD: '840',
+    KHR: '116'
+};
+
+const TAG = {
+    PAYLOAD_FORMAT: '00',
+    POINT_OF_INITIATION: '01',
+    INDIVIDUAL_ACCOUNT: '29',
+    MERCHANT_CATEGORY: '52',
+    CURRENCY: '53',
+    AMOUNT: '54',
+    COUNTRY: '58',
+    MERCHANT_NAME: '59',
+    MERCHANT_CITY: '60',
+    ADDITIONAL_DATA: '62',
+    CRC: '63',
+    TIMESTAMP: '99'
+};
+
+const DYNAMIC_QR = '12';
+
+/**
+ * Encode one tag-length-value field
+ *
+ * @param {string} tag - Two digit tag
+ * @param {string} value - Field value (at most 99 characters)
+ * @returns {string} Encoded field
+ */
+const field = (tag, value) => {
+    const text = String(value);
+    if (text.length > 99) {
+        throw new Error(`KHQR field ${tag} is too long`);
+    }
+    return `${tag}${String(text.length).padStart(2, '0')}${text}`;
+};
+
+/**
+ * Split a tag-length-value string into a map of tag to value
+ *
+ * @param {string} text - Encoded fields
+ * @returns {Object<string, string>} Field values by tag
+ */
+const parseFields = (text) => {
+    const fields = {};
+    let position = 0;
+
+    while (position < text.length) {
+        const tag = text.slice(position, position + 2);
+        const length = parseInt(text.slice(position + 2, position + 4), 10);
+        if (!/^\d{2}$/.test(tag) || Number.isNaN(length) || position + 4 + length > text.length) {
+            throw new Error('Malformed KHQR payload');
+        }
+        fields[tag] = text.slice(position + 4, position + 4 + length);
+        position += 4 + length;
+    }
+
+    return fields;
+};
+
+/**
+ * CRC16-CCITT (polynomial 0x1021, initial value 0xFFFF)
+ *
+ * @param {string} text - Payload up to and including the CRC tag and length
+ * @returns {string} Four character uppercase hex checksum
+ */
+export const crc16 = (text) => {
+    let crc = 0xffff;
+
+    for (const byte of Buffer.from(text, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+            crc &= 0xffff;
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * MD5 of a payload, used by Bakong to look up the transaction
+ *
+ * @param {string} payload - Full KHQR string
+ * @returns {string} Hex digest
+ */
+export const khqrMd5 = (payload) => crypto.createHash('md5').update(payload).digest('hex');
+
+/**
+ * Format an amount the way KHQR expects for the currency
+ *
+ * @param {number} amount - Amount to charge
+ * @param {string} currency - USD or KHR
+ * @returns {string} Amount text
+ */
+const formatAmount = (amount, currency) => {
+    return currency === 'KHR' ? String(Math.round(amount)) : Number(amount).toFixed(2);
+};
+
+/**
+ * Build a dynamic KHQR payload for one payment
+ *
+ * @param {Object} options
+ * @param {string} options.accountId - Bakong account receiving the money (e.g. shop@bank)
+ * @param {string} options.merchantName - Name shown in the customer's banking app
+ * @param {string} options.merchantCity - Merchant city
+ * @param {number} options.amount - Amount to charge
+ * @param {string} options.currency - USD or KHR (default: USD)
+ * @param {string} options.billNumber - Order reference shown to the customer
+ * @param {Date} options.expiresAt - After this time the QR can no longer be paid
+ * @returns {string} KHQR payload including its CRC
+ */
+export const buildKhqr = ({
+    accountId,
+    merchantName,
+    merchantCity,
+    amount,
+    currency = 'USD',
+    billNumber,
+    expiresAt
+}) => {
+    if (!CURRENCY_CODES[currency]) {
+        throw new Error(`Unsupported KHQR currency ${currency}`);
+    }
+
+    const payload = [
+        field(TAG.PAYLOAD_FORMAT, '01'),
+        field(TAG.POINT_OF_INITIATION, DYNAMIC_QR),
+        field(TAG.INDIVIDUAL_ACCOUNT, field('00', accountId)),
+        field(TAG.MERCHANT_CATEGORY, '5999'),
+        field(TAG.CURRENCY, CURRENCY_CODES[currency]),
+        field(TAG.AMOUNT, formatAmount(amount, currency)),
+        field(TAG.COUNTRY, 'KH'),
+        field(TAG.MERCHANT_NAME, merchantName.slice(0, 25)),
+        field(TAG.MERCHANT_CITY, merchantCity.slice(0, 15)),
+        field(TAG.ADDITIONAL_DATA, field('01', billNumber.slice(0, 25))),
+        field(TAG.TIMESTAMP, field('00', Date.now()) + field('01', new Date(expiresAt).getTime()))
+    ].join('');
+
+    const withCrcHeader = `${payload}${TAG.CRC}04`;
+    return `${withCrcHeader}${crc16(withCrcHeader)}`;
+};
+
+/**
+ * Decode and verify a KHQR payload
+ *
+ * @param {string} payload - KHQR string
+ * @returns {{accountId: string, merchantName: string, amount: number, currency: string,
+ *   billNumber: string|null, expiresAt: Date|null, dynamic: boolean}} Decoded payment details
+ * @throws {Error} When the payload is malformed or its CRC does not match
+ */
+export const parseKhqr = (payload) => {
+    const body = payload.slice(0, -4);
+    if (!body.endsWith(`${TAG.CRC}04`) || crc16(body) !== payload.slice(-4).toUpperCase()) {
+        throw new Error('Invalid KHQR checksum');
+    }
+
+    const fields = parseFields(body.slice(0, -4));
+    const account = parseFields(fields[TAG.INDIVIDUAL_ACCOUNT] || '');
+    const additional = parseFields(fields[TAG.ADDITIONAL_DATA] || '');
+    const timestamp = parseFields(fields[TAG.TIMESTAMP] || '');
+    const currency = Object.keys(CURRENCY_CODES).find((code) => CURRENCY_CODES[code] === fields[TAG.CURRENCY]);
+
+    return {
+        accountId: account['00'] || null,
+        merchantName: fields[TAG.MERCHANT_NAME] || null,
+        amount: fields[TAG.AMOUNT] ? parseFloat(fields[TAG.AMOUNT]) : null,
+        currency: currency || null,
+        billNumber: additional['01'] || null,
+        expiresAt: timestamp['01'] ? new Date(parseInt(timestamp['01'], 10)) : null,
+        dynamic: fields[TAG.POINT_OF_INITIATION] === DYNAMIC_QR
+    };
+};
@@ -0,0 +1,52 @@
+/**
+ * Login Lockout Helpers
+ *
+ * Exponential backoff shared by the per-account counters on User and the
+ * per-IP and unknown-identifier counters in LoginThrottle. Both store
+ * failedAttempts, lastFailedAt and lockedUntil.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import {
+    LOGIN_ATTEMPT_WINDOW_MINUTES,
+    LOGIN_LOCK_BASE_SECONDS,
+    LOGIN_LOCK_MAX_MINUTES
+} from '../config/auth.js';
+
+/**
+ * Counters after one more failed login
+ *
+ * @param {Object} state - Current { failedAttempts, lastFailedAt, lockedUntil }
+ * @param {number} maxAttempts - Failures allowed before locking
+ * @param {Date} now - Time of the failure (default: now)
+ * @returns {Object} New { failedAttempts, lastFailedAt, lockedUntil }
+ */
+export const registerFailure = ({ failedAttempts, lastFailedAt, lockedUntil }, maxAttempts, now = new Date()) => {
+    const lastActivity = Math.max(lastFailedAt?.getTime() || 0, lockedUntil?.getTime() || 0);
+    const attempts = now.getTime() - lastActivity > LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000
+        ? 1
+        : (failedAttempts || 0) + 1;
+
+    const lockSeconds = attempts >= maxAttempts
+        ? Math.min(LOGIN_LOCK_BASE_SECONDS * 2 ** (attempts - maxAttempts), LOGIN_LOCK_MAX_MINUTES * 60)
+        : 0;
+
+    return {
+        failedAttempts: attempts,
+        lastFailedAt: now,
+        lockedUntil: lockSeconds ? new Date(now.getTime() + lockSeconds * 1000) : null
+    };
+};
+
+/**
+ * Seconds until a lock ends
+ *
+ * @param {Date|null} lockedUntil - End of the lock
+ * @returns {number} Seconds, 0 when not locked
+ */
+export const getRetryAfter = (lockedUntil) => {
+    const remaining = lockedUntil ? lockedUntil.getTime() - Date.now() : 0;
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
@@ -0,0 +1,492 @@
+/**
+ * PDF Documents
+ *
+ * Renders the printable documents that go out with orders: the gift
+ * card, the customer's invoice and the packing slip used at the florist
+ * bench. Documents are built in memory and returned as a Buffer, ready
+ * to be sent as a download.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import {
+    SHOP_NAME,
+    SHOP_ADDRESS,
+    SHOP_PHONE,
+    SHOP_EMAIL,
+    SHOP_URL,
+    DOCUMENT_FONT,
+    DOCUMENT_FONT_BOLD
+} from '../config/shop.js';
+import { getProvider } from '../payments/index.js';
+
+// A6 landscape, folds into a standard card envelope
+const GIFT_CARD_SIZE = [419.53, 297.64];
+const GIFT_CARD_MARGIN = 40;
+const ACCENT_COLOR = '#db2777';
+const MUTED_COLOR = '#6b7280';
+const TEXT_COLOR = '#111827';
+const BORDER_COLOR = '#d1d5db';
+const PAGE_MARGIN = 50;
+const QR_SIZE = 80;
+
+// Built-in fonts, replaced by DOCUMENT_FONT when it is configured
+const STANDARD_FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    message: 'Times-Italic'
+};
+
+/**
+ * Switch the document to one of the font styles
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {string} style - regular, bold or message
+ * @returns {PDFDocument} The document, for chaining
+ */
+const font = (doc, style) => {
+    if (!DOCUMENT_FONT) {
+        return doc.font(STANDARD_FONTS[style]);
+    }
+
+    return doc.font(style === 'bold' ? 'Document-Bold' : 'Document');
+};
+
+const formatMoney = (value) => `$${parseFloat(value).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+const formatStatus = (status) => status.split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+const formatReference = (order) => order.paymentReference || `#${order.id}`;
+
+/**
+ * Delivery date and window of an order, e.g. "Mon 19 Oct 2026, Morning 09:00-12:00"
+ *
+ * @param {Order} order - Order
+ * @returns {string|null} Null when no delivery date was booked
+ */
+const formatDelivery = (order) => {
+    if (!order.deliveryDate) {
+        return null;
+    }
+
+    // Delivery dates are calendar days, not instants
+    const date = new Date(`${order.deliveryDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+    const slot = order.deliveryWindow;
+
+    return slot ? `${date}, ${slot.label} ${slot.startTime}-${slot.endTime}` : date;
+};
+
+const addressLines = (snapshot) => [
+    snapshot.street,
+    `${snapshot.commune}, ${snapshot.city}`,
+    [snapshot.province, snapshot.postalCode].filter(Boolean).join(' '),
+    snapshot.country
+];
+
+/**
+ * QR code linking to a page of the storefront
+ *
+ * @param {string} path - Path on the storefront, e.g. /orders?order=12
+ * @returns {Promise<Buffer>} PNG image
+ */
+const linkQrCode = (path) => QRCode.toBuffer(`${SHOP_URL}${path}`, { width: 240, margin: 1 });
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+/**
+ * Draw the shop details, document title and order QR code
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {Object} options
+ * @param {string} options.title - Document title, e.g. "INVOICE"
+ * @param {string[]} options.details - Lines under the title
+ * @param {Buffer} options.qr - QR code image
+ */
+const drawHeader = (doc, { title, details, qr }) => {
+    const width = contentWidth(doc) - QR_SIZE - 16;
+
+    doc.image(qr, doc.page.width - PAGE_MARGIN - QR_SIZE, PAGE_MARGIN, { width: QR_SIZE });
+
+    font(doc, 'bold').fontSize(20).fillColor(ACCENT_COLOR)
+        .text(SHOP_NAME, PAGE_MARGIN, PAGE_MARGIN, { width });
+    font(doc, 'regular').fontSize(9).fillColor(MUTED_COLOR)
+        .text([SHOP_ADDRESS, SHOP_PHONE, SHOP_EMAIL].filter(Boolean).join('\n'), PAGE_MARGIN, doc.y + 2, { width });
+
+    font(doc, 'bold').fontSize(16).fillColor(TEXT_COLOR)
+        .text(title, PAGE_MARGIN, PAGE_MARGIN, { width, align: 'right' });
+    font(doc, 'regular').fontSize(9).fillColor(MUTED_COLOR)
+        .text(details.join('\n'), PAGE_MARGIN, doc.y + 2, { width, align: 'right' });
+
+    const bottom = PAGE_MARGIN + QR_SIZE + 16;
+    doc.moveTo(PAGE_MARGIN, bottom).lineTo(doc.page.width - PAGE_MARGIN, bottom)
+        .lineWidth(1).stroke(ACCENT_COLOR);
+    doc.y = bottom + 16;
+};
+
+/**
+ * Draw a headed block of text lines, e.g. an address
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {Object} options
+ * @param {number} options.x - Left edge
+ * @param {number} options.y - Top edge
+ * @param {number} options.width - Block width
+ * @param {string} options.heading - Small caps heading
+ * @param {Array<string|null>} options.lines - Lines, empty ones are skipped
+ * @returns {number} Bottom edge of the block
+ */
+const drawBlock = (doc, { x, y, width, heading, lines }) => {
+    font(doc, 'bold').fontSize(8).fillColor(MUTED_COLOR)
+        .text(heading.toUpperCase(), x, y, { width, characterSpacing: 1 });
+    font(doc, 'regular').fontSize(10).fillColor(TEXT_COLOR)
+        .text(lines.filter(Boolean).join('\n'), x, doc.y + 4, { width });
+
+    return doc.y;
+};
+
+/**
+ * Draw a table, starting a new page (with the header row again) when
+ * the rows do not fit
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {Array<{label: string, width: number, align: string}>} columns - Columns, widths add up to the content width
+ * @param {Array<Array>} rows - Cell values per row
+ */
+const drawTable = (doc, columns, rows) => {
+    const drawRow = (cells, { header = false } = {}) => {
+        font(doc, header ? 'bold' : 'regular').fontSize(9);
+        const height = Math.max(...cells.map((cell, index) =>
+            doc.heightOfString(String(cell ?? ''), { width: columns[index].width - 8 })));
+
+        if (doc.y + height + 8 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!header) {
+                drawRow(columns.map((column) => column.label), { header: true });
+                font(doc, 'regular').fontSize(9);
+            }
+        }
+
+        const top = doc.y;
+        let x = PAGE_MARGIN;
+        cells.forEach((cell, index) => {
+            doc.fillColor(header ? MUTED_COLOR : TEXT_COLOR)
+                .text(String(cell ?? ''), x + 4, top + 4, { width: columns[index].width - 8, align: columns[index].align || 'left' });
+            x += columns[index].width;
+        });
+
+        doc.y = top + height + 8;
+        doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+            .lineWidth(header ? 1 : 0.5).stroke(BORDER_COLOR);
+    };
+
+    drawRow(columns.map((column) => column.label), { header: true });
+    rows.forEach((row) => drawRow(row));
+};
+
+/**
+ * Draw a boxed note, e.g. the gift message
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {string} heading - Small caps heading
+ * @param {string} text - Note text, line breaks are kept
+ */
+const drawNote = (doc, heading, text) => {
+    const width = contentWidth(doc);
+    font(doc, 'message').fontSize(11);
+    const height = doc.heightOfString(text, { width: width - 24 }) + 36;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    const top = doc.y;
+    doc.roundedRect(PAGE_MARGIN, top, width, height, 6).lineWidth(1).stroke(ACCENT_COLOR);
+    font(doc, 'bold').fontSize(8).fillColor(MUTED_COLOR)
+        .text(heading.toUpperCase(), PAGE_MARGIN + 12, top + 10, { width: width - 24, characterSpacing: 1 });
+    font(doc, 'message').fontSize(11).fillColor(TEXT_COLOR)
+        .text(text, PAGE_MARGIN + 12, top + 24, { width: width - 24 });
+    doc.y = top + height + 16;
+};
+
+/**
+ * Render a PDF document into a Buffer
+ *
+ * @param {Object} options - PDFKit document options (size, margins, info)
+ * @param {Function} draw - Called with the document to add its content
+ * @returns {Promise<Buffer>} The finished PDF
+ */
+export const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const chunks = [];
+
+    if (DOCUMENT_FONT) {
+        doc.registerFont('Document', DOCUMENT_FONT);
+        doc.registerFont('Document-Bold', DOCUMENT_FONT_BOLD);
+    }
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+/**
+ * Render the gift card sent with an order
+ *
+ * The message keeps the customer's line breaks and is shrunk to fit
+ * the card when it is long.
+ *
+ * @param {Object} options
+ * @param {Order} options.order - Order with a gift message
+ * @param {string} options.senderName - Name signed on the card, left off for anonymous senders
+ * @returns {Promise<Buffer>} The card as a PDF
+ */
+export const renderGiftCard = ({ order, senderName }) => renderPdf({
+    size: GIFT_CARD_SIZE,
+    // Small bottom margin so the footer does not spill onto a second page
+    margins: { top: GIFT_CARD_MARGIN, left: GIFT_CARD_MARGIN, right: GIFT_CARD_MARGIN, bottom: 16 },
+    info: { Title: `Gift card ${order.paymentReference || order.id}`, Author: SHOP_NAME }
+}, (doc) => {
+    const [pageWidth, pageHeight] = GIFT_CARD_SIZE;
+    const width = pageWidth - GIFT_CARD_MARGIN * 2;
+
+    doc.roundedRect(14, 14, pageWidth - 28, pageHeight - 28, 10)
+        .lineWidth(1.5)
+        .stroke(ACCENT_COLOR);
+
+    font(doc, 'regular').fontSize(9).fillColor(MUTED_COLOR)
+        .text(SHOP_NAME.toUpperCase(), GIFT_CARD_MARGIN, 28, { width, align: 'center', characterSpacing: 2 });
+
+    if (order.recipientName) {
+        font(doc, 'bold').fontSize(14).fillColor(TEXT_COLOR)
+            .text(`To ${order.recipientName}`, GIFT_CARD_MARGIN, 58, { width, align: 'center' });
+    }
+
+    const message = order.giftMessage || '';
+    const top = 88;
+    const bottom = pageHeight - 78;
+    let fontSize = 14;
+
+    font(doc, 'message');
+    while (fontSize > 8 && doc.fontSize(fontSize).heightOfString(message, { width, align: 'center' }) > bottom - top) {
+        fontSize -= 1;
+    }
+
+    const height = doc.heightOfString(message, { width, align: 'center' });
+    doc.fillColor(TEXT_COLOR)
+        .text(message, GIFT_CARD_MARGIN, top + Math.max(0, (bottom - top - height) / 2), { width, align: 'center' });
+
+    if (!order.anonymousSender && senderName) {
+        font(doc, 'regular').fontSize(11).fillColor(TEXT_COLOR)
+            .text(`From ${senderName}`, GIFT_CARD_MARGIN, bottom + 12, { width, align: 'center' });
+    }
+
+    font(doc, 'regular').fontSize(7).fillColor(MUTED_COLOR)
+        .text(order.paymentReference || `Order #${order.id}`, GIFT_CARD_MARGIN, pageHeight - 34, {
+            width,
+            align: 'right',
+            lineBreak: false
+        });
+});
+
+/**
+ * Render the invoice for an order
+ *
+ * Shows what was charged when the order was placed; refunds are listed
+ * under the total rather than changing the lines.
+ *
+ * @param {Object} options
+ * @param {Order} options.order - Order with its items and coupons
+ * @param {User} options.customer - Customer who placed the order
+ * @returns {Promise<Buffer>} The invoice as a PDF
+ */
+export const renderInvoice = async ({ order, customer }) => {
+    const qr = await linkQrCode(`/orders?order=${order.id}`);
+
+    return renderPdf({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: { Title: `Invoice ${formatReference(order)}`, Author: SHOP_NAME }
+    }, (doc) => {
+        const width = contentWidth(doc);
+        const column = (width - 24) / 2;
+        const refunded = parseFloat(order.refundedAmount);
+
+        drawHeader(doc, {
+            title: 'INVOICE',
+            qr,
+            details: [
+                `Invoice ${formatReference(order)}`,
+                `Date ${formatDate(order.createdAt)}`,
+                `${getProvider(order.paymentMethod)?.label || order.paymentMethod}, ${formatStatus(order.paymentStatus)}`,
+                order.status === 'cancelled' ? 'Order cancelled' : null
+            ].filter(Boolean)
+        });
+
+        const top = doc.y;
+        const billed = drawBlock(doc, {
+            x: PAGE_MARGIN,
+            y: top,
+            width: column,
+            heading: 'Bill To',
+            lines: [customer?.username, customer?.email, customer?.phone]
+        });
+        const delivered = drawBlock(doc, {
+            x: PAGE_MARGIN + column + 24,
+            y: top,
+            width: column,
+            heading: 'Deliver To',
+            lines: [
+                order.recipientName || customer?.username,
+                order.recipientPhone,
+                ...addressLines(order.shippingSnapshot),
+                formatDelivery(order) && `Delivery: ${formatDelivery(order)}`
+            ]
+        });
+        doc.y = Math.max(billed, delivered) + 20;
+
+        drawTable(doc, [
+            { label: 'Item', width: width - 220 },
+            { label: 'Qty', width: 50, align: 'right' },
+            { label: 'Unit Price', width: 80, align: 'right' },
+            { label: 'Amount', width: 90, align: 'right' }
+        ], order.items.map((item) => [
+            item.flowerName,
+            item.quantity,
+            formatMoney(item.unitPrice),
+            formatMoney(item.lineTotal)
+        ]));
+
+        const codes = (order.coupons || []).map((coupon) => coupon.code).join(', ');
+        const totals = [
+            ['Subtotal', formatMoney(order.subtotal)],
+            parseFloat(order.discount) > 0 && [`Discount${codes ? ` (${codes})` : ''}`, `-${formatMoney(order.discount)}`],
+            ['Shipping', parseFloat(order.shippingFee) === 0 ? 'Free' : formatMoney(order.shippingFee)],
+            ['Tax', formatMoney(order.tax)],
+            ['Total', formatMoney(order.total), true],
+            refunded > 0 && ['Refunded', `-${formatMoney(refunded)}`],
+            refunded > 0 && ['Net Paid', formatMoney(order.getNetPaid()), true]
+        ].filter(Boolean);
+
+        doc.y += 8;
+        for (const [label, value, bold] of totals) {
+            const y = doc.y;
+            font(doc, bold ? 'bold' : 'regular').fontSize(bold ? 11 : 10).fillColor(TEXT_COLOR)
+                .text(label, PAGE_MARGIN, y, { width: width - 100, align: 'right' })
+                .text(value, PAGE_MARGIN + width - 90, y, { width: 90, align: 'right' });
+            doc.y += 4;
+        }
+        doc.y += 16;
+
+        if (order.giftMessage) {
+            drawNote(doc, 'Gift Message', order.giftMessage);
+        }
+
+        font(doc, 'regular').fontSize(9).fillColor(MUTED_COLOR)
+            .text(`Thank you for shopping with ${SHOP_NAME}.`, PAGE_MARGIN, doc.y, { width, align: 'center' });
+    });
+};
+
+/**
+ * Render the packing slip for an order
+ *
+ * For the florist bench and the courier: what to put in the box, who
+ * it goes to and when, without prices. Refunded units are left out and
+ * anonymous senders are not named.
+ *
+ * @param {Object} options
+ * @param {Order} options.order - Order with its items
+ * @param {User} options.customer - Customer who placed the order
+ * @returns {Promise<Buffer>} The packing slip as a PDF
+ */
+export const renderPackingSlip = async ({ order, customer }) => {
+    const qr = await linkQrCode(`/admin/orders?order=${order.id}`);
+
+    return renderPdf({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: { Title: `Packing slip ${formatReference(order)}`, Author: SHOP_NAME }
+    }, (doc) => {
+        const width = contentWidth(doc);
+        const column = (width - 24) / 2;
+
+        drawHeader(doc, {
+            title: 'PACKING SLIP',
+            qr,
+            details: [
+                `Order ${formatReference(order)}`,
+                `Placed ${formatDate(order.createdAt)}`,
+                `Status ${formatStatus(order.status)}`
+            ]
+        });
+
+        const delivery = formatDelivery(order);
+        if (delivery) {
+            font(doc, 'bold').fontSize(14).fillColor(ACCENT_COLOR)
+                .text(`Deliver ${delivery}`, PAGE_MARGIN, doc.y, { width });
+            doc.y += 12;
+        }
+
+        const top = doc.y;
+        const recipient = drawBlock(doc, {
+            x: PAGE_MARGIN,
+            y: top,
+            width: column,
+            heading: 'Deliver To',
+            lines: [
+                order.recipientName || customer?.username,
+                order.recipientPhone || customer?.phone,
+                ...addressLines(order.shippingSnapshot),
+                order.shippingSnapshot.label && `(${order.shippingSnapshot.label})`
+            ]
+        });
+        const sender = drawBlock(doc, {
+            x: PAGE_MARGIN + column + 24,
+            y: top,
+            width: column,
+            heading: 'From',
+            lines: order.anonymousSender
+                ? ['Anonymous, do not reveal the sender']
+                : [customer?.username, customer?.phone]
+        });
+        doc.y = Math.max(recipient, sender) + 20;
+
+        const items = order.items
+            .map((item) => ({ name: item.flowerName, quantity: item.quantity - item.refundedQuantity }))
+            .filter((item) => item.quantity > 0);
+
+        drawTable(doc, [
+            { label: 'Packed', width: 60 },
+            { label: 'Qty', width: 50, align: 'right' },
+            { label: 'Item', width: width - 110 }
+        ], items.map((item) => ['[   ]', item.quantity, item.name]));
+        doc.y += 20;
+
+        if (order.giftMessage) {
+            drawNote(doc, 'Gift Card - print and include', order.giftMessage);
+        }
+    });
+};
@@ -0,0 +1,242 @@
+/**
+ * Pricing Service
+ *
+ * Computes itemized quotes for a cart: line totals from the effective
+ * catalog price (sales and seasonal rules), coupon discounts, shipping from the delivery zone of the
+ * address, tax from the configured rules, and the grand total. The cart quote endpoint and
+ * checkout both use quoteCart(), so the customer is charged exactly
+ * what they were quoted.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { httpError } from './httpError.js';
+import {
+    CURRENCY,
+    DELIVERY_COUNTRIES,
+    SHIPPING_ZONES,
+    FREE_SHIPPING_THRESHOLD,
+    TAX_RULES
+} from '../config/pricing.js';
+
+/**
+ * Round to the cent, halves away from zero
+ *
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+export const roundMoney = (value) => Math.sign(value) * Math.round(Math.abs(value) * 100 + Number.EPSILON) / 100;
+
+const normalize = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Find the shipping zone for an address
+ *
+ * @param {Object} address - Shipping address (province, country)
+ * @returns {Object} Shipping zone from config/pricing.js
+ * @throws {Error} 400 httpError when we do not deliver to the address
+ */
+export const findShippingZone = (address) => {
+    const country = normalize(address.country || DELIVERY_COUNTRIES[0]);
+
+    if (!DELIVERY_COUNTRIES.some((name) => normalize(name) === country)) {
+        throw httpError(400, `Sorry, we do not deliver to ${address.country}`);
+    }
+
+    const province = normalize(address.province);
+
+    return SHIPPING_ZONES.find((zone) =>
+        zone.provinces === '*' || zone.provinces.some((name) => normalize(name) === province)
+    );
+};
+
+/**
+ * Tax rate for a flower
+ *
+ * @param {Object} flower - Catalog flower
+ * @returns {number} Rate as a fraction
+ */
+const taxRateFor = (flower) => TAX_RULES.categoryRates[flower.category] ?? TAX_RULES.defaultRate;
+
+/**
+ * Coupons are applied in this order: percentages first, then fixed
+ * amounts on what is left, then free shipping
+ */
+const COUPON_TYPE_ORDER = ['percentage', 'fixed', 'free_shipping'];
+
+/**
+ * Whether a coupon applies to a quote line
+ *
+ * @param {Object} coupon - Coupon
+ * @param {Object} item - Quote line
+ * @returns {boolean} True when the coupon's restrictions allow the line
+ */
+const appliesTo = (coupon, item) => {
+    if (coupon.categories.length > 0 && !coupon.categories.includes(item.category)) {
+        return false;
+    }
+
+    if (coupon.flowerIds.length > 0 && !coupon.flowerIds.includes(item.flowerId)) {
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Spread a discount over lines in proportion to what is left of each,
+ * in cents, the last line taking the rounding difference
+ *
+ * @param {number} amount - Discount to spread
+ * @param {Array} lines - Quote lines, discount is added to each
+ */
+const allocateDiscount = (amount, lines) => {
+    const base = lines.reduce((sum, item) => sum + item.lineTotal - item.discount, 0);
+    let left = amount;
+
+    lines.forEach((item, index) => {
+        const share = index === lines.length - 1
+            ? left
+            : roundMoney(amount * (item.lineTotal - item.discount) / base);
+
+        item.discount = roundMoney(item.discount + share);
+        left = roundMoney(left - share);
+    });
+};
+
+/**
+ * Apply coupons to the quote lines
+ *
+ * @param {Array} coupons - Usable coupons (see Coupon.findUsable)
+ * @param {Array} items - Quote lines, their discount is filled in
+ * @param {number} subtotal - Cart subtotal before discounts
+ * @returns {{applied: Array, freeShipping: boolean}} Applied coupons and whether shipping is waived
+ * @throws {Error} 400 httpError when the cart does not meet a coupon's conditions
+ */
+const applyCoupons = (coupons, items, subtotal) => {
+    const ordered = [...coupons].sort((a, b) =>
+        COUPON_TYPE_ORDER.indexOf(a.type) - COUPON_TYPE_ORDER.indexOf(b.type)
+    );
+    const applied = [];
+    let freeShipping = false;
+
+    for (const coupon of ordered) {
+        const minSubtotal = coupon.minSubtotal === null ? 0 : parseFloat(coupon.minSubtotal);
+
+        if (subtotal < minSubtotal) {
+            throw httpError(400, `Coupon ${coupon.code} needs a subtotal of at least $${minSubtotal.toFixed(2)}`);
+        }
+
+        const eligible = items.filter((item) => appliesTo(coupon, item));
+
+        if (eligible.length === 0) {
+            throw httpError(400, `Coupon ${coupon.code} does not apply to any item in your cart`);
+        }
+
+        const entry = { code: coupon.code, type: coupon.type, description: coupon.description, amount: 0 };
+        applied.push(entry);
+
+        if (coupon.type === 'free_shipping') {
+            freeShipping = true;
+            continue;
+        }
+
+        const base = eligible.reduce((sum, item) => sum + item.lineTotal - item.discount, 0);
+        const value = parseFloat(coupon.value);
+        let amount = coupon.type === 'percentage' ? base * value / 100 : value;
+
+        if (coupon.type === 'percentage' && coupon.maxDiscount !== null) {
+            amount = Math.min(amount, parseFloat(coupon.maxDiscount));
+        }
+
+        entry.amount = roundMoney(Math.min(amount, base));
+        if (entry.amount > 0) {
+            allocateDiscount(entry.amount, eligible);
+        }
+    }
+
+    return { applied, freeShipping };
+};
+
+/**
+ * Quote a cart
+ *
+ * @param {Object} options
+ * @param {Array<{flower: Flower, quantity: number}>} options.lines - Catalog flowers and quantities
+ * @param {Object|null} options.address - Shipping address, or null to quote without shipping
+ * @param {Array} options.coupons - Usable coupons (see Coupon.findUsable)
+ * @param {Array} options.rules - Seasonal pricing rules in effect (see PricingRule.findActive)
+ * @returns {Object} Itemized quote: currency, items, subtotal, coupons, discount, shipping,
+ *                   shippingFee, tax, total
+ * @throws {Error} 400 httpError when the address or a coupon cannot be used
+ */
+export const quoteCart = ({ lines, address, coupons = [], rules = [] }) => {
+    const items = lines.map(({ flower, quantity }) => {
+        const unitPrice = flower.getEffectivePrice({ rules });
+        const lineTotal = roundMoney(unitPrice * quantity);
+        const taxRate = taxRateFor(flower);
+
+        return {
+            flowerId: flower.id,
+            flowerName: flower.name,
+            flowerImage: flower.image,
+            category: flower.category,
+            unitPrice,
+            quantity,
+            lineTotal,
+            discount: 0,
+            taxRate,
+            available: flower.status === 'active' ? flower.stock : 0
+        };
+    });
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    const { applied, freeShipping } = applyCoupons(coupons, items, subtotal);
+    const discount = roundMoney(items.reduce((sum, item) => sum + item.discount, 0));
+
+    let shipping = null;
+    if (address) {
+        const zone = findShippingZone(address);
+        const overThreshold = FREE_SHIPPING_THRESHOLD > 0 && subtotal - discount >= FREE_SHIPPING_THRESHOLD;
+        const fee = overThreshold ? 0 : zone.fee;
+
+        shipping = {
+            zone: zone.code,
+            label: zone.label,
+            baseFee: zone.fee,
+            fee: freeShipping ? 0 : fee,
+            freeShippingThreshold: FREE_SHIPPING_THRESHOLD > 0 ? FREE_SHIPPING_THRESHOLD : null
+        };
+
+        // The free shipping coupon is worth whatever fee was left to waive
+        const waiver = applied.find((entry) => entry.type === 'free_shipping');
+        if (waiver) {
+            waiver.amount = fee;
+        }
+    }
+
+    const shippingFee = shipping ? shipping.fee : 0;
+
+    const taxes = items.map((item) => (item.lineTotal - item.discount) * item.taxRate);
+    if (TAX_RULES.taxShipping) {
+        taxes.push(shippingFee * TAX_RULES.defaultRate);
+    }
+
+    const tax = TAX_RULES.rounding === 'line'
+        ? roundMoney(taxes.reduce((sum, amount) => sum + roundMoney(amount), 0))
+        : roundMoney(taxes.reduce((sum, amount) => sum + amount, 0));
+
+    return {
+        currency: CURRENCY,
+        items,
+        subtotal,
+        coupons: applied,
+        discount,
+        shipping,
+        shippingFee,
+        tax,
+        total: roundMoney(subtotal - discount + shippingFee + tax)
+    };
+};
@@ -0,0 +1,146 @@
+/**
+ * Query Filter Helpers
+ *
+ * Shared parsing of list query parameters (pagination, date ranges,
+ * search terms and sorting) so that list endpoints behave the same way.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import { Op } from 'sequelize';
+import { httpError } from './httpError.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse page/limit query values
+ *
+ * @param {string|number} page - Requested page (default: 1)
+ * @param {string|number} limit - Requested page size
+ * @param {Object} options
+ * @param {number} options.defaultLimit - Page size when none is given (default: 20)
+ * @param {number} options.maxLimit - Largest allowed page size (default: 50)
+ * @returns {{page: number, limit: number, offset: number}} Parsed pagination
+ */
+export const parsePagination = (page, limit, { defaultLimit = 20, maxLimit = 50 } = {}) => {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(maxLimit, Math.max(1, parseInt(limit) || defaultLimit));
+
+    return { page: pageNum, limit: limitNum, offset: (pageNum - 1) * limitNum };
+};
+
+/**
+ * Build the pagination block returned by list endpoints
+ *
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @param {number} total - Total matching rows
+ * @returns {Object} Pagination metadata
+ */
+export const buildPagination = (page, limit, total) => {
+    const pages = Math.ceil(total / limit);
+
+    return {
+        page,
+        limit,
+        total,
+        pages,
+        hasNext: page < pages,
+        hasPrev: page > 1
+    };
+};
+
+/**
+ * Build a pattern that matches a search term anywhere in a column
+ *
+ * The term's own % and _ (and the \ escape character) are escaped so
+ * they match literally instead of acting as wildcards.
+ *
+ * @param {string} term - Search term from the query string
+ * @returns {string} Pattern for Op.iLike
+ */
+export const containsPattern = (term) => `%${String(term).replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * Read a search term from the query string
+ *
+ * A repeated parameter (?search=a&search=b) arrives as an array and is
+ * rejected rather than treated as text.
+ *
+ * @param {*} value - Query value
+ * @returns {string} Trimmed term, empty when none was given
+ * @throws {Error} 400 httpError when the value is not a single string
+ */
+export const parseSearch = (value) => {
+    if (value === undefined) {
+        return '';
+    }
+
+    if (typeof value !== 'string') {
+        throw httpError(400, 'Invalid search term');
+    }
+
+    return value.trim();
+};
+
+/**
+ * Resolve sort/order query values against the fields a list can sort by
+ *
+ * @param {Object} fields - Sort names mapped to what they sort by
+ * @param {string} sort - Requested sort name
+ * @param {string} order - Requested direction, asc or desc
+ * @param {string} defaultDirection - ASC or DESC, used when order is neither
+ * @returns {{field: *, direction: string}} Sort field and direction
+ * @throws {Error} 400 httpError when sort is not one of the fields, or
+ *                 either value is not a single string
+ */
+export const parseSort = (fields, sort, order, defaultDirection) => {
+    if (typeof sort !== 'string' || !Object.hasOwn(fields, sort)) {
+        throw httpError(400, 'Invalid sort field');
+    }
+
+    if (typeof order !== 'string') {
+        throw httpError(400, 'Invalid sort order');
+    }
+
+    const direction = order.toUpperCase();
+
+    return { field: fields[sort], direction: ['ASC', 'DESC'].includes(direction) ? direction : defaultDirection };
+};
+
+/**
+ * Build a date range filter from optional from/to query values.
+ * A date-only `to` (YYYY-MM-DD) covers the whole day.
+ *
+ * @param {string} from - Start date (inclusive)
+ * @param {string} to - End date (inclusive)
+ * @returns {Object} Sequelize operator object
+ * @throws {Error} 400 httpError when a date cannot be parsed
+ */
+export const buildDateRange = (from, to) => {
+    const range = {};
+
+    if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) {
+            throw httpError(400, 'Invalid from date');
+        }
+        range[Op.gte] = fromDate;
+    }
+
+    if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) {
+            throw httpError(400, 'Invalid to date');
+        }
+        if (DATE_ONLY.test(to)) {
+            toDate.setUTCDate(toDate.getUTCDate() + 1);
+            range[Op.lt] = toDate;
+        } else {
+            range[Op.lte] = toDate;
+        }
+    }
+
+    return range;
+};
@@ -0,0 +1,28 @@
+/**
+ * Secure Token Helpers
+ *
+ * Random tokens handed to users (refresh tokens, emailed links) and the
+ * hash that is stored in their place, so a leaked database cannot be
+ * used to log in or reset a password.
+ *
+ * @author Flower Shop Team
+ * @version 2.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate a random URL-safe token
+ *
+ * @param {number} bytes - Random bytes (default: 32)
+ * @returns {string} base64url token
+ */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash a token for storage and lookup
+ *
+ * @param {string} token - Token given to the user
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
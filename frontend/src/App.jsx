@@ -5,12 +5,18 @@ import Footer from './components/common/Footer';
 import Home from './pages/Home';
 import Login from './pages/client/Login';
 import Register from './pages/client/Register';
+import ForgotPassword from './pages/client/ForgotPassword';
+import ResetPassword from './pages/client/ResetPassword';
+import VerifyEmail from './pages/client/VerifyEmail';
 import Dashboard from './pages/client/Dashboard';
 import Shop from './pages/client/Shop';
 import Cart from './pages/client/Cart';
 import Orders from './pages/client/Orders';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminFlowers from './pages/admin/AdminFlowers';
+import AdminCoupons from './pages/admin/AdminCoupons';
+import AdminPricingRules from './pages/admin/AdminPricingRules';
+import AdminDelivery from './pages/admin/AdminDelivery';
 import AdminOrders from './pages/admin/AdminOrders';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import Unauthorized from './pages/client/Unauthorized';
@@ -28,6 +34,9 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 <Route path="/shop" element={<Shop />} />
                 <Route path="/shipping-address" element={<ShippingAddress />} />
                 <Route path="/checkout" element={<Checkout />} />
@@ -61,6 +70,21 @@ function App() {
                     <AdminFlowers />
                   </ProtectedRoute>
                 } />
+                <Route path="/admin/coupons" element={
+                  <ProtectedRoute>
+                    <AdminCoupons />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/pricing-rules" element={
+                  <ProtectedRoute>
+                    <AdminPricingRules />
+                  </ProtectedRoute>
+                } />
+                <Route path="/admin/delivery" element={
+                  <ProtectedRoute>
+                    <AdminDelivery />
+                  </ProtectedRoute>
+                } />
                 <Route path="/admin/orders" element={
                   <ProtectedRoute>
                     <AdminOrders />
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { LayoutDashboard, Flower2, ShoppingBag, Users, Settings, BarChart3 } from 'lucide-react';
+import { LayoutDashboard, Flower2, Ticket, CalendarClock, Truck, ShoppingBag, Users, Settings, BarChart3 } from 'lucide-react';
 
 const AdminSidebar = () => {
   const location = useLocation();
@@ -8,6 +8,9 @@ const AdminSidebar = () => {
   const menuItems = [
     { path: '/admin', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/admin/flowers', icon: Flower2, label: 'Manage Flowers' },
+    { path: '/admin/coupons', icon: Ticket, label: 'Coupons' },
+    { path: '/admin/pricing-rules', icon: CalendarClock, label: 'Pricing Rules' },
+    { path: '/admin/delivery', icon: Truck, label: 'Delivery' },
     { path: '/admin/orders', icon: ShoppingBag, label: 'Orders' },
     { path: '/admin/users', icon: Users, label: 'Users' },
     { path: '/admin/analytics', icon: BarChart3, label: 'Analytics' },
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Flower2, User, ShoppingCart, Menu, X, LogOut } from 'lucide-react';
-import { jwtDecode } from 'jwt-decode';
 import axios from 'axios';
+import { logout } from '../../utils/auth';
 
 const UserNavbar = ({ user }) => {
   const navigate = useNavigate();
@@ -14,10 +14,10 @@ const UserNavbar = ({ user }) => {
   useEffect(() => {
     const fetchCartQuantity = async () => {
       const token = localStorage.getItem('accessToken');
-      const decode = jwtDecode(token);
-      const id = decode.userId;
 
-      const response = await axios.get(`http://localhost:3000/api/cart/cart-quantity/${id}`);
+      const response = await axios.get('http://localhost:3000/api/cart/cart-quantity', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
 
       if (response.data.success) {
         setTotalItems(response.data.data);
@@ -32,8 +32,8 @@ const UserNavbar = ({ user }) => {
     setIsProfileOpen(false);
   }, [location]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('accessToken');
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
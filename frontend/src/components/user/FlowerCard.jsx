@@ -13,10 +13,24 @@ import { useNavigate } from 'react-router-dom';
 import { Plus, Heart, X, ShoppingCart, Zap, Star, AlertCircle, Eye } from 'lucide-react';
 import axios from 'axios';
 import { toast } from 'react-toastify';
-import { jwtDecode } from 'jwt-decode';
 
 const BASE_URL = 'http://localhost:3000'
 
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Format the time left in a sale, e.g. "2d 5h", "3h 20m" or "45m"
+ */
+const formatTimeLeft = (ms) => {
+  const minutes = Math.max(1, Math.ceil(ms / MINUTE_MS));
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
 const FlowerCard = ({ flower }) => {
   const navigate = useNavigate();
   const [showModal, setShowModal] = useState(false);
@@ -24,25 +38,42 @@ const FlowerCard = ({ flower }) => {
   const [isInWishlist, setIsInWishlist] = useState(false);
   const [wishlistLoading, setWishlistLoading] = useState(false);
   const [addingToCart, setAddingToCart] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a minute while a sale countdown is shown
+  useEffect(() => {
+    if (!flower.saleEndsAt) return;
+    const timer = setInterval(() => setNow(Date.now()), MINUTE_MS);
+    return () => clearInterval(timer);
+  }, [flower.saleEndsAt]);
+
+  const saleTimeLeft = flower.saleEndsAt ? new Date(flower.saleEndsAt).getTime() - now : null;
+  const saleEndsIn = saleTimeLeft > 0 ? formatTimeLeft(saleTimeLeft) : null;
 
   const handleAddToCart = async () => {
 
     setAddingToCart(true);
     try {
       const token = localStorage.getItem('accessToken');
-      const decode = jwtDecode(token);
-      const userId = decode.userId;
 
-      const response = await axios.post(`${BASE_URL}/api/cart`, { flower, quantity, userId });
+      const response = await axios.post(
+        `${BASE_URL}/api/cart`,
+        { flowerId: flower.id, quantity },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
       console.log(response);
       if (response.data.success) {
         setShowModal(false);
         setQuantity(1);
-        toast.success('Flower added to cart successfully');
+        if (response.data.data.capped) {
+          toast.warning(response.data.message);
+        } else {
+          toast.success('Flower added to cart successfully');
+        }
       }
     } catch (error) {
       console.error('Error adding to cart:', error);
-      toast.error('Error adding flower to cart');
+      toast.error(error.response?.data?.message || 'Error adding flower to cart');
     } finally {
       setAddingToCart(false);
     }
@@ -134,7 +165,7 @@ const FlowerCard = ({ flower }) => {
           </div>
 
           {/* Sale Badge */}
-          {flower.originalPrice && (
+          {flower.compareAtPrice && (
             <div className="absolute top-3 left-3 bg-red-500 text-white px-2 py-1 rounded-full text-xs font-semibold">
               SALE
             </div>
@@ -159,8 +190,11 @@ const FlowerCard = ({ flower }) => {
           <div className="flex items-center justify-between">
             <div className="flex flex-col">
               <span className="text-2xl font-bold text-baby-pink-600">${flower.price}</span>
-              {flower.originalPrice && (
-                <span className="text-sm text-gray-500 line-through">${flower.originalPrice}</span>
+              {flower.compareAtPrice && (
+                <span className="text-sm text-gray-500 line-through">${flower.compareAtPrice}</span>
+              )}
+              {saleEndsIn && (
+                <span className="text-xs font-semibold text-red-500">Sale ends in {saleEndsIn}</span>
               )}
             </div>
             
@@ -219,9 +253,9 @@ const FlowerCard = ({ flower }) => {
               >
                 <X className="h-5 w-5 text-gray-600" />
               </button>
-              {flower.originalPrice && (
+              {flower.compareAtPrice && (
                 <div className="absolute top-4 left-4 bg-red-500 text-white px-3 py-1 rounded-full text-sm font-semibold">
-                  SALE - {Math.round(((flower.originalPrice - flower.price) / flower.originalPrice) * 100)}% OFF
+                  SALE - {Math.round(((flower.compareAtPrice - flower.price) / flower.compareAtPrice) * 100)}% OFF
                 </div>
               )}
             </div>
@@ -283,10 +317,13 @@ const FlowerCard = ({ flower }) => {
                   <div>
                     <div className="flex items-center space-x-3">
                       <span className="text-3xl font-bold text-baby-pink-600">${flower.price}</span>
-                      {flower.originalPrice && (
-                        <span className="text-lg text-gray-500 line-through">${flower.originalPrice}</span>
+                      {flower.compareAtPrice && (
+                        <span className="text-lg text-gray-500 line-through">${flower.compareAtPrice}</span>
                       )}
                     </div>
+                    {saleEndsIn && (
+                      <p className="text-sm font-semibold text-red-500 mt-1">Sale ends in {saleEndsIn}</p>
+                    )}
                     <p className="text-sm text-gray-600 mt-1">Free shipping on orders over $50</p>
                   </div>
                   
@@ -0,0 +1,657 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AdminSidebar from '../../components/admin/AdminSidebar';
+import { Plus, Edit, Trash2, Search, Layers } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const COUPON_TYPE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed amount off',
+  free_shipping: 'Free shipping'
+};
+
+const categories = [
+  { value: 'roses', label: 'Roses' },
+  { value: 'sunflowers', label: 'Sunflowers' },
+  { value: 'lilies', label: 'Lilies' },
+  { value: 'tulips', label: 'Tulips' },
+  { value: 'orchids', label: 'Orchids' },
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'bouquet', label: 'Bouquet' },
+  { value: 'arrangement', label: 'Arrangement' },
+  { value: 'plant', label: 'Plant' },
+  { value: 'gift_basket', label: 'Gift Basket' },
+  { value: 'seasonal', label: 'Seasonal' },
+  { value: 'wedding', label: 'Wedding' },
+  { value: 'sympathy', label: 'Sympathy' }
+];
+
+const emptyForm = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  minSubtotal: '',
+  usageLimit: '',
+  perUserLimit: '',
+  startsAt: '',
+  endsAt: '',
+  categories: [],
+  flowerIds: '',
+  stackable: false,
+  active: true
+};
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatValue = (coupon) => {
+  if (coupon.type === 'percentage') return `${parseFloat(coupon.value)}% off`;
+  if (coupon.type === 'fixed') return `$${parseFloat(coupon.value).toFixed(2)} off`;
+  return 'Free shipping';
+};
+
+const formatWindow = (coupon) => {
+  if (!coupon.startsAt && !coupon.endsAt) return 'Always';
+  const start = coupon.startsAt ? new Date(coupon.startsAt).toLocaleDateString() : '…';
+  const end = coupon.endsAt ? new Date(coupon.endsAt).toLocaleDateString() : '…';
+  return `${start} – ${end}`;
+};
+
+const AdminCoupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('all');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const loadCoupons = useCallback(async () => {
+    try {
+      const params = { page };
+      if (debouncedSearch) params.search = debouncedSearch;
+      if (selectedStatus !== 'all') params.status = selectedStatus;
+
+      const response = await axios.get(`${BASE_URL}/api/admin/coupons`, {
+        params,
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setCoupons(response.data.data);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('Error loading coupons:', error);
+      toast.error(error.response?.data?.message || 'Failed to load coupons');
+    }
+  }, [page, debouncedSearch, selectedStatus]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const toggleCategory = (category) => {
+    setFormData({
+      ...formData,
+      categories: formData.categories.includes(category)
+        ? formData.categories.filter(c => c !== category)
+        : [...formData.categories, category]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const payload = {
+      ...formData,
+      value: formData.type === 'free_shipping' ? undefined : parseFloat(formData.value),
+      maxDiscount: formData.type === 'percentage' ? formData.maxDiscount : '',
+      startsAt: formData.startsAt ? new Date(formData.startsAt).toISOString() : '',
+      endsAt: formData.endsAt ? new Date(formData.endsAt).toISOString() : '',
+      flowerIds: formData.flowerIds
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean)
+        .map(Number)
+    };
+
+    try {
+      if (editingCoupon) {
+        await axios.put(`${BASE_URL}/api/admin/coupons/${editingCoupon.id}`, payload, { headers: authHeaders() });
+        showSuccess(`"${payload.code.toUpperCase()}" updated successfully!`);
+      } else {
+        await axios.post(`${BASE_URL}/api/admin/coupons`, payload, { headers: authHeaders() });
+        showSuccess(`"${payload.code.toUpperCase()}" added successfully!`);
+      }
+
+      resetForm();
+      loadCoupons();
+    } catch (error) {
+      console.error('Error saving coupon:', error);
+      toast.error(error.response?.data?.message || 'Failed to save coupon');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingCoupon(null);
+    setShowModal(false);
+  };
+
+  const handleEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      type: coupon.type,
+      value: coupon.type === 'free_shipping' ? '' : parseFloat(coupon.value).toString(),
+      maxDiscount: coupon.maxDiscount ?? '',
+      minSubtotal: coupon.minSubtotal ?? '',
+      usageLimit: coupon.usageLimit ?? '',
+      perUserLimit: coupon.perUserLimit ?? '',
+      startsAt: toLocalInput(coupon.startsAt),
+      endsAt: toLocalInput(coupon.endsAt),
+      categories: coupon.categories,
+      flowerIds: coupon.flowerIds.join(', '),
+      stackable: coupon.stackable,
+      active: coupon.active
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (coupon) => {
+    if (window.confirm(`Are you sure you want to delete "${coupon.code}"? Customers will no longer be able to use it.`)) {
+      try {
+        await axios.delete(`${BASE_URL}/api/admin/coupons/${coupon.id}`, { headers: authHeaders() });
+        showSuccess(`"${coupon.code}" deleted successfully!`);
+        loadCoupons();
+      } catch (error) {
+        console.error('Error deleting coupon:', error);
+        toast.error(error.response?.data?.message || 'Failed to delete coupon');
+      }
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500';
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">Coupons</h1>
+        <p className="text-gray-600">Create and manage promo codes</p>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 animate-fadeIn">
+          ✅ {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Sidebar */}
+        <div className="lg:col-span-1">
+          <AdminSidebar />
+        </div>
+
+        {/* Main Content */}
+        <div className="lg:col-span-3">
+          {/* Header Actions */}
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+            <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
+              {/* Search */}
+              <div className="relative flex-1">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Search className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search codes..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+              </div>
+
+              {/* Status Filter */}
+              <select
+                value={selectedStatus}
+                onChange={(e) => { setSelectedStatus(e.target.value); setPage(1); }}
+                className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+              >
+                <option value="all">All Coupons</option>
+                <option value="active">Active</option>
+                <option value="inactive">Inactive</option>
+              </select>
+
+              {/* Add Button */}
+              <button
+                onClick={() => setShowModal(true)}
+                className="bg-gradient-primary text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 flex items-center"
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Add Coupon
+              </button>
+            </div>
+          </div>
+
+          {/* Coupons Table */}
+          <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-800">
+                Coupons ({pagination?.total ?? coupons.length})
+              </h2>
+            </div>
+
+            {coupons.length === 0 ? (
+              <div className="p-12 text-center">
+                <div className="text-gray-400 mb-4">
+                  <Search className="h-12 w-12 mx-auto" />
+                </div>
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">No coupons found</h3>
+                <p className="text-gray-600">Try adjusting your search or add a new coupon</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Code</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Discount</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Used</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Valid</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Status</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {coupons.map((coupon) => (
+                      <tr key={coupon.id} className="hover:bg-gray-50">
+                        <td className="py-4 px-6">
+                          <p className="font-mono font-semibold text-gray-800 flex items-center">
+                            {coupon.code}
+                            {coupon.stackable && <Layers className="h-4 w-4 ml-1 text-baby-pink-500" title="Stackable" />}
+                          </p>
+                          <p className="text-sm text-gray-600 truncate max-w-xs">{coupon.description}</p>
+                        </td>
+                        <td className="py-4 px-6">
+                          <p className="font-semibold text-gray-800">{formatValue(coupon)}</p>
+                          {coupon.minSubtotal && (
+                            <p className="text-sm text-gray-600">Min. ${parseFloat(coupon.minSubtotal).toFixed(2)}</p>
+                          )}
+                          {(coupon.categories.length > 0 || coupon.flowerIds.length > 0) && (
+                            <p className="text-sm text-gray-600">Selected items only</p>
+                          )}
+                        </td>
+                        <td className="py-4 px-6 text-gray-800">
+                          {coupon.timesRedeemed}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                          {coupon.perUserLimit && (
+                            <p className="text-sm text-gray-600">{coupon.perUserLimit} per customer</p>
+                          )}
+                        </td>
+                        <td className="py-4 px-6 text-sm text-gray-600">
+                          {formatWindow(coupon)}
+                        </td>
+                        <td className="py-4 px-6">
+                          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
+                            coupon.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {coupon.active ? 'Active' : 'Inactive'}
+                          </span>
+                        </td>
+                        <td className="py-4 px-6">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => handleEdit(coupon)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(coupon)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="p-6 border-t border-gray-200 flex items-center justify-center space-x-4">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-2xl w-full max-h-screen overflow-y-auto">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-2xl font-bold text-gray-800">
+                {editingCoupon ? 'Edit Coupon' : 'Add New Coupon'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6 space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Code *
+                  </label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={formData.code}
+                    onChange={handleInputChange}
+                    required
+                    className={`${inputClass} font-mono uppercase`}
+                    placeholder="SPRING10"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Type *
+                  </label>
+                  <select
+                    name="type"
+                    value={formData.type}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                  >
+                    {Object.entries(COUPON_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Description
+                </label>
+                <input
+                  type="text"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  placeholder="Shown to the customer, e.g. 10% off spring bouquets"
+                />
+              </div>
+
+              {formData.type !== 'free_shipping' && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {formData.type === 'percentage' ? 'Percent Off *' : 'Amount Off ($) *'}
+                    </label>
+                    <input
+                      type="number"
+                      name="value"
+                      value={formData.value}
+                      onChange={handleInputChange}
+                      required
+                      min="0.01"
+                      max={formData.type === 'percentage' ? '100' : undefined}
+                      step="0.01"
+                      className={inputClass}
+                    />
+                  </div>
+
+                  {formData.type === 'percentage' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Max Discount ($)
+                      </label>
+                      <input
+                        type="number"
+                        name="maxDiscount"
+                        value={formData.maxDiscount}
+                        onChange={handleInputChange}
+                        min="0.01"
+                        step="0.01"
+                        className={inputClass}
+                        placeholder="No cap"
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Min. Subtotal ($)
+                  </label>
+                  <input
+                    type="number"
+                    name="minSubtotal"
+                    value={formData.minSubtotal}
+                    onChange={handleInputChange}
+                    min="0.01"
+                    step="0.01"
+                    className={inputClass}
+                    placeholder="None"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Total Uses
+                  </label>
+                  <input
+                    type="number"
+                    name="usageLimit"
+                    value={formData.usageLimit}
+                    onChange={handleInputChange}
+                    min="1"
+                    className={inputClass}
+                    placeholder="Unlimited"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Uses per Customer
+                  </label>
+                  <input
+                    type="number"
+                    name="perUserLimit"
+                    value={formData.perUserLimit}
+                    onChange={handleInputChange}
+                    min="1"
+                    className={inputClass}
+                    placeholder="Unlimited"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Starts
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="startsAt"
+                    value={formData.startsAt}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Ends
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="endsAt"
+                    value={formData.endsAt}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Only for Categories
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {categories.map(category => (
+                    <button
+                      type="button"
+                      key={category.value}
+                      onClick={() => toggleCategory(category.value)}
+                      className={`px-3 py-1 rounded-full text-sm font-semibold border transition-colors ${
+                        formData.categories.includes(category.value)
+                          ? 'bg-baby-pink-100 text-baby-pink-800 border-baby-pink-300'
+                          : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {category.label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  Leave empty to apply to every category
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Only for Flower IDs
+                </label>
+                <input
+                  type="text"
+                  name="flowerIds"
+                  value={formData.flowerIds}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  placeholder="e.g. 3, 7, 12"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  Comma separated, leave empty to apply to every flower
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="stackable"
+                    name="stackable"
+                    checked={formData.stackable}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="stackable" className="ml-2 text-sm font-medium text-gray-700">
+                    Can be combined with other stackable codes
+                  </label>
+                </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="active"
+                    name="active"
+                    checked={formData.active}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="active" className="ml-2 text-sm font-medium text-gray-700">
+                    Active
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingCoupon ? 'Update Coupon' : 'Add Coupon'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCoupons;
@@ -0,0 +1,523 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AdminSidebar from '../../components/admin/AdminSidebar';
+import { Plus, Edit, Trash2, Clock, CalendarX } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyForm = {
+  label: '',
+  startTime: '',
+  endTime: '',
+  cutoffTime: '',
+  capacity: '',
+  daysOfWeek: [],
+  provinces: '',
+  active: true
+};
+
+const emptyBlackout = {
+  date: '',
+  reason: ''
+};
+
+const formatDays = (days) =>
+  days.length === 0 || days.length === 7 ? 'Every day' : days.map(day => WEEKDAYS[day]).join(', ');
+
+const AdminDelivery = () => {
+  const [slots, setSlots] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingSlot, setEditingSlot] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [blackoutForm, setBlackoutForm] = useState(emptyBlackout);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  const loadSlots = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/delivery-slots`, { headers: authHeaders() });
+
+      if (response.data.success) {
+        setSlots(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading delivery slots:', error);
+      toast.error(error.response?.data?.message || 'Failed to load delivery slots');
+    }
+  }, []);
+
+  const loadBlackouts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/delivery-blackouts`, { headers: authHeaders() });
+
+      if (response.data.success) {
+        setBlackouts(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading blackout dates:', error);
+      toast.error(error.response?.data?.message || 'Failed to load blackout dates');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSlots();
+    loadBlackouts();
+  }, [loadSlots, loadBlackouts]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const toggleDay = (day) => {
+    setFormData({
+      ...formData,
+      daysOfWeek: formData.daysOfWeek.includes(day)
+        ? formData.daysOfWeek.filter(d => d !== day)
+        : [...formData.daysOfWeek, day]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const payload = {
+      ...formData,
+      capacity: parseInt(formData.capacity),
+      cutoffTime: formData.cutoffTime || null,
+      provinces: formData.provinces.split(',').map(province => province.trim()).filter(Boolean)
+    };
+
+    try {
+      if (editingSlot) {
+        await axios.put(`${BASE_URL}/api/admin/delivery-slots/${editingSlot.id}`, payload, { headers: authHeaders() });
+        showSuccess(`"${formData.label}" updated successfully!`);
+      } else {
+        await axios.post(`${BASE_URL}/api/admin/delivery-slots`, payload, { headers: authHeaders() });
+        showSuccess(`"${formData.label}" added successfully!`);
+      }
+
+      resetForm();
+      loadSlots();
+    } catch (error) {
+      console.error('Error saving delivery slot:', error);
+      toast.error(error.response?.data?.message || 'Failed to save delivery slot');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingSlot(null);
+    setShowModal(false);
+  };
+
+  const handleEdit = (slot) => {
+    setEditingSlot(slot);
+    setFormData({
+      label: slot.label,
+      startTime: slot.startTime.slice(0, 5),
+      endTime: slot.endTime.slice(0, 5),
+      cutoffTime: slot.cutoffTime ? slot.cutoffTime.slice(0, 5) : '',
+      capacity: slot.capacity.toString(),
+      daysOfWeek: slot.daysOfWeek,
+      provinces: slot.provinces.join(', '),
+      active: slot.active
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (slot) => {
+    if (window.confirm(`Are you sure you want to delete "${slot.label}"? Orders already booked keep their delivery time.`)) {
+      try {
+        await axios.delete(`${BASE_URL}/api/admin/delivery-slots/${slot.id}`, { headers: authHeaders() });
+        showSuccess(`"${slot.label}" deleted successfully!`);
+        loadSlots();
+      } catch (error) {
+        console.error('Error deleting delivery slot:', error);
+        toast.error(error.response?.data?.message || 'Failed to delete delivery slot');
+      }
+    }
+  };
+
+  const handleAddBlackout = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.post(`${BASE_URL}/api/admin/delivery-blackouts`, blackoutForm, { headers: authHeaders() });
+      showSuccess(`No deliveries on ${blackoutForm.date}`);
+      setBlackoutForm(emptyBlackout);
+      loadBlackouts();
+    } catch (error) {
+      console.error('Error adding blackout date:', error);
+      toast.error(error.response?.data?.message || 'Failed to add blackout date');
+    }
+  };
+
+  const handleDeleteBlackout = async (blackout) => {
+    try {
+      await axios.delete(`${BASE_URL}/api/admin/delivery-blackouts/${blackout.id}`, { headers: authHeaders() });
+      showSuccess(`Deliveries reopened on ${blackout.date}`);
+      loadBlackouts();
+    } catch (error) {
+      console.error('Error removing blackout date:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove blackout date');
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500';
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">Delivery</h1>
+        <p className="text-gray-600">Delivery time slots and days without deliveries</p>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 animate-fadeIn">
+          ✅ {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Sidebar */}
+        <div className="lg:col-span-1">
+          <AdminSidebar />
+        </div>
+
+        {/* Main Content */}
+        <div className="lg:col-span-3">
+          {/* Slots Table */}
+          <div className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-800">
+                Time Slots ({slots.length})
+              </h2>
+              <button
+                onClick={() => setShowModal(true)}
+                className="bg-gradient-primary text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 flex items-center"
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Add Slot
+              </button>
+            </div>
+
+            {slots.length === 0 ? (
+              <div className="p-12 text-center">
+                <div className="text-gray-400 mb-4">
+                  <Clock className="h-12 w-12 mx-auto" />
+                </div>
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">No delivery slots</h3>
+                <p className="text-gray-600">Customers can check out without choosing a delivery time</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Slot</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Same-day Cutoff</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Capacity</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Runs</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Status</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {slots.map((slot) => (
+                      <tr key={slot.id} className="hover:bg-gray-50">
+                        <td className="py-4 px-6">
+                          <p className="font-semibold text-gray-800">{slot.label}</p>
+                          <p className="text-sm text-gray-600">
+                            {slot.startTime.slice(0, 5)}–{slot.endTime.slice(0, 5)}
+                          </p>
+                        </td>
+                        <td className="py-4 px-6 text-gray-600">
+                          {(slot.cutoffTime || slot.startTime).slice(0, 5)}
+                        </td>
+                        <td className="py-4 px-6 text-gray-800">
+                          {slot.capacity} / day
+                        </td>
+                        <td className="py-4 px-6 text-sm text-gray-600">
+                          <p>{formatDays(slot.daysOfWeek)}</p>
+                          <p>{slot.provinces.length > 0 ? slot.provinces.join(', ') : 'All provinces'}</p>
+                        </td>
+                        <td className="py-4 px-6">
+                          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
+                            slot.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {slot.active ? 'Active' : 'Inactive'}
+                          </span>
+                        </td>
+                        <td className="py-4 px-6">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => handleEdit(slot)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(slot)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Blackout Dates */}
+          <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-800 flex items-center mb-4">
+                <CalendarX className="h-5 w-5 mr-2 text-baby-pink-500" />
+                Blackout Dates
+              </h2>
+              <form onSubmit={handleAddBlackout} className="flex flex-col md:flex-row gap-4">
+                <input
+                  type="date"
+                  value={blackoutForm.date}
+                  onChange={(e) => setBlackoutForm({ ...blackoutForm, date: e.target.value })}
+                  required
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+                <input
+                  type="text"
+                  value={blackoutForm.reason}
+                  onChange={(e) => setBlackoutForm({ ...blackoutForm, reason: e.target.value })}
+                  placeholder="Reason shown to customers, e.g. Khmer New Year"
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 border border-baby-pink-500 text-baby-pink-600 rounded-lg font-semibold hover:bg-baby-pink-50"
+                >
+                  Add Date
+                </button>
+              </form>
+            </div>
+
+            {blackouts.length === 0 ? (
+              <p className="p-6 text-gray-600">No upcoming blackout dates</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {blackouts.map((blackout) => (
+                  <div key={blackout.id} className="px-6 py-3 flex items-center justify-between hover:bg-gray-50">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        {new Date(`${blackout.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}
+                      </p>
+                      {blackout.reason && <p className="text-sm text-gray-600">{blackout.reason}</p>}
+                    </div>
+                    <button
+                      onClick={() => handleDeleteBlackout(blackout)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                      title="Remove"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-2xl w-full max-h-screen overflow-y-auto">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-2xl font-bold text-gray-800">
+                {editingSlot ? 'Edit Delivery Slot' : 'Add New Delivery Slot'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6 space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Label *
+                  </label>
+                  <input
+                    type="text"
+                    name="label"
+                    value={formData.label}
+                    onChange={handleInputChange}
+                    required
+                    className={inputClass}
+                    placeholder="e.g. Morning"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Orders per Day *
+                  </label>
+                  <input
+                    type="number"
+                    name="capacity"
+                    value={formData.capacity}
+                    onChange={handleInputChange}
+                    required
+                    min="1"
+                    step="1"
+                    className={inputClass}
+                    placeholder="e.g. 10"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    From *
+                  </label>
+                  <input
+                    type="time"
+                    name="startTime"
+                    value={formData.startTime}
+                    onChange={handleInputChange}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    To *
+                  </label>
+                  <input
+                    type="time"
+                    name="endTime"
+                    value={formData.endTime}
+                    onChange={handleInputChange}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Same-day Cutoff
+                  </label>
+                  <input
+                    type="time"
+                    name="cutoffTime"
+                    value={formData.cutoffTime}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="text-sm text-gray-500 -mt-4">
+                Same-day orders are taken until the cutoff, or the start time when it is empty
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Runs On
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {WEEKDAYS.map((day, index) => (
+                    <button
+                      type="button"
+                      key={day}
+                      onClick={() => toggleDay(index)}
+                      className={`px-3 py-1 rounded-full text-sm font-semibold border transition-colors ${
+                        formData.daysOfWeek.includes(index)
+                          ? 'bg-baby-pink-100 text-baby-pink-800 border-baby-pink-300'
+                          : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {day}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  Leave empty to run every day
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Only for Provinces
+                </label>
+                <input
+                  type="text"
+                  name="provinces"
+                  value={formData.provinces}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  placeholder="e.g. Phnom Penh, Kandal"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  Comma separated, leave empty to offer it everywhere
+                </p>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="active"
+                  name="active"
+                  checked={formData.active}
+                  onChange={handleInputChange}
+                  className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                />
+                <label htmlFor="active" className="ml-2 text-sm font-medium text-gray-700">
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingSlot ? 'Update Slot' : 'Add Slot'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminDelivery;
@@ -1,135 +1,80 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import AdminSidebar from '../../components/admin/AdminSidebar';
-import { Plus, Edit, Trash2, Search, Filter, Eye, RotateCcw } from 'lucide-react';
+import { Plus, Edit, Trash2, Search, Star } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
 
 const AdminFlowers = () => {
   const [flowers, setFlowers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [showModal, setShowModal] = useState(false);
   const [editingFlower, setEditingFlower] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [successMessage, setSuccessMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
 
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     price: '',
+    originalPrice: '',
+    salePrice: '',
+    saleStartsAt: '',
+    saleEndsAt: '',
     category: 'roses',
     stock: '',
-    image: ''
+    image: '',
+    status: 'active',
+    featured: false
   });
 
-  // Load flowers from localStorage on component mount
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  // Wait for the admin to stop typing before searching
   useEffect(() => {
-    loadFlowers();
-  }, []);
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
 
-  const loadFlowers = () => {
-    const savedFlowers = localStorage.getItem('adminFlowers');
-    if (savedFlowers) {
-      try {
-        const parsedFlowers = JSON.parse(savedFlowers);
-        console.log('Loaded flowers from storage:', parsedFlowers);
-        setFlowers(parsedFlowers);
-      } catch (error) {
-        console.error('Error parsing saved flowers:', error);
-        loadDefaultFlowers();
-      }
-    } else {
-      console.log('No saved flowers found, loading defaults');
-      loadDefaultFlowers();
-    }
-  };
+  const loadFlowers = useCallback(async () => {
+    try {
+      const params = { page };
+      if (debouncedSearch) params.search = debouncedSearch;
+      if (selectedCategory !== 'all') params.category = selectedCategory;
 
-  const loadDefaultFlowers = () => {
-    const defaultFlowers = [
-      {
-        id: 1,
-        name: 'Red Rose Bouquet',
-        description: 'Beautiful red roses perfect for romantic occasions',
-        price: 29.99,
-        category: 'roses',
-        stock: 25,
-        image: 'https://theglasshouseflowers.com/cdn/shop/files/One-Dozen-Roses-2.jpg?v=1702952433',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 2,
-        name: 'Sunflower Bundle',
-        description: 'Bright and cheerful sunflowers to brighten any day',
-        price: 24.99,
-        category: 'sunflowers',
-        stock: 18,
-        image: 'https://images.pexels.com/photos/1854652/pexels-photo-1854652.jpeg?auto=compress&cs=tinysrgb&w=400',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 3,
-        name: 'Mixed Spring Flowers',
-        description: 'A beautiful arrangement of seasonal spring flowers',
-        price: 34.99,
-        category: 'mixed',
-        stock: 12,
-        image: 'https://images.pexels.com/photos/1146603/pexels-photo-1146603.jpeg?auto=compress&cs=tinysrgb&w=400',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 4,
-        name: 'White Lily Arrangement',
-        description: 'Elegant white lilies for special occasions',
-        price: 42.99,
-        category: 'lilies',
-        stock: 15,
-        image: 'https://images.pexels.com/photos/1080696/pexels-photo-1080696.jpeg?auto=compress&cs=tinysrgb&w=400',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 5,
-        name: 'Pink Tulip Bouquet',
-        description: 'Fresh pink tulips perfect for spring celebrations',
-        price: 27.99,
-        category: 'tulips',
-        stock: 20,
-        image: 'https://images.pexels.com/photos/1386604/pexels-photo-1386604.jpeg?auto=compress&cs=tinysrgb&w=400',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 6,
-        name: 'Purple Orchid Plant',
-        description: 'Exotic purple orchid plant for home decoration',
-        price: 55.99,
-        category: 'orchids',
-        stock: 8,
-        image: 'https://images.pexels.com/photos/1449087/pexels-photo-1449087.jpeg?auto=compress&cs=tinysrgb&w=400',
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
-    ];
-    setFlowers(defaultFlowers);
-    saveFlowers(defaultFlowers);
-  };
+      const response = await axios.get(`${BASE_URL}/api/admin/flowers`, {
+        params,
+        headers: authHeaders()
+      });
 
-  // Save flowers to localStorage
-  const saveFlowers = (flowersToSave) => {
-    try {
-      console.log('Saving flowers to storage:', flowersToSave);
-      localStorage.setItem('adminFlowers', JSON.stringify(flowersToSave));
-      localStorage.setItem('shopFlowers', JSON.stringify(flowersToSave)); // Sync with shop
+      if (response.data.success) {
+        setFlowers(response.data.data);
+        setPagination(response.data.pagination);
+      }
     } catch (error) {
-      console.error('Error saving flowers:', error);
+      console.error('Error loading flowers:', error);
+      toast.error(error.response?.data?.message || 'Failed to load flowers');
     }
-  };
+  }, [page, debouncedSearch, selectedCategory]);
+
+  useEffect(() => {
+    loadFlowers();
+  }, [loadFlowers]);
 
   const showSuccess = (message) => {
     setSuccessMessage(message);
@@ -143,59 +88,53 @@ const AdminFlowers = () => {
     { value: 'lilies', label: 'Lilies' },
     { value: 'tulips', label: 'Tulips' },
     { value: 'orchids', label: 'Orchids' },
-    { value: 'mixed', label: 'Mixed' }
+    { value: 'mixed', label: 'Mixed' },
+    { value: 'bouquet', label: 'Bouquet' },
+    { value: 'arrangement', label: 'Arrangement' },
+    { value: 'plant', label: 'Plant' },
+    { value: 'gift_basket', label: 'Gift Basket' },
+    { value: 'seasonal', label: 'Seasonal' },
+    { value: 'wedding', label: 'Wedding' },
+    { value: 'sympathy', label: 'Sympathy' }
   ];
 
-  const filteredFlowers = flowers.filter(flower => {
-    const matchesSearch = flower.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         flower.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = selectedCategory === 'all' || flower.category === selectedCategory;
-    return matchesSearch && matchesCategory;
-  });
-
   const handleInputChange = (e) => {
+    const { name, type, value, checked } = e.target;
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [name]: type === 'checkbox' ? checked : value
     });
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    const updatedFlowers = [...flowers];
-    
-    if (editingFlower) {
-      // Update existing flower
-      const index = updatedFlowers.findIndex(flower => flower.id === editingFlower.id);
-      if (index !== -1) {
-        updatedFlowers[index] = {
-          ...updatedFlowers[index],
-          ...formData,
-          price: parseFloat(formData.price),
-          stock: parseInt(formData.stock),
-          updatedAt: new Date().toISOString()
-        };
+    setIsSaving(true);
+
+    const payload = {
+      ...formData,
+      price: parseFloat(formData.price),
+      stock: parseInt(formData.stock),
+      saleStartsAt: formData.saleStartsAt ? new Date(formData.saleStartsAt).toISOString() : '',
+      saleEndsAt: formData.saleEndsAt ? new Date(formData.saleEndsAt).toISOString() : ''
+    };
+
+    try {
+      if (editingFlower) {
+        await axios.put(`${BASE_URL}/api/flower/${editingFlower.id}`, payload, { headers: authHeaders() });
         showSuccess(`"${formData.name}" updated successfully!`);
+      } else {
+        await axios.post(`${BASE_URL}/api/flower`, payload, { headers: authHeaders() });
+        showSuccess(`"${formData.name}" added successfully!`);
       }
-    } else {
-      // Add new flower
-      const newFlower = {
-        id: Date.now(), // Simple ID generation
-        ...formData,
-        price: parseFloat(formData.price),
-        stock: parseInt(formData.stock),
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      updatedFlowers.push(newFlower);
-      showSuccess(`"${formData.name}" added successfully!`);
+
+      resetForm();
+      loadFlowers();
+    } catch (error) {
+      console.error('Error saving flower:', error);
+      toast.error(error.response?.data?.message || 'Failed to save flower');
+    } finally {
+      setIsSaving(false);
     }
-    
-    setFlowers(updatedFlowers);
-    saveFlowers(updatedFlowers);
-    resetForm();
   };
 
   const resetForm = () => {
@@ -203,9 +142,15 @@ const AdminFlowers = () => {
       name: '',
       description: '',
       price: '',
+      originalPrice: '',
+      salePrice: '',
+      saleStartsAt: '',
+      saleEndsAt: '',
       category: 'roses',
       stock: '',
-      image: ''
+      image: '',
+      status: 'active',
+      featured: false
     });
     setEditingFlower(null);
     setShowModal(false);
@@ -215,22 +160,32 @@ const AdminFlowers = () => {
     setEditingFlower(flower);
     setFormData({
       name: flower.name,
-      description: flower.description,
+      description: flower.description || '',
       price: flower.price.toString(),
+      originalPrice: flower.originalPrice ?? '',
+      salePrice: flower.salePrice ?? '',
+      saleStartsAt: toLocalInput(flower.saleStartsAt),
+      saleEndsAt: toLocalInput(flower.saleEndsAt),
       category: flower.category,
       stock: flower.stock.toString(),
-      image: flower.image || ''
+      image: flower.image || '',
+      status: flower.status,
+      featured: flower.featured
     });
     setShowModal(true);
   };
 
-  const handleDelete = (id) => {
+  const handleDelete = async (id) => {
     const flowerToDelete = flowers.find(f => f.id === id);
-    if (window.confirm(`Are you sure you want to delete "${flowerToDelete?.name}"? This action cannot be undone.`)) {
-      const updatedFlowers = flowers.filter(flower => flower.id !== id);
-      setFlowers(updatedFlowers);
-      saveFlowers(updatedFlowers);
-      showSuccess(`"${flowerToDelete?.name}" deleted successfully!`);
+    if (window.confirm(`Are you sure you want to delete "${flowerToDelete?.name}"? It will be removed from the shop.`)) {
+      try {
+        await axios.delete(`${BASE_URL}/api/flower/${id}`, { headers: authHeaders() });
+        showSuccess(`"${flowerToDelete?.name}" deleted successfully!`);
+        loadFlowers();
+      } catch (error) {
+        console.error('Error deleting flower:', error);
+        toast.error(error.response?.data?.message || 'Failed to delete flower');
+      }
     }
   };
 
@@ -276,7 +231,7 @@ const AdminFlowers = () => {
               {/* Category Filter */}
               <select
                 value={selectedCategory}
-                onChange={(e) => setSelectedCategory(e.target.value)}
+                onChange={(e) => { setSelectedCategory(e.target.value); setPage(1); }}
                 className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
               >
                 {categories.map(category => (
@@ -301,11 +256,11 @@ const AdminFlowers = () => {
           <div className="bg-white rounded-xl shadow-lg overflow-hidden">
             <div className="p-6 border-b border-gray-200">
               <h2 className="text-xl font-semibold text-gray-800">
-                Flowers ({filteredFlowers.length})
+                Flowers ({pagination?.total ?? flowers.length})
               </h2>
             </div>
 
-            {filteredFlowers.length === 0 ? (
+            {flowers.length === 0 ? (
               <div className="p-12 text-center">
                 <div className="text-gray-400 mb-4">
                   <Search className="h-12 w-12 mx-auto" />
@@ -323,11 +278,12 @@ const AdminFlowers = () => {
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Category</th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Price</th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Stock</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Status</th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {filteredFlowers.map((flower) => (
+                    {flowers.map((flower) => (
                       <tr key={flower.id} className="hover:bg-gray-50">
                         <td className="py-4 px-6">
                           <img
@@ -338,7 +294,10 @@ const AdminFlowers = () => {
                         </td>
                         <td className="py-4 px-6">
                           <div>
-                            <p className="font-semibold text-gray-800">{flower.name}</p>
+                            <p className="font-semibold text-gray-800 flex items-center">
+                              {flower.name}
+                              {flower.featured && <Star className="h-4 w-4 ml-1 text-yellow-500 fill-current" />}
+                            </p>
                             <p className="text-sm text-gray-600 truncate max-w-xs">{flower.description}</p>
                           </div>
                         </td>
@@ -348,7 +307,17 @@ const AdminFlowers = () => {
                           </span>
                         </td>
                         <td className="py-4 px-6 font-semibold text-gray-800">
-                          ${flower.price.toFixed(2)}
+                          {flower.onSale ? (
+                            <>
+                              <span className="text-red-600">${flower.effectivePrice}</span>
+                              <span className="block text-sm text-gray-500 line-through">${parseFloat(flower.price).toFixed(2)}</span>
+                            </>
+                          ) : (
+                            `$${parseFloat(flower.price).toFixed(2)}`
+                          )}
+                          {!flower.onSale && flower.salePrice && (
+                            <span className="block text-xs font-normal text-gray-500">Sale ${flower.salePrice} scheduled</span>
+                          )}
                         </td>
                         <td className="py-4 px-6">
                           <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
@@ -359,6 +328,13 @@ const AdminFlowers = () => {
                             {flower.stock}
                           </span>
                         </td>
+                        <td className="py-4 px-6">
+                          <span className={`px-3 py-1 rounded-full text-sm font-semibold capitalize ${
+                            flower.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {flower.status}
+                          </span>
+                        </td>
                         <td className="py-4 px-6">
                           <div className="flex space-x-2">
                             <button
@@ -383,6 +359,27 @@ const AdminFlowers = () => {
                 </table>
               </div>
             )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="p-6 border-t border-gray-200 flex items-center justify-center space-x-4">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -483,6 +480,97 @@ const AdminFlowers = () => {
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Compare-at Price ($)
+                  </label>
+                  <input
+                    type="number"
+                    name="originalPrice"
+                    value={formData.originalPrice}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.01"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                    placeholder="Shown struck through"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sale Price ($)
+                  </label>
+                  <input
+                    type="number"
+                    name="salePrice"
+                    value={formData.salePrice}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.01"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                    placeholder="No sale"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sale Starts
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="saleStartsAt"
+                    value={formData.saleStartsAt}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sale Ends
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="saleEndsAt"
+                    value={formData.saleEndsAt}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Status
+                  </label>
+                  <select
+                    name="status"
+                    value={formData.status}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                  >
+                    <option value="active">Active</option>
+                    <option value="inactive">Inactive (hidden from shop)</option>
+                  </select>
+                </div>
+
+                <div className="flex items-center pt-8">
+                  <input
+                    type="checkbox"
+                    id="featured"
+                    name="featured"
+                    checked={formData.featured}
+                    onChange={handleInputChange}
+                    className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="featured" className="ml-2 text-sm font-medium text-gray-700">
+                    Featured on home page
+                  </label>
+                </div>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Image URL
@@ -510,9 +598,10 @@ const AdminFlowers = () => {
                 </button>
                 <button
                   type="submit"
-                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg hover:shadow-lg transform hover:scale-105 transition-all duration-200"
+                  disabled={isSaving}
+                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50"
                 >
-                  {editingFlower ? 'Update Flower' : 'Add Flower'}
+                  {isSaving ? 'Saving...' : editingFlower ? 'Update Flower' : 'Add Flower'}
                 </button>
               </div>
             </form>
@@ -1,130 +1,121 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import AdminSidebar from '../../components/admin/AdminSidebar';
-import { Search, Filter, Eye, Package, Truck, CheckCircle, Clock, Edit } from 'lucide-react';
+import { Search, Eye, Package, Truck, CheckCircle, Clock, Edit, CreditCard, XCircle, RotateCcw, Download, Gift, FileText, Printer } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const PAYMENT_METHOD_LABELS = {
+  khqr: 'KHQR',
+  cod: 'Cash on Delivery',
+  card: 'Card'
+};
 
 const AdminOrders = () => {
   const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [deliveryDate, setDeliveryDate] = useState('');
+  const [sortBy, setSortBy] = useState('date-desc');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkStatus, setBulkStatus] = useState('');
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [refundQuantities, setRefundQuantities] = useState({});
+  const [restock, setRestock] = useState(false);
+  const [refundReason, setRefundReason] = useState('');
+  const [refunding, setRefunding] = useState(false);
+  const [searchParams] = useSearchParams();
 
-  // Mock data - replace with API calls
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  // Wait for the admin to stop typing before searching
   useEffect(() => {
-    const mockOrders = [
-      {
-        id: '1001',
-        customerName: 'John Doe',
-        customerEmail: 'john@example.com',
-        date: '2024-01-15',
-        status: 'delivered',
-        total: 54.99,
-        items: [
-          { name: 'Red Rose Bouquet', quantity: 1, price: 29.99 },
-          { name: 'Sunflower Bundle', quantity: 1, price: 24.99 }
-        ],
-        shipping: {
-          address: '123 Main St, City, State 12345',
-          method: 'Standard Delivery',
-          trackingNumber: 'BS1001234567'
-        },
-        payment: {
-          method: 'Credit Card',
-          status: 'paid'
-        }
-      },
-      {
-        id: '1002',
-        customerName: 'Jane Smith',
-        customerEmail: 'jane@example.com',
-        date: '2024-01-10',
-        status: 'in_transit',
-        total: 39.99,
-        items: [
-          { name: 'Mixed Spring Flowers', quantity: 1, price: 34.99 }
-        ],
-        shipping: {
-          address: '456 Oak Ave, City, State 12345',
-          method: 'Express Delivery',
-          trackingNumber: 'BS1002234567'
-        },
-        payment: {
-          method: 'PayPal',
-          status: 'paid'
-        }
-      },
-      {
-        id: '1003',
-        customerName: 'Mike Johnson',
-        customerEmail: 'mike@example.com',
-        date: '2024-01-05',
-        status: 'processing',
-        total: 129.99,
-        items: [
-          { name: 'Wedding Bouquet Set', quantity: 3, price: 42.99 }
-        ],
-        shipping: {
-          address: '789 Pine Rd, City, State 12345',
-          method: 'Premium Delivery',
-          trackingNumber: 'BS1003234567'
-        },
-        payment: {
-          method: 'Credit Card',
-          status: 'paid'
-        }
-      },
-      {
-        id: '1004',
-        customerName: 'Sarah Wilson',
-        customerEmail: 'sarah@example.com',
-        date: '2024-01-20',
-        status: 'pending',
-        total: 67.98,
-        items: [
-          { name: 'Pink Tulip Bouquet', quantity: 2, price: 27.99 },
-          { name: 'White Lily Arrangement', quantity: 1, price: 42.99 }
-        ],
-        shipping: {
-          address: '321 Elm St, City, State 12345',
-          method: 'Standard Delivery',
-          trackingNumber: null
-        },
-        payment: {
-          method: 'Credit Card',
-          status: 'pending'
-        }
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const buildParams = useCallback(() => {
+    const [sort, order] = sortBy.split('-');
+    const params = { sort, order };
+    if (debouncedSearch) params.search = debouncedSearch;
+    if (statusFilter !== 'all') params.status = statusFilter;
+    if (fromDate) params.from = fromDate;
+    if (toDate) params.to = toDate;
+    if (deliveryDate) params.deliveryDate = deliveryDate;
+    return params;
+  }, [sortBy, debouncedSearch, statusFilter, fromDate, toDate, deliveryDate]);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/orders`, {
+        params: { ...buildParams(), page },
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setOrders(response.data.data);
+        setPagination(response.data.pagination);
+        setSelectedIds([]);
       }
-    ];
-    setOrders(mockOrders);
-  }, []);
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      toast.error(error.response?.data?.message || 'Failed to load orders');
+    }
+  }, [buildParams, page]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
 
   const statusOptions = [
     { value: 'all', label: 'All Orders' },
-    { value: 'pending', label: 'Pending' },
-    { value: 'processing', label: 'Processing' },
-    { value: 'in_transit', label: 'In Transit' },
+    { value: 'pending_payment', label: 'Pending Payment' },
+    { value: 'paid', label: 'Paid' },
+    { value: 'preparing', label: 'Preparing' },
+    { value: 'out_for_delivery', label: 'Out for Delivery' },
     { value: 'delivered', label: 'Delivered' },
-    { value: 'cancelled', label: 'Cancelled' }
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'refunded', label: 'Refunded' }
   ];
 
-  const filteredOrders = orders.filter(order => {
-    const matchesSearch = order.id.includes(searchTerm) ||
-                         order.customerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         order.customerEmail.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = statusFilter === 'all' || order.status === statusFilter;
-    return matchesSearch && matchesStatus;
-  });
+  // Refunds go through the refund form, not a plain status change
+  const updatableStatuses = statusOptions.slice(1).filter(option => option.value !== 'refunded');
+
+  const sortOptions = [
+    { value: 'date-desc', label: 'Newest First' },
+    { value: 'date-asc', label: 'Oldest First' },
+    { value: 'total-desc', label: 'Total: High to Low' },
+    { value: 'total-asc', label: 'Total: Low to High' },
+    { value: 'delivery-asc', label: 'Delivery: Soonest First' }
+  ];
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'pending':
+      case 'pending_payment':
         return <Clock className="h-5 w-5" />;
-      case 'processing':
+      case 'paid':
+        return <CreditCard className="h-5 w-5" />;
+      case 'preparing':
         return <Package className="h-5 w-5" />;
-      case 'in_transit':
+      case 'out_for_delivery':
         return <Truck className="h-5 w-5" />;
       case 'delivered':
         return <CheckCircle className="h-5 w-5" />;
+      case 'cancelled':
+        return <XCircle className="h-5 w-5" />;
+      case 'refunded':
+        return <RotateCcw className="h-5 w-5" />;
       default:
         return <Package className="h-5 w-5" />;
     }
@@ -132,16 +123,20 @@ const AdminOrders = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'pending':
+      case 'pending_payment':
         return 'text-orange-600 bg-orange-50';
-      case 'processing':
+      case 'paid':
+        return 'text-teal-600 bg-teal-50';
+      case 'preparing':
         return 'text-yellow-600 bg-yellow-50';
-      case 'in_transit':
+      case 'out_for_delivery':
         return 'text-blue-600 bg-blue-50';
       case 'delivered':
         return 'text-green-600 bg-green-50';
       case 'cancelled':
         return 'text-red-600 bg-red-50';
+      case 'refunded':
+        return 'text-purple-600 bg-purple-50';
       default:
         return 'text-gray-600 bg-gray-50';
     }
@@ -151,18 +146,197 @@ const AdminOrders = () => {
     return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
   };
 
-  const handleStatusUpdate = (orderId, newStatus) => {
-    setOrders(orders.map(order => 
-      order.id === orderId ? { ...order, status: newStatus } : order
-    ));
-    setShowModal(false);
+  const formatAddress = (address) => {
+    if (!address) return '';
+    return [address.street, address.commune, address.city, address.province, address.country]
+      .filter(Boolean)
+      .join(', ');
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  const handleStatusUpdate = async (orderId, newStatus) => {
+    try {
+      const response = await axios.patch(
+        `${BASE_URL}/api/admin/orders/${orderId}/status`,
+        { status: newStatus },
+        { headers: authHeaders() }
+      );
+
+      if (response.data.success) {
+        toast.success('Order status updated');
+        setShowModal(false);
+        fetchOrders();
+      }
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update order status');
+    }
+  };
+
+  const handleBulkUpdate = async () => {
+    if (!bulkStatus || selectedIds.length === 0) return;
+
+    try {
+      const response = await axios.patch(
+        `${BASE_URL}/api/admin/orders/status`,
+        { orderIds: selectedIds, status: bulkStatus },
+        { headers: authHeaders() }
+      );
+
+      if (response.data.success) {
+        const { updated, failed } = response.data.data;
+        if (updated.length > 0) toast.success(`${updated.length} order(s) updated`);
+        failed.forEach(failure => toast.error(`#${failure.id}: ${failure.message}`));
+        setBulkStatus('');
+        fetchOrders();
+      }
+    } catch (error) {
+      console.error('Error updating orders:', error);
+      toast.error(error.response?.data?.message || 'Failed to update orders');
+    }
   };
 
-  const viewOrderDetails = (order) => {
-    setSelectedOrder(order);
-    setShowModal(true);
+  const handleExport = async () => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/orders/export`, {
+        params: buildParams(),
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `orders-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting orders:', error);
+      toast.error('Failed to export orders');
+    }
+  };
+
+  // Printable documents: invoice, packing-slip or gift-card
+  const handleDocument = async (order, type) => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/orders/${order.id}/${type}`, {
+        headers: authHeaders(),
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${type}-${order.paymentReference || order.id}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(`Error downloading ${type}:`, error);
+      toast.error(`Failed to download ${type.replace('-', ' ')}`);
+    }
+  };
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds(selectedIds.includes(orderId)
+      ? selectedIds.filter(id => id !== orderId)
+      : [...selectedIds, orderId]);
   };
 
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === orders.length ? [] : orders.map(order => order.id));
+  };
+
+  const viewOrderDetails = async (order) => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/orders/${order.id}`, {
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setSelectedOrder(response.data.data);
+        setRefundQuantities({});
+        setRestock(false);
+        setRefundReason('');
+        setShowModal(true);
+      }
+    } catch (error) {
+      console.error('Error fetching order details:', error);
+      toast.error('Failed to load order details');
+    }
+  };
+
+  // QR codes on packing slips link here with ?order=<id>
+  useEffect(() => {
+    const orderId = searchParams.get('order');
+    if (orderId) {
+      viewOrderDetails({ id: orderId });
+    }
+  }, [searchParams]);
+
+  // Without quantities the whole remaining amount is refunded
+  const handleRefund = async (full) => {
+    const items = Object.entries(refundQuantities)
+      .filter(([, quantity]) => Number(quantity) > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId: Number(orderItemId), quantity: Number(quantity) }));
+
+    if (!full && items.length === 0) {
+      toast.error('Enter a quantity for at least one item');
+      return;
+    }
+
+    setRefunding(true);
+    try {
+      const response = await axios.post(
+        `${BASE_URL}/api/admin/orders/${selectedOrder.id}/refunds`,
+        { ...(full ? {} : { items }), restock: restock && selectedOrder.status !== 'cancelled', reason: refundReason || undefined },
+        { headers: authHeaders() }
+      );
+
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setSelectedOrder(response.data.data.order);
+        setRefundQuantities({});
+        setRefundReason('');
+        fetchOrders();
+      }
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      toast.error(error.response?.data?.message || 'Failed to refund order');
+      // A refund the provider did not confirm is kept as pending to retry
+      if (error.response?.status === 502) {
+        viewOrderDetails(selectedOrder);
+      }
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const handleRetryRefund = async (refundId) => {
+    setRefunding(true);
+    try {
+      const response = await axios.post(
+        `${BASE_URL}/api/admin/orders/${selectedOrder.id}/refunds/${refundId}/retry`,
+        {},
+        { headers: authHeaders() }
+      );
+
+      if (response.data.success) {
+        toast.success(response.data.message);
+        setSelectedOrder(response.data.data.order);
+        fetchOrders();
+      }
+    } catch (error) {
+      console.error('Error retrying refund:', error);
+      toast.error(error.response?.data?.message || 'Failed to retry refund');
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const canRefund = selectedOrder
+    && ['paid', 'partially_refunded'].includes(selectedOrder.paymentStatus);
+
   return (
     <div className="max-w-7xl mx-auto">
       <div className="mb-8">
@@ -179,7 +353,7 @@ const AdminOrders = () => {
         {/* Main Content */}
         <div className="lg:col-span-3">
           {/* Header Actions */}
-          <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8 space-y-4">
             <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
               {/* Search */}
               <div className="relative flex-1">
@@ -198,7 +372,7 @@ const AdminOrders = () => {
               {/* Status Filter */}
               <select
                 value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
+                onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
                 className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
               >
                 {statusOptions.map(option => (
@@ -207,18 +381,96 @@ const AdminOrders = () => {
                   </option>
                 ))}
               </select>
+
+              {/* Sort */}
+              <select
+                value={sortBy}
+                onChange={(e) => { setSortBy(e.target.value); setPage(1); }}
+                className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+              >
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
+              {/* Date Range */}
+              <div className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={fromDate}
+                  onChange={(e) => { setFromDate(e.target.value); setPage(1); }}
+                  className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+                <span className="text-gray-600">to</span>
+                <input
+                  type="date"
+                  value={toDate}
+                  onChange={(e) => { setToDate(e.target.value); setPage(1); }}
+                  className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+              </div>
+
+              {/* Delivery Date */}
+              <label className="flex items-center gap-2 text-gray-600">
+                Delivery on
+                <input
+                  type="date"
+                  value={deliveryDate}
+                  onChange={(e) => { setDeliveryDate(e.target.value); setPage(1); }}
+                  className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+              </label>
+
+              {/* Export */}
+              <button
+                onClick={handleExport}
+                className="bg-gradient-primary text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 flex items-center"
+              >
+                <Download className="h-5 w-5 mr-2" />
+                Export CSV
+              </button>
             </div>
           </div>
 
           {/* Orders Table */}
           <div className="bg-white rounded-xl shadow-lg overflow-hidden">
-            <div className="p-6 border-b border-gray-200">
+            <div className="p-6 border-b border-gray-200 flex flex-col lg:flex-row gap-4 items-center justify-between">
               <h2 className="text-xl font-semibold text-gray-800">
-                Orders ({filteredOrders.length})
+                Orders ({pagination?.total ?? orders.length})
               </h2>
+
+              {/* Bulk Status Update */}
+              {selectedIds.length > 0 && (
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-gray-600">{selectedIds.length} selected</span>
+                  <select
+                    value={bulkStatus}
+                    onChange={(e) => setBulkStatus(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                  >
+                    <option value="">Change status to...</option>
+                    {updatableStatuses.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleBulkUpdate}
+                    disabled={!bulkStatus}
+                    className="px-4 py-2 bg-baby-pink-500 text-white rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Apply
+                  </button>
+                </div>
+              )}
             </div>
 
-            {filteredOrders.length === 0 ? (
+            {orders.length === 0 ? (
               <div className="p-12 text-center">
                 <div className="text-gray-400 mb-4">
                   <Package className="h-12 w-12 mx-auto" />
@@ -231,6 +483,14 @@ const AdminOrders = () => {
                 <table className="w-full">
                   <thead className="bg-gray-50">
                     <tr>
+                      <th className="py-3 px-6">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.length === orders.length}
+                          onChange={toggleSelectAll}
+                          className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                        />
+                      </th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Order ID</th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Customer</th>
                       <th className="text-left py-3 px-6 font-semibold text-gray-700">Date</th>
@@ -241,30 +501,38 @@ const AdminOrders = () => {
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {filteredOrders.map((order) => (
+                    {orders.map((order) => (
                       <tr key={order.id} className="hover:bg-gray-50">
+                        <td className="py-4 px-6">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(order.id)}
+                            onChange={() => toggleSelected(order.id)}
+                            className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                          />
+                        </td>
                         <td className="py-4 px-6 font-medium text-baby-pink-600">
                           #{order.id}
                         </td>
                         <td className="py-4 px-6">
                           <div>
-                            <p className="font-semibold text-gray-800">{order.customerName}</p>
-                            <p className="text-sm text-gray-600">{order.customerEmail}</p>
+                            <p className="font-semibold text-gray-800">{order.user?.username}</p>
+                            <p className="text-sm text-gray-600">{order.user?.email}</p>
                           </div>
                         </td>
                         <td className="py-4 px-6 text-gray-600">
-                          {order.date}
+                          {formatDate(order.createdAt)}
                         </td>
                         <td className="py-4 px-6">
                           <p className="text-sm text-gray-800">
                             {order.items.length} item{order.items.length > 1 ? 's' : ''}
                           </p>
                           <p className="text-xs text-gray-600 truncate max-w-xs">
-                            {order.items.map(item => item.name).join(', ')}
+                            {order.items.map(item => item.flowerName).join(', ')}
                           </p>
                         </td>
                         <td className="py-4 px-6 font-semibold text-gray-800">
-                          ${order.total.toFixed(2)}
+                          ${parseFloat(order.total).toFixed(2)}
                         </td>
                         <td className="py-4 px-6">
                           <span className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-semibold ${getStatusColor(order.status)}`}>
@@ -296,6 +564,27 @@ const AdminOrders = () => {
                 </table>
               </div>
             )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="p-6 border-t border-gray-200 flex items-center justify-center space-x-4">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -309,21 +598,37 @@ const AdminOrders = () => {
                 <h2 className="text-2xl font-bold text-gray-800">
                   Order #{selectedOrder.id}
                 </h2>
-                <button
-                  onClick={() => setShowModal(false)}
-                  className="text-gray-400 hover:text-gray-600"
-                >
-                  ✕
-                </button>
+                <div className="flex items-center space-x-4">
+                  <button
+                    onClick={() => handleDocument(selectedOrder, 'invoice')}
+                    className="flex items-center text-sm font-semibold text-baby-pink-600 hover:text-baby-pink-700"
+                  >
+                    <FileText className="h-4 w-4 mr-1" />
+                    Invoice
+                  </button>
+                  <button
+                    onClick={() => handleDocument(selectedOrder, 'packing-slip')}
+                    className="flex items-center text-sm font-semibold text-baby-pink-600 hover:text-baby-pink-700"
+                  >
+                    <Printer className="h-4 w-4 mr-1" />
+                    Packing Slip
+                  </button>
+                  <button
+                    onClick={() => setShowModal(false)}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    ✕
+                  </button>
+                </div>
               </div>
             </div>
-            
+
             <div className="p-6 space-y-6">
               {/* Order Status Update */}
               <div className="bg-gray-50 rounded-lg p-4">
                 <h3 className="font-semibold text-gray-800 mb-3">Update Order Status</h3>
                 <div className="flex flex-wrap gap-2">
-                  {statusOptions.slice(1).map(status => (
+                  {updatableStatuses.map(status => (
                     <button
                       key={status.value}
                       onClick={() => handleStatusUpdate(selectedOrder.id, status.value)}
@@ -344,24 +649,52 @@ const AdminOrders = () => {
                 <div>
                   <h3 className="font-semibold text-gray-800 mb-3">Customer Information</h3>
                   <div className="space-y-2">
-                    <p><span className="font-medium">Name:</span> {selectedOrder.customerName}</p>
-                    <p><span className="font-medium">Email:</span> {selectedOrder.customerEmail}</p>
-                    <p><span className="font-medium">Order Date:</span> {selectedOrder.date}</p>
+                    <p><span className="font-medium">Name:</span> {selectedOrder.user?.username}</p>
+                    <p><span className="font-medium">Email:</span> {selectedOrder.user?.email}</p>
+                    <p><span className="font-medium">Order Date:</span> {formatDate(selectedOrder.createdAt)}</p>
                   </div>
                 </div>
 
                 <div>
                   <h3 className="font-semibold text-gray-800 mb-3">Shipping Information</h3>
                   <div className="space-y-2">
-                    <p><span className="font-medium">Address:</span> {selectedOrder.shipping.address}</p>
-                    <p><span className="font-medium">Method:</span> {selectedOrder.shipping.method}</p>
-                    {selectedOrder.shipping.trackingNumber && (
-                      <p><span className="font-medium">Tracking:</span> {selectedOrder.shipping.trackingNumber}</p>
+                    <p><span className="font-medium">Address:</span> {formatAddress(selectedOrder.shippingSnapshot)}</p>
+                    {selectedOrder.shippingSnapshot?.label && (
+                      <p><span className="font-medium">Label:</span> {selectedOrder.shippingSnapshot.label}</p>
+                    )}
+                    {selectedOrder.deliveryDate && (
+                      <p>
+                        <span className="font-medium">Delivery:</span> {new Date(`${selectedOrder.deliveryDate}T00:00:00`).toLocaleDateString()}
+                        {selectedOrder.deliveryWindow && `, ${selectedOrder.deliveryWindow.label} ${selectedOrder.deliveryWindow.startTime}–${selectedOrder.deliveryWindow.endTime}`}
+                      </p>
+                    )}
+                    {selectedOrder.recipientName && (
+                      <p><span className="font-medium">Recipient:</span> {selectedOrder.recipientName}, {selectedOrder.recipientPhone}</p>
                     )}
                   </div>
                 </div>
               </div>
 
+              {/* Gift Message */}
+              {selectedOrder.giftMessage && (
+                <div className="bg-baby-pink-50 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="font-semibold text-gray-800 flex items-center">
+                      <Gift className="h-4 w-4 mr-2 text-baby-pink-600" />
+                      Gift Message{selectedOrder.anonymousSender && <span className="ml-2 text-sm font-normal text-gray-600">(anonymous sender)</span>}
+                    </h3>
+                    <button
+                      onClick={() => handleDocument(selectedOrder, 'gift-card')}
+                      className="flex items-center text-sm font-semibold text-baby-pink-600 hover:text-baby-pink-700"
+                    >
+                      <Download className="h-4 w-4 mr-1" />
+                      Gift Card PDF
+                    </button>
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-line italic">{selectedOrder.giftMessage}</p>
+                </div>
+              )}
+
               {/* Order Items */}
               <div>
                 <h3 className="font-semibold text-gray-800 mb-3">Order Items</h3>
@@ -376,13 +709,13 @@ const AdminOrders = () => {
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-200">
-                      {selectedOrder.items.map((item, index) => (
-                        <tr key={index}>
-                          <td className="py-3 px-4 font-medium text-gray-800">{item.name}</td>
+                      {selectedOrder.items.map((item) => (
+                        <tr key={item.id}>
+                          <td className="py-3 px-4 font-medium text-gray-800">{item.flowerName}</td>
                           <td className="py-3 px-4 text-gray-600">{item.quantity}</td>
-                          <td className="py-3 px-4 text-gray-600">${item.price.toFixed(2)}</td>
+                          <td className="py-3 px-4 text-gray-600">${parseFloat(item.unitPrice).toFixed(2)}</td>
                           <td className="py-3 px-4 font-semibold text-gray-800">
-                            ${(item.price * item.quantity).toFixed(2)}
+                            ${parseFloat(item.lineTotal).toFixed(2)}
                           </td>
                         </tr>
                       ))}
@@ -393,7 +726,7 @@ const AdminOrders = () => {
                           Total:
                         </td>
                         <td className="py-3 px-4 font-bold text-baby-pink-600 text-lg">
-                          ${selectedOrder.total.toFixed(2)}
+                          ${parseFloat(selectedOrder.total).toFixed(2)}
                         </td>
                       </tr>
                     </tfoot>
@@ -407,25 +740,167 @@ const AdminOrders = () => {
                 <div className="bg-gray-50 rounded-lg p-4">
                   <div className="flex justify-between items-center">
                     <div>
-                      <p><span className="font-medium">Method:</span> {selectedOrder.payment.method}</p>
-                      <p><span className="font-medium">Status:</span> 
+                      <p><span className="font-medium">Status:</span>
                         <span className={`ml-2 px-2 py-1 rounded-full text-xs font-semibold ${
-                          selectedOrder.payment.status === 'paid' 
-                            ? 'bg-green-100 text-green-800' 
-                            : 'bg-yellow-100 text-yellow-800'
+                          selectedOrder.paymentStatus === 'paid'
+                            ? 'bg-green-100 text-green-800'
+                            : selectedOrder.paymentStatus.includes('refunded')
+                              ? 'bg-purple-100 text-purple-800'
+                              : 'bg-yellow-100 text-yellow-800'
                         }`}>
-                          {selectedOrder.payment.status.toUpperCase()}
+                          {getStatusText(selectedOrder.paymentStatus).toUpperCase()}
                         </span>
                       </p>
+                      <p className="mt-2"><span className="font-medium">Method:</span>
+                        <span className="ml-2">{PAYMENT_METHOD_LABELS[selectedOrder.paymentMethod] || selectedOrder.paymentMethod}</span>
+                      </p>
+                      {selectedOrder.coupons?.length > 0 && (
+                        <p className="mt-2"><span className="font-medium">Coupons:</span>
+                          <span className="ml-2">
+                            {selectedOrder.coupons.map(coupon => (
+                              coupon.type === 'free_shipping'
+                                ? `${coupon.code} (free shipping)`
+                                : `${coupon.code} (-$${parseFloat(coupon.amount).toFixed(2)})`
+                            )).join(', ')}
+                          </span>
+                        </p>
+                      )}
                     </div>
                     <div className="text-right">
                       <p className="text-2xl font-bold text-baby-pink-600">
-                        ${selectedOrder.total.toFixed(2)}
+                        ${parseFloat(selectedOrder.total).toFixed(2)}
                       </p>
+                      {parseFloat(selectedOrder.refundedAmount) > 0 && (
+                        <>
+                          <p className="text-sm text-purple-700">
+                            Refunded: -${parseFloat(selectedOrder.refundedAmount).toFixed(2)}
+                          </p>
+                          <p className="text-sm font-semibold text-gray-800">
+                            Net paid: ${selectedOrder.netPaid.toFixed(2)}
+                          </p>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
               </div>
+
+              {/* Refunds */}
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-3">Refunds</h3>
+                {selectedOrder.refunds?.length > 0 ? (
+                  <ul className="space-y-2 mb-4">
+                    {selectedOrder.refunds.map(refund => (
+                      <li key={refund.id} className="bg-purple-50 rounded-lg p-3 text-sm">
+                        <div className="flex justify-between">
+                          <span className="font-semibold text-purple-800">
+                            ${parseFloat(refund.amount).toFixed(2)}
+                            {refund.manual && <span className="ml-2 text-xs font-normal text-purple-600">(manual)</span>}
+                            {refund.restocked && <span className="ml-2 text-xs font-normal text-purple-600">(restocked)</span>}
+                            {refund.status === 'pending' && <span className="ml-2 text-xs font-normal text-red-600">(not paid out)</span>}
+                          </span>
+                          <span className="text-gray-600">{new Date(refund.createdAt).toLocaleString()}</span>
+                        </div>
+                        {refund.status === 'pending' && (
+                          <div className="flex items-center justify-between">
+                            <p className="text-red-600">{refund.failureReason || 'Waiting for the payment provider'}</p>
+                            <button
+                              onClick={() => handleRetryRefund(refund.id)}
+                              disabled={refunding}
+                              className="px-3 py-1 bg-white border border-purple-300 text-purple-700 rounded-lg text-xs font-semibold hover:bg-purple-50 disabled:opacity-50"
+                            >
+                              Retry
+                            </button>
+                          </div>
+                        )}
+                        {refund.lines.length > 0 && (
+                          <p className="text-gray-700">
+                            {refund.lines.map(line => `${line.quantity}x ${line.flowerName}`).join(', ')}
+                          </p>
+                        )}
+                        {refund.reason && <p className="text-gray-500">{refund.reason}</p>}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500 mb-4">No refunds on this order.</p>
+                )}
+
+                {canRefund && (
+                  <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+                    {selectedOrder.items
+                      .filter(item => item.quantity > item.refundedQuantity)
+                      .map(item => (
+                        <div key={item.id} className="flex items-center justify-between text-sm">
+                          <span className="text-gray-800">
+                            {item.flowerName}
+                            <span className="text-gray-500"> ({item.quantity - item.refundedQuantity} refundable)</span>
+                          </span>
+                          <input
+                            type="number"
+                            min="0"
+                            max={item.quantity - item.refundedQuantity}
+                            value={refundQuantities[item.id] || ''}
+                            onChange={(e) => setRefundQuantities({ ...refundQuantities, [item.id]: e.target.value })}
+                            placeholder="0"
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+                          />
+                        </div>
+                      ))}
+                    <input
+                      type="text"
+                      value={refundReason}
+                      onChange={(e) => setRefundReason(e.target.value)}
+                      placeholder="Reason (e.g. wilted on arrival)"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                    />
+                    {/* Stock was already released when the order was cancelled */}
+                    {selectedOrder.status !== 'cancelled' && (
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={restock}
+                          onChange={(e) => setRestock(e.target.checked)}
+                          className="mr-2"
+                        />
+                        Put refunded items back into stock
+                      </label>
+                    )}
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleRefund(false)}
+                        disabled={refunding}
+                        className="px-4 py-2 bg-white border border-purple-300 text-purple-700 rounded-lg text-sm font-semibold hover:bg-purple-50 disabled:opacity-50"
+                      >
+                        Refund Selected Items
+                      </button>
+                      <button
+                        onClick={() => handleRefund(true)}
+                        disabled={refunding}
+                        className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-semibold hover:bg-purple-700 disabled:opacity-50"
+                      >
+                        Refund Remaining ${(parseFloat(selectedOrder.total) - parseFloat(selectedOrder.refundedAmount)).toFixed(2)}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Status History */}
+              <div>
+                <h3 className="font-semibold text-gray-800 mb-3">Status History</h3>
+                <ol className="space-y-2">
+                  {selectedOrder.timeline.map((event, index) => (
+                    <li key={index} className="flex justify-between text-sm">
+                      <span className="font-medium text-gray-800">
+                        {getStatusText(event.status)}
+                        {event.note && <span className="text-gray-500 font-normal"> – {event.note}</span>}
+                      </span>
+                      <span className="text-gray-600">{new Date(event.at).toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
             </div>
           </div>
         </div>
@@ -434,4 +909,4 @@ const AdminOrders = () => {
   );
 };
 
-export default AdminOrders;
\ No newline at end of file
+export default AdminOrders;
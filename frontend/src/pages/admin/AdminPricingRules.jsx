@@ -0,0 +1,572 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AdminSidebar from '../../components/admin/AdminSidebar';
+import { Plus, Edit, Trash2, Search, CalendarDays } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const RULE_TYPE_LABELS = {
+  percentage: 'Percentage change',
+  fixed: 'Fixed surcharge'
+};
+
+const categories = [
+  { value: 'roses', label: 'Roses' },
+  { value: 'sunflowers', label: 'Sunflowers' },
+  { value: 'lilies', label: 'Lilies' },
+  { value: 'tulips', label: 'Tulips' },
+  { value: 'orchids', label: 'Orchids' },
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'bouquet', label: 'Bouquet' },
+  { value: 'arrangement', label: 'Arrangement' },
+  { value: 'plant', label: 'Plant' },
+  { value: 'gift_basket', label: 'Gift Basket' },
+  { value: 'seasonal', label: 'Seasonal' },
+  { value: 'wedding', label: 'Wedding' },
+  { value: 'sympathy', label: 'Sympathy' }
+];
+
+const emptyForm = {
+  name: '',
+  type: 'percentage',
+  value: '',
+  startsAt: '',
+  endsAt: '',
+  categories: [],
+  active: true
+};
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatValue = (rule) => {
+  const value = parseFloat(rule.value);
+  if (rule.type === 'percentage') return `${value > 0 ? '+' : ''}${value}%`;
+  return `+$${value.toFixed(2)}`;
+};
+
+const formatWindow = (rule) =>
+  `${new Date(rule.startsAt).toLocaleString()} – ${new Date(rule.endsAt).toLocaleString()}`;
+
+const AdminPricingRules = () => {
+  const [rules, setRules] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [previewDate, setPreviewDate] = useState(toLocalInput(new Date()));
+  const [preview, setPreview] = useState(null);
+
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const params = { page };
+      if (debouncedSearch) params.search = debouncedSearch;
+
+      const response = await axios.get(`${BASE_URL}/api/admin/pricing-rules`, {
+        params,
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setRules(response.data.data);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('Error loading pricing rules:', error);
+      toast.error(error.response?.data?.message || 'Failed to load pricing rules');
+    }
+  }, [page, debouncedSearch]);
+
+  const loadPreview = useCallback(async () => {
+    if (!previewDate) return;
+
+    try {
+      const response = await axios.get(`${BASE_URL}/api/admin/pricing-rules/preview`, {
+        params: { date: new Date(previewDate).toISOString(), sort: 'name', limit: 100 },
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setPreview(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading price preview:', error);
+      toast.error(error.response?.data?.message || 'Failed to load price preview');
+    }
+  }, [previewDate]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const toggleCategory = (category) => {
+    setFormData({
+      ...formData,
+      categories: formData.categories.includes(category)
+        ? formData.categories.filter(c => c !== category)
+        : [...formData.categories, category]
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    const payload = {
+      ...formData,
+      value: parseFloat(formData.value),
+      startsAt: new Date(formData.startsAt).toISOString(),
+      endsAt: new Date(formData.endsAt).toISOString()
+    };
+
+    try {
+      if (editingRule) {
+        await axios.put(`${BASE_URL}/api/admin/pricing-rules/${editingRule.id}`, payload, { headers: authHeaders() });
+        showSuccess(`"${formData.name}" updated successfully!`);
+      } else {
+        await axios.post(`${BASE_URL}/api/admin/pricing-rules`, payload, { headers: authHeaders() });
+        showSuccess(`"${formData.name}" added successfully!`);
+      }
+
+      resetForm();
+      loadRules();
+      loadPreview();
+    } catch (error) {
+      console.error('Error saving pricing rule:', error);
+      toast.error(error.response?.data?.message || 'Failed to save pricing rule');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingRule(null);
+    setShowModal(false);
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      type: rule.type,
+      value: parseFloat(rule.value).toString(),
+      startsAt: toLocalInput(rule.startsAt),
+      endsAt: toLocalInput(rule.endsAt),
+      categories: rule.categories,
+      active: rule.active
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (rule) => {
+    if (window.confirm(`Are you sure you want to delete "${rule.name}"? Prices will no longer be adjusted by it.`)) {
+      try {
+        await axios.delete(`${BASE_URL}/api/admin/pricing-rules/${rule.id}`, { headers: authHeaders() });
+        showSuccess(`"${rule.name}" deleted successfully!`);
+        loadRules();
+        loadPreview();
+      } catch (error) {
+        console.error('Error deleting pricing rule:', error);
+        toast.error(error.response?.data?.message || 'Failed to delete pricing rule');
+      }
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500';
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">Pricing Rules</h1>
+        <p className="text-gray-600">Seasonal and holiday price adjustments</p>
+      </div>
+
+      {/* Success Message */}
+      {successMessage && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700 animate-fadeIn">
+          ✅ {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Sidebar */}
+        <div className="lg:col-span-1">
+          <AdminSidebar />
+        </div>
+
+        {/* Main Content */}
+        <div className="lg:col-span-3">
+          {/* Header Actions */}
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+            <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
+              {/* Search */}
+              <div className="relative flex-1">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Search className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search rules..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+              </div>
+
+              {/* Add Button */}
+              <button
+                onClick={() => setShowModal(true)}
+                className="bg-gradient-primary text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 flex items-center"
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Add Rule
+              </button>
+            </div>
+          </div>
+
+          {/* Rules Table */}
+          <div className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-xl font-semibold text-gray-800">
+                Rules ({pagination?.total ?? rules.length})
+              </h2>
+            </div>
+
+            {rules.length === 0 ? (
+              <div className="p-12 text-center">
+                <div className="text-gray-400 mb-4">
+                  <Search className="h-12 w-12 mx-auto" />
+                </div>
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">No pricing rules found</h3>
+                <p className="text-gray-600">Try adjusting your search or add a new rule</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Rule</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Adjustment</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Applies</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Status</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {rules.map((rule) => (
+                      <tr key={rule.id} className="hover:bg-gray-50">
+                        <td className="py-4 px-6">
+                          <p className="font-semibold text-gray-800">{rule.name}</p>
+                          <p className="text-sm text-gray-600 capitalize">
+                            {rule.categories.length > 0 ? rule.categories.join(', ').replace(/_/g, ' ') : 'All categories'}
+                          </p>
+                        </td>
+                        <td className="py-4 px-6 font-semibold text-gray-800">
+                          {formatValue(rule)}
+                        </td>
+                        <td className="py-4 px-6 text-sm text-gray-600">
+                          {formatWindow(rule)}
+                        </td>
+                        <td className="py-4 px-6">
+                          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
+                            rule.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}>
+                            {rule.active ? 'Active' : 'Inactive'}
+                          </span>
+                        </td>
+                        <td className="py-4 px-6">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => handleEdit(rule)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(rule)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="p-6 border-t border-gray-200 flex items-center justify-center space-x-4">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Price Preview */}
+          <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+            <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row gap-4 md:items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                <CalendarDays className="h-5 w-5 mr-2 text-baby-pink-500" />
+                Shop Prices On
+              </h2>
+              <input
+                type="datetime-local"
+                value={previewDate}
+                onChange={(e) => setPreviewDate(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+              />
+            </div>
+
+            {preview && (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Flower</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Regular</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Adjusted By</th>
+                      <th className="text-left py-3 px-6 font-semibold text-gray-700">Price</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {preview.flowers.map((flower) => (
+                      <tr key={flower.id} className="hover:bg-gray-50">
+                        <td className="py-3 px-6">
+                          <p className="font-semibold text-gray-800">{flower.name}</p>
+                          <p className="text-sm text-gray-600 capitalize">{flower.category.replace(/_/g, ' ')}</p>
+                        </td>
+                        <td className="py-3 px-6 text-gray-600">${parseFloat(flower.regularPrice).toFixed(2)}</td>
+                        <td className="py-3 px-6 text-sm text-gray-600">
+                          {flower.onSale && <p>Sale ${parseFloat(flower.salePrice).toFixed(2)}</p>}
+                          {flower.rules.map((rule) => (
+                            <p key={rule.id}>{rule.name} ({formatValue(rule)})</p>
+                          ))}
+                          {!flower.onSale && flower.rules.length === 0 && '—'}
+                        </td>
+                        <td className={`py-3 px-6 font-semibold ${
+                          flower.price !== parseFloat(flower.regularPrice).toFixed(2) ? 'text-baby-pink-600' : 'text-gray-800'
+                        }`}>
+                          ${flower.price}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl max-w-2xl w-full max-h-screen overflow-y-auto">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-2xl font-bold text-gray-800">
+                {editingRule ? 'Edit Pricing Rule' : 'Add New Pricing Rule'}
+              </h2>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6 space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  required
+                  className={inputClass}
+                  placeholder="e.g. Valentine's Day roses"
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Type *
+                  </label>
+                  <select
+                    name="type"
+                    value={formData.type}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                  >
+                    {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {formData.type === 'percentage' ? 'Percent *' : 'Surcharge ($) *'}
+                  </label>
+                  <input
+                    type="number"
+                    name="value"
+                    value={formData.value}
+                    onChange={handleInputChange}
+                    required
+                    min={formData.type === 'percentage' ? '-99.99' : '0.01'}
+                    step="0.01"
+                    className={inputClass}
+                    placeholder={formData.type === 'percentage' ? 'e.g. 40, or -10 for a discount' : 'e.g. 2.50'}
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Starts *
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="startsAt"
+                    value={formData.startsAt}
+                    onChange={handleInputChange}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Ends *
+                  </label>
+                  <input
+                    type="datetime-local"
+                    name="endsAt"
+                    value={formData.endsAt}
+                    onChange={handleInputChange}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Only for Categories
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {categories.map(category => (
+                    <button
+                      type="button"
+                      key={category.value}
+                      onClick={() => toggleCategory(category.value)}
+                      className={`px-3 py-1 rounded-full text-sm font-semibold border transition-colors ${
+                        formData.categories.includes(category.value)
+                          ? 'bg-baby-pink-100 text-baby-pink-800 border-baby-pink-300'
+                          : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {category.label}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  Leave empty to apply to every category
+                </p>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="active"
+                  name="active"
+                  checked={formData.active}
+                  onChange={handleInputChange}
+                  className="h-4 w-4 text-baby-pink-600 focus:ring-baby-pink-500 border-gray-300 rounded"
+                />
+                <label htmlFor="active" className="ml-2 text-sm font-medium text-gray-700">
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : editingRule ? 'Update Rule' : 'Add Rule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPricingRules;
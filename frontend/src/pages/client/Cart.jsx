@@ -1,9 +1,8 @@
 import React from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { Minus, Plus, X, ShoppingBag, ArrowLeft } from 'lucide-react';
+import { Minus, Plus, X, ShoppingBag, ArrowLeft, Tag, Clock } from 'lucide-react';
 import { useState, useEffect } from 'react';
 import axios from 'axios';
-import { jwtDecode } from 'jwt-decode';
 import { toast } from 'react-toastify';
 
 const BASE_URL = 'http://localhost:3000';
@@ -12,6 +11,12 @@ const Cart = () => {
   const [cartItems, setCartItems] = useState([]);
   const [selectedAddress, setSelectedAddress] = useState(null);
   const [shippingAddress, setShippingAddress] = useState([]);
+  const [quote, setQuote] = useState(null);
+  const [couponCodes, setCouponCodes] = useState([]);
+  const [couponInput, setCouponInput] = useState('');
+  const [deliveryDays, setDeliveryDays] = useState([]);
+  const [deliveryDate, setDeliveryDate] = useState('');
+  const [deliverySlot, setDeliverySlot] = useState(null);
   const navigate = useNavigate();
 
   const handleSelect = (address) => {
@@ -21,16 +26,15 @@ const Cart = () => {
   useEffect(() => {
     const fetchData = async () => {
       const token = localStorage.getItem('accessToken');
-      const decode = jwtDecode(token);
-      const userId = decode.userId
+      const headers = { Authorization: `Bearer ${token}` };
 
-      const cartItems = await axios.get(`${BASE_URL}/api/cart/${userId}`);
+      const cartItems = await axios.get(`${BASE_URL}/api/cart`, { headers });
       console.log(cartItems.data.data);
       if (cartItems.data.success) {
         setCartItems(cartItems.data.data);
       }
 
-      const shippingAddressLabels = await axios.get(`${BASE_URL}/api/shipping-addresses/address-labels/${userId}`);
+      const shippingAddressLabels = await axios.get(`${BASE_URL}/api/shipping-addresses/address-labels`, { headers });
       console.log(shippingAddressLabels);
       if (shippingAddressLabels.data.success) {
         setShippingAddress(shippingAddressLabels.data.data);
@@ -40,6 +44,102 @@ const Cart = () => {
     fetchData();
   }, []);
 
+  const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('accessToken')}` });
+
+  const requestQuote = (codes) => axios.post(
+    `${BASE_URL}/api/cart/quote`,
+    { shippingAddressId: selectedAddress?.id, couponCodes: codes },
+    { headers: authHeaders() }
+  );
+
+  // Totals are always priced by the server
+  useEffect(() => {
+    if (cartItems.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    const fetchQuote = async () => {
+      try {
+        const response = await requestQuote(couponCodes);
+
+        if (response.data.success) {
+          setQuote(response.data.data);
+        }
+      } catch (error) {
+        console.error('Error fetching quote:', error);
+        toast.error(error.response?.data?.message || 'Failed to calculate totals');
+        // A cart change can make a code stop applying, price without codes instead
+        if (couponCodes.length > 0) {
+          setCouponCodes([]);
+        } else {
+          setQuote(null);
+        }
+      }
+    };
+
+    fetchQuote();
+  }, [cartItems, selectedAddress, couponCodes]);
+
+  // Delivery dates and slots depend on the province of the address
+  useEffect(() => {
+    setDeliverySlot(null);
+    if (!selectedAddress) {
+      setDeliveryDays([]);
+      return;
+    }
+
+    const fetchDeliverySlots = async () => {
+      try {
+        const response = await axios.get(`${BASE_URL}/api/delivery/slots`, {
+          params: { province: selectedAddress.province, days: 14 }
+        });
+
+        if (response.data.success) {
+          const days = response.data.data.filter(day => day.slots.length > 0);
+          setDeliveryDays(days);
+          setDeliveryDate(days.find(day => day.slots.some(slot => slot.available))?.date || '');
+        }
+      } catch (error) {
+        console.error('Error fetching delivery slots:', error);
+        setDeliveryDays([]);
+      }
+    };
+
+    fetchDeliverySlots();
+  }, [selectedAddress]);
+
+  const selectedDay = deliveryDays.find(day => day.date === deliveryDate);
+
+  const formatDeliveryDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  const applyCoupon = async (e) => {
+    e.preventDefault();
+    const code = couponInput.trim().toUpperCase();
+    if (!code || couponCodes.includes(code)) return;
+
+    try {
+      const response = await requestQuote([...couponCodes, code]);
+
+      if (response.data.success) {
+        setCouponCodes([...couponCodes, code]);
+        setCouponInput('');
+        toast.success(`Coupon ${code} applied`);
+      }
+    } catch (error) {
+      console.error('Error applying coupon:', error);
+      toast.error(error.response?.data?.message || 'Failed to apply coupon');
+    }
+  };
+
+  const removeCoupon = (code) => {
+    setCouponCodes(couponCodes.filter(c => c !== code));
+  };
+
   const handleQuantityChange = (flowerId, newQuantity) => {
     if (newQuantity < 1) {
       removeFromCart(flowerId);
@@ -48,30 +148,67 @@ const Cart = () => {
     }
   };
 
-  const updateQuantity = (flowerId, newQuantity) => {
-    setCartItems((prevItems) => 
-      prevItems.map((item) => 
-        item.flowerId === flowerId ? { ...item, quantity: newQuantity } : item
-      )
-    );
+  const updateQuantity = async (flowerId, newQuantity) => {
+    try {
+      const response = await axios.patch(
+        `${BASE_URL}/api/cart/${flowerId}`,
+        { quantity: newQuantity },
+        { headers: authHeaders() }
+      );
+
+      if (response.data.success) {
+        setCartItems((prevItems) =>
+          prevItems.map((item) =>
+            item.flowerId === flowerId ? { ...item, quantity: newQuantity } : item
+          )
+        );
+      }
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      toast.error(error.response?.data?.message || 'Failed to update quantity');
+    }
   };
 
-  const getTotalPrice = () => {
-    let price = 0;
-    cartItems.map((item) => 
-      price += item.unit_price * item.quantity
-    );
-    return price;
+  const removeFromCart = async (flowerId) => {
+    try {
+      const response = await axios.delete(`${BASE_URL}/api/cart/${flowerId}`, {
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setCartItems((prevItems) => prevItems.filter((item) => item.flowerId !== flowerId));
+      }
+    } catch (error) {
+      console.error('Error removing cart item:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove item');
+    }
+  };
+
+  const clearCart = async () => {
+    try {
+      const response = await axios.delete(`${BASE_URL}/api/cart`, {
+        headers: authHeaders()
+      });
+
+      if (response.data.success) {
+        setCartItems([]);
+      }
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      toast.error(error.response?.data?.message || 'Failed to clear cart');
+    }
   };
 
   const handleCheckout = () => {
-    // TODO: Implement checkout logic
-    // alert('Checkout functionality will be implemented with backend integration');
-    // clearCart();
     if (!selectedAddress) {
       toast.error('Please select a shipping address');
       return;
     }
+
+    if (deliveryDays.length > 0 && !deliverySlot) {
+      toast.error('Please choose a delivery date and time');
+      return;
+    }
     
     const checkoutData = {
       shippingAddress: selectedAddress,
@@ -85,7 +222,9 @@ const Cart = () => {
           // Include any other flower details needed in checkout
         }
       })),
-      totalPrice: getTotalPrice()
+      quote,
+      couponCodes,
+      delivery: deliverySlot && { date: deliveryDate, ...deliverySlot }
     };
 
     navigate('/checkout', { state: checkoutData });
@@ -127,7 +266,7 @@ const Cart = () => {
         {/* Cart Items */}
         <div className="lg:col-span-2">
           <div className="bg-white rounded-xl shadow-lg overflow-hidden">
-            {/* <div className="p-6 border-b border-gray-200">
+            <div className="p-6 border-b border-gray-200">
               <div className="flex items-center justify-between">
                 <h2 className="text-xl font-semibold text-gray-800">Cart Items ({cartItems.length})</h2>
                 <button
@@ -137,11 +276,11 @@ const Cart = () => {
                   Clear All
                 </button>
               </div>
-            </div> */}
+            </div>
 
             <div className="divide-y divide-gray-200">
               {cartItems.map((item) => (
-                <div key={item.id} className="p-6">
+                <div key={item.flowerId} className="p-6">
                   <div className="flex items-center space-x-4">
                     <img
                       src={item.flower.image || `https://images.pexels.com/photos/1164985/pexels-photo-1164985.jpeg?auto=compress&cs=tinysrgb&w=200`}
@@ -180,7 +319,7 @@ const Cart = () => {
                     </div>
 
                     <button
-                      onClick={() => removeFromCart(item.id)}
+                      onClick={() => removeFromCart(item.flowerId)}
                       className="p-2 text-red-600 hover:bg-red-50 rounded-full transition-colors"
                     >
                       <X className="h-5 w-5" />
@@ -219,6 +358,52 @@ const Cart = () => {
             </div>
           </div>
 
+          {deliveryDays.length > 0 && (
+            <div className="lg:col-span-1">
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-6 flex items-center">
+                  <Clock className="h-5 w-5 mr-2" />
+                  Delivery Time
+                </h2>
+
+                <select
+                  value={deliveryDate}
+                  onChange={(e) => { setDeliveryDate(e.target.value); setDeliverySlot(null); }}
+                  className="w-full px-3 py-2 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                >
+                  {deliveryDays.map((day) => (
+                    <option key={day.date} value={day.date} disabled={!day.slots.some(slot => slot.available)}>
+                      {formatDeliveryDate(day.date)}
+                    </option>
+                  ))}
+                </select>
+
+                <div className="space-y-2">
+                  {selectedDay?.slots.map((slot) => (
+                    <button
+                      key={slot.id}
+                      type="button"
+                      disabled={!slot.available}
+                      title={slot.reason || ''}
+                      onClick={() => setDeliverySlot(slot)}
+                      className={`w-full flex justify-between p-3 border rounded-lg text-left transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed ${
+                        deliverySlot?.id === slot.id
+                          ? "border-blue-500 bg-blue-50"
+                          : "border-gray-300 hover:border-blue-400"
+                      }`}
+                    >
+                      <span className="font-semibold text-gray-800">{slot.label}</span>
+                      <span className="text-sm text-gray-500">
+                        {slot.startTime}–{slot.endTime}
+                        {slot.available ? ` · ${slot.remaining} left` : (slot.remaining === 0 ? ' · Full' : ' · Closed')}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="lg:col-span-1">
             <div className="bg-white rounded-xl shadow-lg p-6 sticky top-6">
               <h2 className="text-xl font-semibold text-gray-800 mb-6">Order Summary</h2>
@@ -226,27 +411,68 @@ const Cart = () => {
               <div className="space-y-4 mb-6">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Subtotal</span>
-                  <span className="font-semibold">${getTotalPrice().toFixed(2)}</span>
+                  <span className="font-semibold">{quote ? `$${quote.subtotal.toFixed(2)}` : '—'}</span>
                 </div>
+                {quote?.coupons.map((coupon) => (
+                  <div key={coupon.code} className="flex justify-between text-green-700">
+                    <span className="flex items-center">
+                      <Tag className="h-4 w-4 mr-1" />
+                      {coupon.code}
+                      <button
+                        onClick={() => removeCoupon(coupon.code)}
+                        className="ml-1 p-0.5 text-gray-400 hover:text-red-600"
+                        title="Remove coupon"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </span>
+                    <span className="font-semibold">
+                      {coupon.type === 'free_shipping' ? 'Free shipping' : `-$${coupon.amount.toFixed(2)}`}
+                    </span>
+                  </div>
+                ))}
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Shipping</span>
-                  <span className="font-semibold">$5.99</span>
+                  <span className="text-gray-600">
+                    Shipping{quote?.shipping && <span className="text-sm"> ({quote.shipping.label})</span>}
+                  </span>
+                  <span className="font-semibold">
+                    {quote?.shipping
+                      ? (quote.shipping.fee === 0 ? 'Free' : `$${quote.shipping.fee.toFixed(2)}`)
+                      : <span className="text-sm text-gray-500">Select an address</span>}
+                  </span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Tax</span>
-                  <span className="font-semibold">${(getTotalPrice() * 0.08).toFixed(2)}</span>
+                  <span className="font-semibold">{quote ? `$${quote.tax.toFixed(2)}` : '—'}</span>
                 </div>
                 
                 <div className="border-t border-gray-200 pt-4">
                   <div className="flex justify-between text-lg font-bold">
                     <span>Total</span>
                     <span className="text-baby-pink-600">
-                      ${(getTotalPrice() + 5.99 + (getTotalPrice() * 0.08)).toFixed(2)}
+                      {quote ? `$${quote.total.toFixed(2)}` : '—'}
                     </span>
                   </div>
                 </div>
               </div>
 
+              <form onSubmit={applyCoupon} className="flex gap-2 mb-6">
+                <input
+                  type="text"
+                  value={couponInput}
+                  onChange={(e) => setCouponInput(e.target.value)}
+                  placeholder="Coupon code"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                />
+                <button
+                  type="submit"
+                  disabled={!couponInput.trim()}
+                  className="px-4 py-2 border border-baby-pink-500 text-baby-pink-600 rounded-lg font-semibold hover:bg-baby-pink-50 disabled:opacity-50"
+                >
+                  Apply
+                </button>
+              </form>
+
               <button
                 onClick={handleCheckout}
                 className="w-full bg-gradient-primary text-white py-4 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200"
@@ -254,11 +480,13 @@ const Cart = () => {
                 Proceed to Checkout
               </button>
 
-              {/* <div className="mt-4 text-center">
-                <p className="text-sm text-gray-600">
-                  Free shipping on orders over $75
-                </p>
-              </div> */}
+              {quote?.shipping?.freeShippingThreshold && (
+                <div className="mt-4 text-center">
+                  <p className="text-sm text-gray-600">
+                    Free shipping on orders over ${quote.shipping.freeShippingThreshold}
+                  </p>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -1,19 +1,253 @@
-import React from 'react';
-import { useLocation, Link } from 'react-router-dom';
-import { Check, ArrowLeft } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate, Link } from 'react-router-dom';
+import { Check, ArrowLeft, Clock, CreditCard, Gift, MailWarning } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
 
 const BASE_URL = 'http://localhost:3000';
+const PAYMENT_POLL_INTERVAL_MS = 3000;
+const GIFT_MESSAGE_MAX_LENGTH = 300;
+const GIFT_MESSAGE_MAX_LINES = 8;
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
 
 const Checkout = () => {
-  const qrCodeSrc = "../../../assets/qrcode.png";
   const location = useLocation();
-  const { shippingAddress, cartItems, totalPrice } = location.state || {};
+  const navigate = useNavigate();
+  const { shippingAddress, cartItems, couponCodes = [], delivery } = location.state || {};
+  const [quote, setQuote] = useState(location.state?.quote || null);
+  const [placingOrder, setPlacingOrder] = useState(false);
+  const [order, setOrder] = useState(null);
+  const [payment, setPayment] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [methods, setMethods] = useState([]);
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [card, setCard] = useState({ number: '', expiry: '', cvc: '' });
+  const [paying, setPaying] = useState(false);
+  const [verificationRequired, setVerificationRequired] = useState(false);
+  const [resendingVerification, setResendingVerification] = useState(false);
+  const [gift, setGift] = useState({
+    forSomeoneElse: false,
+    recipientName: '',
+    recipientPhone: '',
+    giftMessage: '',
+    anonymousSender: false
+  });
+
+  const giftMessageLines = gift.giftMessage.split('\n').length;
+
+  // Show the server quote, then the order's own totals once placed
+  const totals = order
+    ? {
+      subtotal: parseFloat(order.subtotal),
+      discount: parseFloat(order.discount),
+      coupons: order.coupons.map(coupon => ({ ...coupon, amount: parseFloat(coupon.amount) })),
+      shippingFee: parseFloat(order.shippingFee),
+      tax: parseFloat(order.tax),
+      total: parseFloat(order.total)
+    }
+    : quote;
+
+  // Re-quote for the chosen address in case prices changed since the cart
+  useEffect(() => {
+    if (!shippingAddress) return;
+
+    const fetchQuote = async () => {
+      try {
+        const token = localStorage.getItem('accessToken');
+        const response = await axios.post(
+          `${BASE_URL}/api/cart/quote`,
+          { shippingAddressId: shippingAddress.id, couponCodes },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setQuote(response.data.data);
+      } catch (error) {
+        console.error('Error fetching quote:', error);
+        toast.error(error.response?.data?.message || 'Failed to calculate totals');
+      }
+    };
+
+    fetchQuote();
+  }, []);
+
+  useEffect(() => {
+    const fetchMethods = async () => {
+      try {
+        const response = await axios.get(`${BASE_URL}/api/payments/methods`);
+        setMethods(response.data.data);
+        if (response.data.data.length > 0) {
+          setPaymentMethod(response.data.data[0].name);
+        }
+      } catch (error) {
+        console.error('Error fetching payment methods:', error);
+      }
+    };
+
+    fetchMethods();
+  }, []);
+
+  // Poll the payment status until the order is paid or cancelled
+  useEffect(() => {
+    if (!order) return;
+
+    const token = localStorage.getItem('accessToken');
+    let active = true;
+
+    const checkPayment = async () => {
+      try {
+        const response = await axios.get(
+          `${BASE_URL}/api/orders/${order.id}/payment`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!active) return;
+
+        const data = response.data.data;
+        setPayment(data);
+
+        if (data.status === 'paid') {
+          toast.success('Payment received, thank you!');
+          navigate('/orders');
+        } else if (data.status === 'cancelled') {
+          toast.error('Payment time expired and the order was cancelled');
+          navigate('/orders');
+        }
+      } catch (error) {
+        console.error('Error checking payment:', error);
+      }
+    };
+
+    checkPayment();
+    const interval = setInterval(checkPayment, PAYMENT_POLL_INTERVAL_MS);
+    return () => {
+      active = false;
+      clearInterval(interval);
+    };
+  }, [order]);
+
+  // Tick the countdown every second while waiting for payment
+  useEffect(() => {
+    if (!order) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [order]);
+
+  const handlePlaceOrder = async () => {
+    if (!shippingAddress) {
+      toast.error('Please select a shipping address');
+      navigate('/cart');
+      return;
+    }
+
+    setPlacingOrder(true);
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.post(
+        `${BASE_URL}/api/orders`,
+        {
+          shippingAddressId: shippingAddress.id,
+          paymentMethod,
+          couponCodes,
+          expectedTotal: quote?.total,
+          deliverySlotId: delivery?.id,
+          deliveryDate: delivery?.date,
+          ...(gift.forSomeoneElse && {
+            recipientName: gift.recipientName,
+            recipientPhone: gift.recipientPhone
+          }),
+          giftMessage: gift.giftMessage,
+          anonymousSender: gift.anonymousSender
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      if (response.data.success) {
+        if (paymentMethod === 'cod') {
+          toast.success('Order placed, please pay the courier on delivery');
+          navigate('/orders');
+          return;
+        }
+        toast.success(paymentMethod === 'khqr' ? 'Order placed, scan the QR code to pay' : 'Order placed, enter your card details to pay');
+        setOrder(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error placing order:', error);
+      const shortItems = error.response?.data?.shortItems;
+      if (shortItems) {
+        shortItems.forEach(item => {
+          toast.error(`${item.flowerName || 'An item'}: only ${item.available} left (you have ${item.requested})`);
+        });
+        navigate('/cart');
+      } else if (error.response?.data?.quote) {
+        setQuote(error.response.data.quote);
+        toast.warn(`${error.response.data.message}. Your new total is $${error.response.data.quote.total.toFixed(2)}`);
+      } else if (error.response?.data?.error === 'EMAIL_NOT_VERIFIED') {
+        setVerificationRequired(true);
+        toast.error(error.response.data.message);
+      } else if (error.response?.status === 409) {
+        // The delivery slot filled up, choose another one in the cart
+        toast.error(error.response.data.message);
+        navigate('/cart');
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to place order');
+      }
+    } finally {
+      setPlacingOrder(false);
+    }
+  };
 
-  // Calculate dynamic prices if available from location.state
-  const subtotal = totalPrice || 120.00;
-  const shippingFee = 5.99;
-  const tax = subtotal * 0.08;
-  const grandTotal = subtotal + shippingFee + tax;
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.post(
+        `${BASE_URL}/api/auth/resend-verification`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send the verification email');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
+  const handleCardPayment = async (e) => {
+    e.preventDefault();
+    const [expMonth, expYear] = card.expiry.split('/').map(part => part.trim());
+
+    setPaying(true);
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.post(
+        `${BASE_URL}/api/orders/${order.id}/payment/confirm`,
+        { card: { number: card.number, expMonth, expYear, cvc: card.cvc } },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      if (response.data.success) {
+        toast.success('Payment received, thank you!');
+        navigate('/orders');
+      }
+    } catch (error) {
+      console.error('Error paying by card:', error);
+      toast.error(error.response?.data?.message || 'Payment failed');
+      if (error.response?.status === 409) {
+        navigate('/orders');
+      } else if (error.response?.data?.data) {
+        setPayment(error.response.data.data);
+      }
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const selectedMethod = order ? order.paymentMethod : paymentMethod;
 
   return (
     <div className="w-full px-4 py-8">
@@ -71,22 +305,34 @@ const Checkout = () => {
                   <div className="space-y-4 mb-6">
                     <div className="flex justify-between">
                       <span className="text-gray-600">Subtotal</span>
-                      <span className="font-semibold">${subtotal.toFixed(2)}</span>
+                      <span className="font-semibold">{totals ? `$${totals.subtotal.toFixed(2)}` : '—'}</span>
                     </div>
+                    {totals?.coupons.map((coupon) => (
+                      <div key={coupon.code} className="flex justify-between text-green-700">
+                        <span>Coupon {coupon.code}</span>
+                        <span className="font-semibold">
+                          {coupon.type === 'free_shipping' ? 'Free shipping' : `-$${coupon.amount.toFixed(2)}`}
+                        </span>
+                      </div>
+                    ))}
                     <div className="flex justify-between">
-                      <span className="text-gray-600">Shipping</span>
-                      <span className="font-semibold">${shippingFee.toFixed(2)}</span>
+                      <span className="text-gray-600">
+                        Shipping{!order && quote?.shipping && <span className="text-sm"> ({quote.shipping.label})</span>}
+                      </span>
+                      <span className="font-semibold">
+                        {totals ? (totals.shippingFee === 0 ? 'Free' : `$${totals.shippingFee.toFixed(2)}`) : '—'}
+                      </span>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Tax</span>
-                      <span className="font-semibold">${tax.toFixed(2)}</span>
+                      <span className="font-semibold">{totals ? `$${totals.tax.toFixed(2)}` : '—'}</span>
                     </div>
                     
                     <div className="border-t border-gray-200 pt-4">
                       <div className="flex justify-between text-lg font-bold">
                         <span>Total</span>
                         <span className="text-baby-pink-600">
-                          ${grandTotal.toFixed(2)}
+                          {totals ? `$${totals.total.toFixed(2)}` : '—'}
                         </span>
                       </div>
                     </div>
@@ -103,47 +349,251 @@ const Checkout = () => {
                       )}
                     </div>
                   )}
+
+                  {delivery && (
+                    <div className="bg-blue-50 rounded-lg p-4 mt-4">
+                      <h3 className="font-semibold text-blue-800 mb-2">Delivery Time</h3>
+                      <p className="text-gray-700">
+                        {new Date(`${delivery.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' })}
+                      </p>
+                      <p className="text-gray-700">{delivery.label}, {delivery.startTime}–{delivery.endTime}</p>
+                    </div>
+                  )}
+
+                  {!order && (
+                    <div className="border border-gray-200 rounded-lg p-4 mt-4 space-y-4">
+                      <h3 className="font-semibold text-gray-800 flex items-center">
+                        <Gift className="h-5 w-5 mr-2 text-baby-pink-600" />
+                        Sending a Gift?
+                      </h3>
+
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={gift.forSomeoneElse}
+                          onChange={(e) => setGift({ ...gift, forSomeoneElse: e.target.checked })}
+                          className="mr-2"
+                        />
+                        Someone else will receive the flowers
+                      </label>
+
+                      {gift.forSomeoneElse && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <input
+                            type="text"
+                            placeholder="Recipient name"
+                            value={gift.recipientName}
+                            maxLength={100}
+                            onChange={(e) => setGift({ ...gift, recipientName: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                          />
+                          <input
+                            type="tel"
+                            placeholder="Recipient phone"
+                            value={gift.recipientPhone}
+                            onChange={(e) => setGift({ ...gift, recipientPhone: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                          />
+                        </div>
+                      )}
+
+                      <div>
+                        <textarea
+                          rows={4}
+                          placeholder="Message for the card (optional)"
+                          value={gift.giftMessage}
+                          maxLength={GIFT_MESSAGE_MAX_LENGTH}
+                          onChange={(e) => setGift({ ...gift, giftMessage: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                        />
+                        <p className={`text-xs text-right ${giftMessageLines > GIFT_MESSAGE_MAX_LINES ? 'text-red-600' : 'text-gray-500'}`}>
+                          {gift.giftMessage.length}/{GIFT_MESSAGE_MAX_LENGTH} characters, {giftMessageLines}/{GIFT_MESSAGE_MAX_LINES} lines
+                        </p>
+                      </div>
+
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={gift.anonymousSender}
+                          onChange={(e) => setGift({ ...gift, anonymousSender: e.target.checked })}
+                          className="mr-2"
+                        />
+                        Don't put my name on the card
+                      </label>
+                    </div>
+                  )}
                 </div>
               </div>
 
-              {/* Right Column - Payment QR Code (Full width on mobile, 40% on desktop) */}
+              {/* Right Column - Payment (Full width on mobile, 50% on desktop) */}
               <div className="lg:w-[50%]">
                 <div className="sticky top-8">
                   <h2 className="text-xl font-semibold text-gray-800 mb-6">Payment Method</h2>
-                  
-                  <div className="bg-gray-50 rounded-lg p-6 text-center">
-                    <div className="flex items-center justify-center mb-4">
-                      <Check className="h-5 w-5 text-green-500 mr-2" />
-                      <span className="font-medium">Scan to Pay with Mobile Banking</span>
+
+                  {!order && (
+                    <div className="space-y-3 mb-6">
+                      {methods.map(method => (
+                        <label
+                          key={method.name}
+                          className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
+                            paymentMethod === method.name
+                              ? 'border-baby-pink-500 bg-baby-pink-50'
+                              : 'border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          <input
+                            type="radio"
+                            name="paymentMethod"
+                            value={method.name}
+                            checked={paymentMethod === method.name}
+                            onChange={(e) => setPaymentMethod(e.target.value)}
+                            className="mr-3"
+                          />
+                          <span className="font-medium text-gray-800">{method.label}</span>
+                        </label>
+                      ))}
+                      {methods.length === 0 && (
+                        <p className="text-sm text-gray-500">No payment methods are available right now.</p>
+                      )}
                     </div>
-                    
-                    <div className="mb-6">
-                      <img 
-                        src={qrCodeSrc} 
-                        alt="Payment QR Code" 
-                        className="w-64 h-64 mx-auto border border-gray-200 rounded-lg"
-                      />
+                  )}
+
+                  {selectedMethod === 'khqr' && (
+                    <div className="bg-gray-50 rounded-lg p-6 text-center">
+                      <div className="flex items-center justify-center mb-4">
+                        <Check className="h-5 w-5 text-green-500 mr-2" />
+                        <span className="font-medium">Scan to Pay with Mobile Banking (KHQR)</span>
+                      </div>
+
+                      <div className="mb-6">
+                        {payment?.qr ? (
+                          <>
+                            <img
+                              src={payment.qr.image}
+                              alt="KHQR Payment Code"
+                              className="w-64 h-64 mx-auto border border-gray-200 rounded-lg"
+                            />
+                            <p className="mt-3 font-semibold text-gray-800">
+                              {payment.currency} {payment.amount.toFixed(2)} &middot; {payment.reference}
+                            </p>
+                            <p className="mt-1 text-sm text-gray-600 flex items-center justify-center">
+                              <Clock className="h-4 w-4 mr-1" />
+                              Expires in {formatCountdown(new Date(payment.expiresAt).getTime() - now)}
+                            </p>
+                            {payment.failureReason && (
+                              <p className="mt-2 text-sm text-red-600">
+                                {payment.failureReason}. Please try again.
+                              </p>
+                            )}
+                          </>
+                        ) : (
+                          <div className="w-64 h-64 mx-auto border border-dashed border-gray-300 rounded-lg flex items-center justify-center p-6 text-sm text-gray-500">
+                            {order ? 'Loading your payment code...' : 'Place your order to get a payment code for the exact amount'}
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="space-y-3 text-sm text-gray-600">
+                        <p>1. Open your mobile banking app</p>
+                        <p>2. Select "Scan QR Code"</p>
+                        <p>3. Point your camera at this code</p>
+                        <p>4. Confirm the payment details</p>
+                        <p>5. Complete the transaction</p>
+                      </div>
                     </div>
-                    
-                    <div className="space-y-3 text-sm text-gray-600">
-                      <p>1. Open your mobile banking app</p>
-                      <p>2. Select "Scan QR Code"</p>
-                      <p>3. Point your camera at this code</p>
-                      <p>4. Confirm the payment details</p>
-                      <p>5. Complete the transaction</p>
+                  )}
+
+                  {selectedMethod === 'card' && order && (
+                    <form onSubmit={handleCardPayment} className="bg-gray-50 rounded-lg p-6 space-y-4">
+                      <div className="flex items-center mb-2">
+                        <CreditCard className="h-5 w-5 text-baby-pink-600 mr-2" />
+                        <span className="font-medium">Pay {payment ? `${payment.currency} ${payment.amount.toFixed(2)}` : ''} by Card</span>
+                      </div>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        placeholder="Card number"
+                        value={card.number}
+                        onChange={(e) => setCard({ ...card, number: e.target.value })}
+                        className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                        required
+                      />
+                      <div className="flex gap-4">
+                        <input
+                          type="text"
+                          placeholder="MM/YY"
+                          value={card.expiry}
+                          onChange={(e) => setCard({ ...card, expiry: e.target.value })}
+                          className="w-1/2 px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                          required
+                        />
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          placeholder="CVC"
+                          value={card.cvc}
+                          onChange={(e) => setCard({ ...card, cvc: e.target.value })}
+                          className="w-1/2 px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+                          required
+                        />
+                      </div>
+                      {payment?.failureReason && (
+                        <p className="text-sm text-red-600">{payment.failureReason}</p>
+                      )}
+                      {payment?.expiresAt && (
+                        <p className="text-sm text-gray-600 flex items-center">
+                          <Clock className="h-4 w-4 mr-1" />
+                          Complete payment within {formatCountdown(new Date(payment.expiresAt).getTime() - now)}
+                        </p>
+                      )}
+                      <button
+                        type="submit"
+                        disabled={paying}
+                        className="w-full px-6 py-3 bg-gradient-primary text-white rounded-lg font-medium hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {paying ? 'Processing...' : 'Pay Now'}
+                      </button>
+                    </form>
+                  )}
+
+                  {selectedMethod === 'cod' && (
+                    <div className="bg-gray-50 rounded-lg p-6 text-sm text-gray-600">
+                      Pay the courier in cash when your flowers arrive.
                     </div>
-                  </div>
+                  )}
 
-                  <div className="mt-6 bg-yellow-50 rounded-lg p-4">
-                    <h3 className="font-semibold text-yellow-800 mb-2">Important</h3>
-                    <p className="text-sm text-gray-600">
-                      Please complete your payment within 15 minutes. Your order will be processed automatically after payment confirmation.
-                    </p>
-                  </div>
+                  {selectedMethod !== 'cod' && (
+                    <div className="mt-6 bg-yellow-50 rounded-lg p-4">
+                      <h3 className="font-semibold text-yellow-800 mb-2">Important</h3>
+                      <p className="text-sm text-gray-600">
+                        Please complete your payment before the time runs out. Your order will be processed automatically after payment confirmation.
+                      </p>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
 
+            {verificationRequired && (
+              <div className="mt-8 bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start gap-3">
+                <MailWarning className="h-5 w-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                <div className="flex-1">
+                  <h3 className="font-semibold text-yellow-800">Verify your email to place orders</h3>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Follow the link we emailed you when you signed up, then place your order again. Your cart is saved.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={handleResendVerification}
+                    disabled={resendingVerification}
+                    className="mt-2 text-sm font-medium text-baby-pink-600 hover:text-baby-pink-500 disabled:opacity-50"
+                  >
+                    {resendingVerification ? 'Sending...' : 'Resend verification email'}
+                  </button>
+                </div>
+              </div>
+            )}
+
             <div className="mt-8 pt-6 border-t border-gray-200 flex justify-between">
               <Link
                 to="/shop"
@@ -151,11 +601,17 @@ const Checkout = () => {
               >
                 Continue Shopping
               </Link>
-              <button
-                className="px-6 py-3 bg-gradient-primary text-white rounded-lg font-medium hover:shadow-lg transition-all"
-              >
-                I've Completed Payment
-              </button>
+              {order ? (
+                <span className="px-6 py-3 text-gray-600 font-medium">Waiting for payment...</span>
+              ) : (
+                <button
+                  onClick={handlePlaceOrder}
+                  disabled={placingOrder || !paymentMethod || !quote}
+                  className="px-6 py-3 bg-gradient-primary text-white rounded-lg font-medium hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {placingOrder ? 'Placing Order...' : (paymentMethod === 'cod' ? 'Place Order' : 'Place Order & Pay')}
+                </button>
+              )}
             </div>
           </div>
         </div>
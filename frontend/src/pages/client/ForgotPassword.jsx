@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, Flower2, ArrowLeft } from 'lucide-react';
+import axios from 'axios';
+
+const BASE_URL = 'http://localhost:3000';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${BASE_URL}/api/auth/forgot-password`, { email });
+      setSent(true);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send the reset link');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="bg-gradient-pink rounded-full p-3">
+              <Flower2 className="h-12 w-12 text-baby-pink-600" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900">Forgot Password</h2>
+          <p className="mt-2 text-gray-600">We'll email you a link to choose a new password</p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          {sent ? (
+            <div className="space-y-4 text-center">
+              <p className="text-gray-700">
+                If an account exists for <span className="font-semibold">{email}</span>, a reset link is on its way.
+                Check your inbox and spam folder.
+              </p>
+              <button
+                type="button"
+                onClick={() => setSent(false)}
+                className="text-sm text-baby-pink-600 hover:text-baby-pink-500"
+              >
+                Use a different email
+              </button>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                    Email Address
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500 transition-colors"
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-gradient-primary text-white py-3 px-4 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </form>
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to="/login" className="inline-flex items-center text-baby-pink-600 hover:text-baby-pink-500 font-semibold">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,15 +1,36 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Mail, Lock, Eye, EyeOff, Flower2 } from 'lucide-react';
+import { User, Lock, Eye, EyeOff, Flower2 } from 'lucide-react';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import { jwtDecode } from 'jwt-decode';
+import { saveSession } from '../../utils/auth';
 
 const BASE_URL = 'http://localhost:3000';
 
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Message to show for each login error code from the API
+const loginErrorMessage = (data) => {
+  switch (data?.error) {
+    case 'INVALID_CREDENTIALS':
+      return 'Incorrect email, username or password';
+    case 'ACCOUNT_LOCKED':
+      return `Too many failed attempts. Your account is locked, try again in ${formatWait(data.retryAfter)} or reset your password.`;
+    case 'TOO_MANY_ATTEMPTS':
+      return `Too many failed attempts from your network. Try again in ${formatWait(data.retryAfter)}.`;
+    default:
+      return data?.message || 'Failed to login';
+  }
+};
+
 const Login = () => {
   const [formData, setFormData] = useState({
-    email: '',
+    identifier: '',
     password: ''
   });
   const [showPassword, setShowPassword] = useState(false);
@@ -30,24 +51,25 @@ const Login = () => {
     setLoading(true);
     setError('');
 
-    const login = await axios.post(`${BASE_URL}/api/auth/login`, formData);
-    
-    if (login.data.success) {
-      localStorage.setItem('accessToken', login.data.token);
-      const role = jwtDecode(login.data.token).role;
-      
-      if (role === 'customer') {
-        toast.success('Login Successfully');
-        navigate('/dashboard');
-      } else if (role === 'admin') {
-        toast.success('Welcome Admin');
-        navigate('/admin');
-      }
+    try {
+      const login = await axios.post(`${BASE_URL}/api/auth/login`, formData);
 
-    } else {
-      toast.error('Failed to login');
+      if (login.data.success) {
+        saveSession(login.data);
+        const role = jwtDecode(login.data.token).role;
+
+        if (role === 'customer') {
+          toast.success('Login Successfully');
+          navigate('/dashboard');
+        } else if (role === 'admin') {
+          toast.success('Welcome Admin');
+          navigate('/admin');
+        }
+      }
+    } catch (error) {
+      setError(loginErrorMessage(error.response?.data));
     }
-    
+
     setLoading(false);
   };
 
@@ -73,22 +95,23 @@ const Login = () => {
 
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
+              <label htmlFor="identifier" className="block text-sm font-medium text-gray-700 mb-2">
+                Email or Username
               </label>
               <div className="relative">
                 <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+                  <User className="h-5 w-5 text-gray-400" />
                 </div>
                 <input
-                  id="email"
-                  name="email"
-                  type="email"
+                  id="identifier"
+                  name="identifier"
+                  type="text"
                   required
-                  value={formData.email}
+                  autoComplete="username"
+                  value={formData.identifier}
                   onChange={handleChange}
                   className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500 transition-colors"
-                  placeholder="Enter your email"
+                  placeholder="Enter your email or username"
                 />
               </div>
             </div>
@@ -137,9 +160,9 @@ const Login = () => {
                   Remember me
                 </label>
               </div>
-              <a href="#" className="text-sm text-baby-pink-600 hover:text-baby-pink-500">
+              <Link to="/forgot-password" className="text-sm text-baby-pink-600 hover:text-baby-pink-500">
                 Forgot password?
-              </a>
+              </Link>
             </div>
 
             <button
@@ -1,64 +1,133 @@
-import React, { useState } from 'react';
-import { Package, Truck, CheckCircle, Clock, Eye } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Package, Truck, CheckCircle, Clock, Eye, XCircle, CreditCard, RotateCcw, FileText } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const PAYMENT_METHOD_LABELS = {
+  khqr: 'KHQR',
+  cod: 'Cash on Delivery',
+  card: 'Card'
+};
 
 const Orders = () => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [orderDetails, setOrderDetails] = useState(null);
+  const [searchParams] = useSearchParams();
 
-  // Mock orders data
-  const orders = [
-    {
-      id: '1001',
-      date: '2024-01-15',
-      status: 'delivered',
-      total: 54.99,
-      items: [
-        { name: 'Red Rose Bouquet', quantity: 1, price: 29.99 },
-        { name: 'Sunflower Bundle', quantity: 1, price: 24.99 }
-      ],
-      shipping: {
-        address: '123 Main St, City, State 12345',
-        method: 'Standard Delivery',
-        trackingNumber: 'BS1001234567'
-      }
-    },
-    {
-      id: '1002',
-      date: '2024-01-10',
-      status: 'in_transit',
-      total: 39.99,
-      items: [
-        { name: 'Mixed Spring Flowers', quantity: 1, price: 34.99 }
-      ],
-      shipping: {
-        address: '123 Main St, City, State 12345',
-        method: 'Express Delivery',
-        trackingNumber: 'BS1002234567'
+  useEffect(() => {
+    const fetchOrders = async () => {
+      try {
+        const token = localStorage.getItem('accessToken');
+        const params = { page };
+        if (statusFilter !== 'all') params.status = statusFilter;
+        if (fromDate) params.from = fromDate;
+        if (toDate) params.to = toDate;
+
+        const response = await axios.get(`${BASE_URL}/api/orders`, {
+          params,
+          headers: { Authorization: `Bearer ${token}` }
+        });
+
+        if (response.data.success) {
+          setOrders(response.data.data);
+          setPagination(response.data.pagination);
+        }
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+        toast.error('Failed to load orders');
       }
-    },
-    {
-      id: '1003',
-      date: '2024-01-05',
-      status: 'processing',
-      total: 129.99,
-      items: [
-        { name: 'Wedding Bouquet Set', quantity: 3, price: 42.99 }
-      ],
-      shipping: {
-        address: '456 Oak Ave, City, State 12345',
-        method: 'Premium Delivery',
-        trackingNumber: 'BS1003234567'
+    };
+
+    fetchOrders();
+  }, [page, statusFilter, fromDate, toDate]);
+
+  const toggleDetails = async (orderId) => {
+    if (selectedOrder === orderId) {
+      setSelectedOrder(null);
+      setOrderDetails(null);
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.get(`${BASE_URL}/api/orders/${orderId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (response.data.success) {
+        setSelectedOrder(orderId);
+        setOrderDetails(response.data.data);
       }
+    } catch (error) {
+      console.error('Error fetching order details:', error);
+      toast.error('Failed to load order details');
     }
+  };
+
+  // QR codes on invoices link here with ?order=<id>
+  useEffect(() => {
+    const orderId = Number(searchParams.get('order'));
+    if (orderId) {
+      toggleDetails(orderId);
+    }
+  }, [searchParams]);
+
+  const downloadInvoice = async (order) => {
+    try {
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.get(`${BASE_URL}/api/orders/${order.id}/invoice`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${order.paymentReference || order.id}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      toast.error('Failed to download invoice');
+    }
+  };
+
+  const statusOptions = [
+    { value: 'all', label: 'All Orders' },
+    { value: 'pending_payment', label: 'Pending Payment' },
+    { value: 'paid', label: 'Paid' },
+    { value: 'preparing', label: 'Preparing' },
+    { value: 'out_for_delivery', label: 'Out for Delivery' },
+    { value: 'delivered', label: 'Delivered' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'refunded', label: 'Refunded' }
   ];
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'processing':
+      case 'pending_payment':
         return <Clock className="h-5 w-5" />;
-      case 'in_transit':
+      case 'paid':
+        return <CreditCard className="h-5 w-5" />;
+      case 'preparing':
+        return <Package className="h-5 w-5" />;
+      case 'out_for_delivery':
         return <Truck className="h-5 w-5" />;
       case 'delivered':
         return <CheckCircle className="h-5 w-5" />;
+      case 'cancelled':
+        return <XCircle className="h-5 w-5" />;
+      case 'refunded':
+        return <RotateCcw className="h-5 w-5" />;
       default:
         return <Package className="h-5 w-5" />;
     }
@@ -66,30 +135,38 @@ const Orders = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'processing':
+      case 'pending_payment':
+        return 'text-orange-600 bg-orange-50';
+      case 'paid':
+        return 'text-teal-600 bg-teal-50';
+      case 'preparing':
         return 'text-yellow-600 bg-yellow-50';
-      case 'in_transit':
+      case 'out_for_delivery':
         return 'text-blue-600 bg-blue-50';
       case 'delivered':
         return 'text-green-600 bg-green-50';
+      case 'cancelled':
+        return 'text-red-600 bg-red-50';
+      case 'refunded':
+        return 'text-purple-600 bg-purple-50';
       default:
         return 'text-gray-600 bg-gray-50';
     }
   };
 
   const getStatusText = (status) => {
-    switch (status) {
-      case 'processing':
-        return 'Processing';
-      case 'in_transit':
-        return 'In Transit';
-      case 'delivered':
-        return 'Delivered';
-      default:
-        return 'Unknown';
-    }
+    return status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
   };
 
+  const formatAddress = (address) => {
+    if (!address) return '';
+    return [address.street, address.commune, address.city, address.province, address.country]
+      .filter(Boolean)
+      .join(', ');
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
   return (
     <div className="max-w-6xl mx-auto">
       <div className="mb-8">
@@ -97,6 +174,36 @@ const Orders = () => {
         <p className="text-gray-600">Track and manage your flower orders</p>
       </div>
 
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+        <div className="flex flex-col lg:flex-row gap-4 items-center">
+          <select
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+          >
+            {statusOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={fromDate}
+            onChange={(e) => { setFromDate(e.target.value); setPage(1); }}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+          />
+          <span className="text-gray-600">to</span>
+          <input
+            type="date"
+            value={toDate}
+            onChange={(e) => { setToDate(e.target.value); setPage(1); }}
+            className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+          />
+        </div>
+      </div>
+
       {orders.length === 0 ? (
         <div className="bg-white rounded-xl shadow-lg p-12 text-center">
           <Package className="h-16 w-16 text-gray-300 mx-auto mb-4" />
@@ -119,8 +226,8 @@ const Orders = () => {
                     </span>
                   </div>
                   <div className="text-right">
-                    <p className="text-lg font-bold text-gray-800">${order.total.toFixed(2)}</p>
-                    <p className="text-sm text-gray-600">{order.date}</p>
+                    <p className="text-lg font-bold text-gray-800">${parseFloat(order.total).toFixed(2)}</p>
+                    <p className="text-sm text-gray-600">{formatDate(order.createdAt)}</p>
                   </div>
                 </div>
 
@@ -128,36 +235,67 @@ const Orders = () => {
                   <div>
                     <h4 className="font-semibold text-gray-800 mb-2">Items ({order.items.length})</h4>
                     <div className="space-y-1">
-                      {order.items.map((item, index) => (
-                        <p key={index} className="text-sm text-gray-600">
-                          {item.quantity}x {item.name}
+                      {order.items.map((item) => (
+                        <p key={item.id} className="text-sm text-gray-600">
+                          {item.quantity}x {item.flowerName}
                         </p>
                       ))}
                     </div>
                   </div>
-                  
+
                   <div>
                     <h4 className="font-semibold text-gray-800 mb-2">Shipping Address</h4>
-                    <p className="text-sm text-gray-600">{order.shipping.address}</p>
+                    <p className="text-sm text-gray-600">{formatAddress(order.shippingSnapshot)}</p>
+                    {order.deliveryDate && (
+                      <p className="text-sm text-gray-800 mt-1">
+                        Delivery: {new Date(`${order.deliveryDate}T00:00:00`).toLocaleDateString()}
+                        {order.deliveryWindow && `, ${order.deliveryWindow.label} ${order.deliveryWindow.startTime}–${order.deliveryWindow.endTime}`}
+                      </p>
+                    )}
+                    {order.recipientName && (
+                      <p className="text-sm text-gray-800 mt-1">For {order.recipientName} ({order.recipientPhone})</p>
+                    )}
+                    {order.giftMessage && (
+                      <p className="text-sm text-gray-600 mt-1 italic whitespace-pre-line">
+                        “{order.giftMessage}”{order.anonymousSender && <span className="not-italic"> · sent anonymously</span>}
+                      </p>
+                    )}
                   </div>
-                  
+
                   <div>
-                    <h4 className="font-semibold text-gray-800 mb-2">Tracking</h4>
-                    <p className="text-sm text-gray-600 mb-1">{order.shipping.method}</p>
-                    <p className="text-sm font-mono text-baby-pink-600">{order.shipping.trackingNumber}</p>
+                    <h4 className="font-semibold text-gray-800 mb-2">Payment</h4>
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                      order.paymentStatus === 'paid'
+                        ? 'bg-green-100 text-green-800'
+                        : order.paymentStatus.includes('refunded')
+                          ? 'bg-purple-100 text-purple-800'
+                          : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {getStatusText(order.paymentStatus).toUpperCase()}
+                    </span>
+                    <span className="ml-2 text-sm text-gray-600">
+                      {PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod}
+                    </span>
                   </div>
                 </div>
 
                 <div className="flex items-center justify-between pt-4 border-t border-gray-200">
                   <button
-                    onClick={() => setSelectedOrder(selectedOrder === order.id ? null : order.id)}
+                    onClick={() => toggleDetails(order.id)}
                     className="flex items-center space-x-2 text-baby-pink-600 hover:text-baby-pink-700 font-semibold"
                   >
                     <Eye className="h-4 w-4" />
                     <span>{selectedOrder === order.id ? 'Hide Details' : 'View Details'}</span>
                   </button>
-                  
+
                   <div className="flex space-x-3">
+                    <button
+                      onClick={() => downloadInvoice(order)}
+                      className="flex items-center bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                    >
+                      <FileText className="h-4 w-4 mr-2" />
+                      Invoice
+                    </button>
                     {order.status === 'delivered' && (
                       <button className="bg-baby-pink-100 text-baby-pink-700 px-4 py-2 rounded-lg hover:bg-baby-pink-200 transition-colors">
                         Reorder
@@ -170,35 +308,121 @@ const Orders = () => {
                 </div>
 
                 {/* Order Details */}
-                {selectedOrder === order.id && (
+                {selectedOrder === order.id && orderDetails && (
                   <div className="mt-6 pt-6 border-t border-gray-200">
                     <h4 className="font-semibold text-gray-800 mb-4">Order Details</h4>
                     <div className="space-y-3">
-                      {order.items.map((item, index) => (
-                        <div key={index} className="flex justify-between items-center py-2">
+                      {orderDetails.items.map((item) => (
+                        <div key={item.id} className="flex justify-between items-center py-2">
                           <div>
-                            <p className="font-medium text-gray-800">{item.name}</p>
-                            <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
+                            <p className="font-medium text-gray-800">{item.flowerName}</p>
+                            <p className="text-sm text-gray-600">Quantity: {item.quantity} × ${parseFloat(item.unitPrice).toFixed(2)}</p>
                           </div>
-                          <p className="font-semibold text-gray-800">${item.price.toFixed(2)}</p>
+                          <p className="font-semibold text-gray-800">${parseFloat(item.lineTotal).toFixed(2)}</p>
                         </div>
                       ))}
-                      <div className="border-t border-gray-200 pt-3">
+                      <div className="border-t border-gray-200 pt-3 space-y-2">
+                        <div className="flex justify-between text-gray-600">
+                          <span>Subtotal</span>
+                          <span>${parseFloat(orderDetails.subtotal).toFixed(2)}</span>
+                        </div>
+                        {orderDetails.coupons?.map((coupon) => (
+                          <div key={coupon.code} className="flex justify-between text-green-700">
+                            <span>Coupon {coupon.code}</span>
+                            <span>
+                              {coupon.type === 'free_shipping' ? 'Free shipping' : `-$${parseFloat(coupon.amount).toFixed(2)}`}
+                            </span>
+                          </div>
+                        ))}
+                        <div className="flex justify-between text-gray-600">
+                          <span>Shipping</span>
+                          <span>${parseFloat(orderDetails.shippingFee).toFixed(2)}</span>
+                        </div>
+                        <div className="flex justify-between text-gray-600">
+                          <span>Tax</span>
+                          <span>${parseFloat(orderDetails.tax).toFixed(2)}</span>
+                        </div>
                         <div className="flex justify-between items-center font-semibold text-lg">
                           <span>Total</span>
-                          <span className="text-baby-pink-600">${order.total.toFixed(2)}</span>
+                          <span className="text-baby-pink-600">${parseFloat(orderDetails.total).toFixed(2)}</span>
                         </div>
+                        {parseFloat(orderDetails.refundedAmount) > 0 && (
+                          <>
+                            <div className="flex justify-between text-purple-700">
+                              <span>Refunded</span>
+                              <span>-${parseFloat(orderDetails.refundedAmount).toFixed(2)}</span>
+                            </div>
+                            <div className="flex justify-between font-semibold text-gray-800">
+                              <span>Net Paid</span>
+                              <span>${orderDetails.netPaid.toFixed(2)}</span>
+                            </div>
+                          </>
+                        )}
                       </div>
                     </div>
+
+                    {orderDetails.refunds?.length > 0 && (
+                      <>
+                        <h4 className="font-semibold text-gray-800 mt-6 mb-4">Refunds</h4>
+                        <ul className="space-y-2">
+                          {orderDetails.refunds.map(refund => (
+                            <li key={refund.id} className="flex justify-between text-sm">
+                              <span className="text-gray-800">
+                                <span className="font-medium">${parseFloat(refund.amount).toFixed(2)}</span>
+                                {refund.lines.length > 0 && (
+                                  <span className="text-gray-500"> – {refund.lines.map(line => `${line.quantity}x ${line.flowerName}`).join(', ')}</span>
+                                )}
+                                {refund.reason && <span className="text-gray-500"> ({refund.reason})</span>}
+                              </span>
+                              <span className="text-gray-600">{new Date(refund.createdAt).toLocaleString()}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
+
+                    <h4 className="font-semibold text-gray-800 mt-6 mb-4">Timeline</h4>
+                    <ol className="space-y-2">
+                      {orderDetails.timeline.map((event, index) => (
+                        <li key={index} className="flex justify-between text-sm">
+                          <span className="font-medium text-gray-800">
+                            {getStatusText(event.status)}
+                            {event.note && <span className="text-gray-500 font-normal"> – {event.note}</span>}
+                          </span>
+                          <span className="text-gray-600">{new Date(event.at).toLocaleString()}</span>
+                        </li>
+                      ))}
+                    </ol>
                   </div>
                 )}
               </div>
             </div>
           ))}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center space-x-4">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={!pagination.hasPrev}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={!pagination.hasNext}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 };
 
-export default Orders;
\ No newline at end of file
+export default Orders;
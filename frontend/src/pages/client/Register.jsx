@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { User, Mail, Lock, Eye, EyeOff, Flower2, Phone } from 'lucide-react';
 import { toast } from 'react-toastify';
 import axios from 'axios';
+import { saveSession } from '../../utils/auth';
 
 const BASE_URL = 'http://localhost:3000';
 
@@ -33,6 +34,12 @@ const Register = () => {
     setError('');
 
     // Validation
+    if (formData.username.includes('@')) {
+      setError('Username cannot contain @');
+      setLoading(false);
+      return;
+    }
+
     if (formData.password !== formData.confirmPassword) {
       setError('Passwords do not match');
       setLoading(false);
@@ -48,8 +55,8 @@ const Register = () => {
     const signup = await axios.post(`${BASE_URL}/api/auth/register`, formData);
     
     if (signup.data.success) {
-      toast.success('Signup successfully');
-      localStorage.setItem('accessToken', signup.data.token);
+      toast.success('Signup successfully, check your email to verify your account');
+      saveSession(signup.data);
       navigate('/');
     } else {
       setError(signup.error || 'Registration failed');
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Lock, Eye, EyeOff, Flower2 } from 'lucide-react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const BASE_URL = 'http://localhost:3000';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [linkInvalid, setLinkInvalid] = useState(!token);
+
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post(`${BASE_URL}/api/auth/reset-password`, {
+        token,
+        password: formData.password
+      });
+
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (error) {
+      if (error.response?.data?.error === 'INVALID_RESET_TOKEN') {
+        setLinkInvalid(true);
+      } else {
+        setError(error.response?.data?.message || 'Failed to reset password');
+      }
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="bg-gradient-pink rounded-full p-3">
+              <Flower2 className="h-12 w-12 text-baby-pink-600" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900">Choose a New Password</h2>
+          <p className="mt-2 text-gray-600">You will be signed out everywhere else</p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          {linkInvalid ? (
+            <div className="space-y-4 text-center">
+              <p className="text-gray-700">This reset link is invalid or has expired. Links work once and only for a limited time.</p>
+              <Link to="/forgot-password" className="text-baby-pink-600 hover:text-baby-pink-500 font-semibold">
+                Request a new link
+              </Link>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {['password', 'confirmPassword'].map((name) => (
+                  <div key={name}>
+                    <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-2">
+                      {name === 'password' ? 'New Password' : 'Confirm New Password'}
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Lock className="h-5 w-5 text-gray-400" />
+                      </div>
+                      <input
+                        id={name}
+                        name={name}
+                        type={showPassword ? 'text' : 'password'}
+                        required
+                        autoComplete="new-password"
+                        value={formData[name]}
+                        onChange={handleChange}
+                        className="block w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500 transition-colors"
+                        placeholder={name === 'password' ? 'At least 6 characters' : 'Repeat the new password'}
+                      />
+                      {name === 'password' && (
+                        <button
+                          type="button"
+                          className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                          onClick={() => setShowPassword(!showPassword)}
+                        >
+                          {showPassword ? (
+                            <EyeOff className="h-5 w-5 text-gray-400" />
+                          ) : (
+                            <Eye className="h-5 w-5 text-gray-400" />
+                          )}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-gradient-primary text-white py-3 px-4 rounded-lg font-semibold hover:shadow-lg transform hover:scale-105 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Saving...' : 'Reset Password'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
-import { jwtDecode } from 'jwt-decode';
 import { Plus, Edit, Trash2, X, Check, MapPin, Home, Briefcase, User } from 'lucide-react';
 import { toast } from 'react-toastify';
 
@@ -25,10 +24,10 @@ const ShippingAddress = () => {
     const fetchAddresses = async () => {
       try {
         const token = localStorage.getItem('accessToken');
-        const decode = jwtDecode(token);
-        const userId = decode.userId;
 
-        const response = await axios.get(`${BASE_URL}/api/shipping-addresses/${userId}`);
+        const response = await axios.get(`${BASE_URL}/api/shipping-addresses`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
         if (response.data.success) {
           setAddresses(response.data.data);
         }
@@ -54,12 +53,9 @@ const ShippingAddress = () => {
     e.preventDefault();
     try {
       const token = localStorage.getItem('accessToken');
-      const decode = jwtDecode(token);
-      const userId = decode.userId;
 
-      const response = await axios.post(`${BASE_URL}/api/shipping-addresses`, {
-        ...formData,
-        userId
+      const response = await axios.post(`${BASE_URL}/api/shipping-addresses`, formData, {
+        headers: { Authorization: `Bearer ${token}` }
       });
 
       if (response.data.success) {
@@ -83,7 +79,10 @@ const ShippingAddress = () => {
 
   const handleDelete = async (id) => {
     try {
-      const response = await axios.delete(`${BASE_URL}/api/shipping-addresses/${id}`);
+      const token = localStorage.getItem('accessToken');
+      const response = await axios.delete(`${BASE_URL}/api/shipping-addresses/${id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
       if (response.data.success) {
         setAddresses(prev => prev.filter(address => address.id !== id));
         toast.success('Shipping Address Deleted Successfully');
@@ -1,61 +1,75 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import FlowerCard from '../../components/user/FlowerCard';
-import { Search, Filter } from 'lucide-react';
+import { Search } from 'lucide-react';
 import axios from 'axios';
 
 const BASE_URL = 'http://localhost:3000';
 
+const sortOptions = [
+  { value: 'name-asc', label: 'Sort by Name' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+  { value: 'created-desc', label: 'Newest First' }
+];
+
 const Shop = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [flowers, setFlowers] = useState([]);
-  const [filteredFlowers, setFilteredFlowers] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('all');
-  const [sortBy, setSortBy] = useState('name');
+  const [pagination, setPagination] = useState(null);
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
+
+  const search = searchParams.get('search') || '';
+  const selectedCategory = searchParams.get('category') || 'all';
+  const sortBy = `${searchParams.get('sort') || 'name'}-${searchParams.get('order') || 'asc'}`;
+  const minPrice = searchParams.get('minPrice') || '';
+  const maxPrice = searchParams.get('maxPrice') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  // Update the URL query; any filter change goes back to the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
 
+  // Wait for the user to stop typing before searching
   useEffect(() => {
-    const fetchFlowers = async () => {
-      const response = await axios.get(`${BASE_URL}/api/flower`);
+    if (searchTerm === search) return;
+    const timeout = setTimeout(() => updateParams({ search: searchTerm }), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
 
-      setFlowers(response.data.data);
-      setFilteredFlowers(response.data.data);
+  useEffect(() => {
+    const fetchFlowers = async () => {
+      try {
+        const response = await axios.get(`${BASE_URL}/api/flower`, { params: searchParams });
+
+        setFlowers(response.data.data);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching flowers:', error);
+        setFlowers([]);
+        setPagination(null);
+      }
     };
 
     fetchFlowers();
-  }, []);
+  }, [searchParams]);
 
-  // Filter and search logic
-  useEffect(() => {
-    let filtered = flowers;
-
-    // Search filter
-    if (searchTerm) {
-      filtered = filtered.filter(flower =>
-        flower.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        flower.description.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    // Category filter
-    if (selectedCategory !== 'all') {
-      filtered = filtered.filter(flower => flower.category === selectedCategory);
-    }
-
-    // Sort
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'price-low':
-          return a.price - b.price;
-        case 'price-high':
-          return b.price - a.price;
-        case 'name':
-          return a.name.localeCompare(b.name);
-        default:
-          return 0;
-      }
-    });
-
-    setFilteredFlowers(filtered);
-  }, [flowers, searchTerm, selectedCategory, sortBy]);
+  const handleSortChange = (value) => {
+    const [sort, order] = value.split('-');
+    updateParams({ sort, order });
+  };
 
   const categories = [
     { value: 'all', label: 'All Flowers' },
@@ -95,7 +109,7 @@ const Shop = () => {
           {/* Category Filter */}
           <select
             value={selectedCategory}
-            onChange={(e) => setSelectedCategory(e.target.value)}
+            onChange={(e) => updateParams({ category: e.target.value === 'all' ? '' : e.target.value })}
             className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
           >
             {categories.map(category => (
@@ -105,15 +119,38 @@ const Shop = () => {
             ))}
           </select>
 
+          {/* Price Range */}
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min $"
+              value={minPrice}
+              onChange={(e) => updateParams({ minPrice: e.target.value })}
+              className="w-24 px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+            />
+            <span className="text-gray-600">-</span>
+            <input
+              type="number"
+              min="0"
+              placeholder="Max $"
+              value={maxPrice}
+              onChange={(e) => updateParams({ maxPrice: e.target.value })}
+              className="w-24 px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
+            />
+          </div>
+
           {/* Sort */}
           <select
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => handleSortChange(e.target.value)}
             className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-baby-pink-500 focus:border-baby-pink-500"
           >
-            <option value="name">Sort by Name</option>
-            <option value="price-low">Price: Low to High</option>
-            <option value="price-high">Price: High to Low</option>
+            {sortOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
           </select>
         </div>
       </div>
@@ -121,14 +158,14 @@ const Shop = () => {
       {/* Results */}
       <div className="mb-4">
         <p className="text-gray-600">
-          Showing {filteredFlowers.length} of {flowers.length} flowers
+          Showing {flowers.length} of {pagination?.total ?? flowers.length} flowers
         </p>
       </div>
 
       {/* Flowers Grid - Always in grid layout */}
-      {filteredFlowers.length > 0 ? (
+      {flowers.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {filteredFlowers.map(flower => (
+          {flowers.map(flower => (
             <FlowerCard key={flower.id} flower={flower} />
           ))}
         </div>
@@ -141,8 +178,29 @@ const Shop = () => {
           <p className="text-gray-600">Try adjusting your search or filter criteria</p>
         </div>
       )}
+
+      {/* Pagination */}
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-8">
+          <button
+            onClick={() => updateParams({ page: page - 1 })}
+            disabled={!pagination.hasPrev}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => updateParams({ page: page + 1 })}
+            disabled={!pagination.hasNext}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default Shop;
\ No newline at end of file
+export default Shop;
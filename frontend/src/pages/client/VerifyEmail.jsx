@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Flower2, CheckCircle, XCircle } from 'lucide-react';
+import axios from 'axios';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+
+const BASE_URL = 'http://localhost:3000';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState('');
+  // Links work once, so don't send the token twice when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await axios.post(`${BASE_URL}/api/auth/verify-email`, { token });
+        setMessage(response.data.message);
+        setStatus('verified');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Failed to verify your email');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center mb-4">
+            <div className="bg-gradient-pink rounded-full p-3">
+              <Flower2 className="h-12 w-12 text-baby-pink-600" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900">Email Verification</h2>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8 text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <LoadingSpinner />
+              <p className="text-gray-600">Verifying your email...</p>
+            </>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <CheckCircle className="h-12 w-12 text-green-500 mx-auto" />
+              <p className="text-gray-700">{message}. You can now place orders.</p>
+              <Link to="/shop" className="inline-block bg-gradient-primary text-white py-3 px-6 rounded-lg font-semibold hover:shadow-lg transition-all">
+                Continue Shopping
+              </Link>
+            </>
+          )}
+
+          {status === 'failed' && (
+            <>
+              <XCircle className="h-12 w-12 text-red-500 mx-auto" />
+              <p className="text-gray-700">{message || 'This verification link is invalid or has expired'}.</p>
+              <p className="text-sm text-gray-600">
+                You can ask for a new link from the checkout page after logging in.
+              </p>
+              <Link to="/login" className="text-baby-pink-600 hover:text-baby-pink-500 font-semibold">
+                Go to login
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,79 @@
+import axios from 'axios';
+
+const BASE_URL = 'http://localhost:3000';
+
+// Errors that a new access token fixes; anything else is passed through
+const REFRESHABLE_ERRORS = ['TOKEN_EXPIRED', 'TOKEN_AUDIENCE_MISMATCH'];
+
+export const saveSession = ({ token, refreshToken }) => {
+  localStorage.setItem('accessToken', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+};
+
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearSession();
+
+  if (refreshToken) {
+    try {
+      await axios.post(`${BASE_URL}/api/auth/logout`, { refreshToken });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+  }
+};
+
+// Refresh tokens rotate, so concurrent requests must share a single refresh
+let refreshing = null;
+
+const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshing = (refreshToken
+      ? axios.post(`${BASE_URL}/api/auth/refresh`, { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        saveSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+};
+
+// Retry requests that failed because the access token expired
+export const setupAxios = () => {
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+
+      if (!config || config.skipAuthRefresh || config.retried || !REFRESHABLE_ERRORS.includes(response?.data?.error)) {
+        return Promise.reject(error);
+      }
+
+      try {
+        const token = await refreshSession();
+        config.retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
+      } catch {
+        clearSession();
+        window.location.assign('/login');
+        return Promise.reject(error);
+      }
+    }
+  );
+};